@@ -0,0 +1,538 @@
+// Convergence Diagnostics - Multiple chains, split-R̂, Geweke and ESS
+// Based on notebook: 03_1d_mcmc_exercise.ipynb
+
+class ConvergenceDiagnostics {
+    constructor() {
+        // Parameters
+        this.chainCount = 4;
+        this.targetType = 'gaussian';
+        this.proposalStd = 0.5;
+        this.overdispersion = 3.0;
+        this.gewekeFirst = 0.1;
+        this.gewekeLast = 0.5;
+        this.animationSpeed = 3;
+        this.seed = 42;
+        this.rng = new SeededRandom(this.seed);
+
+        // Pass/fail thresholds
+        this.rHatThreshold = 1.01;
+        this.rHatWarning = 1.1;
+        this.gewekeThreshold = 1.96;
+        this.essThreshold = 100;
+
+        // Sampling state
+        this.chains = [];
+        this.positions = [];
+        this.acceptedSamples = [];
+        this.rHatHistory = [];
+        this.nextCheckpoint = 10;
+        this.diagnostics = null;
+        this.diagnosticsStale = false;
+        this.isRunning = false;
+        this.animationId = null;
+
+        // Chart dimensions
+        this.chartWidth = 400;
+        this.chartHeight = 250;
+        this.margin = { top: 20, right: 30, bottom: 40, left: 50 };
+        this.chainColors = d3.schemeCategory10;
+
+        this.setupControls();
+        this.createVisualizations();
+        this.resetSampling();
+    }
+
+    get target() {
+        return MCMC_TARGETS[this.targetType];
+    }
+
+    // Targets are used with their default parameters
+    get targetParams() {
+        const params = {};
+        this.target.params.forEach(param => { params[param.id] = param.value; });
+        return params;
+    }
+
+    logTargetDensity(x) {
+        const value = this.target.logDensity(x, this.targetParams);
+        return Number.isNaN(value) ? -Infinity : value;
+    }
+
+    // Overdispersed starting points: evenly spread around the centre of the
+    // target's plot range over overdispersion / 2 times its width, so that
+    // 2× spans the plot range exactly
+    startingPoints() {
+        const [lo, hi] = this.target.range(this.targetParams);
+        const centre = (lo + hi) / 2;
+        const halfWidth = (hi - lo) / 2 * this.overdispersion / 2;
+        const inside = (x) => Number.isFinite(this.logTargetDensity(x));
+        return d3.range(this.chainCount).map(k => {
+            const x = this.chainCount === 1 ? centre :
+                centre - halfWidth + 2 * halfWidth * k / (this.chainCount - 1);
+            if (inside(x)) return x;
+            // Bounded targets (Gamma, Beta): bisect for the edge of the
+            // support and start just inside it, closer to the edge the
+            // further out x was, so that no two chains share a start
+            let [outer, inner] = [x, centre];
+            for (let i = 0; i < 60; i++) {
+                const mid = (outer + inner) / 2;
+                if (inside(mid)) inner = mid; else outer = mid;
+            }
+            const margin = (hi - lo) * 0.01 * halfWidth / (Math.abs(x - inner) + halfWidth);
+            return inner + Math.sign(centre - inner) * margin;
+        });
+    }
+
+    setupControls() {
+        const controls = {
+            'chain-count': (val) => { this.chainCount = parseInt(val); },
+            'proposal-std': (val) => { this.proposalStd = parseFloat(val); },
+            'overdispersion': (val) => { this.overdispersion = parseFloat(val); },
+            'geweke-first': (val) => { this.gewekeFirst = parseFloat(val); },
+            'geweke-last': (val) => { this.gewekeLast = parseFloat(val); },
+            'animation-speed': (val) => {
+                this.animationSpeed = parseInt(val);
+                this.updateAnimationSpeedLabel();
+            }
+        };
+
+        // Controls that change the chains themselves restart sampling
+        const restartControls = ['chain-count', 'proposal-std', 'overdispersion'];
+
+        Object.entries(controls).forEach(([id, handler]) => {
+            const element = document.getElementById(id);
+            element.addEventListener('input', (e) => {
+                handler(e.target.value);
+                if (restartControls.includes(id)) {
+                    this.resetSampling();
+                } else {
+                    this.computeDiagnostics();
+                    this.updateAll();
+                }
+            });
+        });
+
+        const targetSelect = document.getElementById('target-type');
+        ['gaussian', 'mixture', 'studentT', 'gamma', 'beta', 'laplace', 'banana'].forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = MCMC_TARGETS[key].label;
+            targetSelect.appendChild(option);
+        });
+        targetSelect.value = this.targetType;
+        targetSelect.addEventListener('change', (e) => {
+            this.targetType = e.target.value;
+            this.resetSampling();
+        });
+
+        const seedInput = document.getElementById('seed');
+        seedInput.value = this.seed;
+        seedInput.addEventListener('change', (e) => {
+            // Anything but a whole number keeps the current seed
+            const seed = SeededRandom.parseSeed(e.target.value);
+            if (seed === null) {
+                e.target.value = this.seed;
+                return;
+            }
+            this.seed = seed;
+            this.resetSampling();
+        });
+        document.getElementById('new-seed-btn').addEventListener('click', () => {
+            this.seed = SeededRandom.randomSeed();
+            seedInput.value = this.seed;
+            this.resetSampling();
+        });
+
+        // Buttons
+        document.getElementById('start-btn').addEventListener('click', () => this.startSampling());
+        document.getElementById('pause-btn').addEventListener('click', () => this.pauseSampling());
+        document.getElementById('reset-btn').addEventListener('click', () => this.resetSampling());
+
+        this.updateAnimationSpeedLabel();
+    }
+
+    updateAnimationSpeedLabel() {
+        const labels = ['Very Slow', 'Slow', 'Medium', 'Fast', 'Very Fast'];
+        document.getElementById('animation-speed-value').textContent = labels[this.animationSpeed - 1];
+    }
+
+    startSampling() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.animate();
+    }
+
+    pauseSampling() {
+        this.isRunning = false;
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+        }
+    }
+
+    resetSampling() {
+        this.pauseSampling();
+        this.rng.setSeed(this.seed);
+        this.positions = this.startingPoints();
+        this.chains = this.positions.map(x => [x]);
+        this.acceptedSamples = this.positions.map(() => 0);
+        this.rHatHistory = [];
+        this.nextCheckpoint = 10;
+        this.computeDiagnostics();
+        this.updateAll();
+    }
+
+    get iterations() {
+        return this.chains.length > 0 ? this.chains[0].length : 0;
+    }
+
+    // Advance every chain by one Metropolis step
+    step() {
+        const logDensity = x => this.logTargetDensity(x);
+        const propose = gaussianProposal(this.proposalStd, this.rng);
+        this.positions = this.positions.map((x, k) => {
+            const result = metropolisStep(logDensity, x, propose, this.rng);
+            if (result.accepted) this.acceptedSamples[k]++;
+            this.chains[k].push(result.position);
+            return result.position;
+        });
+
+        // Record split-R̂ at roughly logarithmically spaced checkpoints;
+        // the per-chain diagnostics are refreshed at the same points
+        if (this.iterations >= this.nextCheckpoint) {
+            this.rHatHistory.push({ iteration: this.iterations, rHat: splitRHat(this.chains) });
+            this.nextCheckpoint = Math.max(this.iterations + 10, Math.ceil(this.iterations * 1.05));
+            this.diagnosticsStale = true;
+        }
+    }
+
+    animate() {
+        if (!this.isRunning) return;
+
+        const stepsPerFrame = [1, 5, 20, 50, 200][this.animationSpeed - 1];
+        for (let i = 0; i < stepsPerFrame; i++) {
+            this.step();
+        }
+
+        if (this.diagnosticsStale) {
+            this.computeDiagnostics();
+        }
+        this.updateAll();
+
+        const delay = this.animationSpeed <= 2 ? (3 - this.animationSpeed) * 150 : 0;
+        setTimeout(() => {
+            this.animationId = requestAnimationFrame(() => this.animate());
+        }, delay);
+    }
+
+    computeDiagnostics() {
+        const n = this.iterations;
+        if (n < 20) {
+            this.diagnostics = null;
+            return;
+        }
+        this.diagnostics = {
+            rHat: splitRHat(this.chains),
+            geweke: this.chains.map(chain => gewekeZ(chain, this.gewekeFirst, this.gewekeLast)),
+            ess: this.chains.map(chain => effectiveSampleSize(chain))
+        };
+        this.diagnosticsStale = false;
+    }
+
+    updateAll() {
+        this.updateControlLabels();
+        this.updateStats();
+        this.updateTraceChart();
+        this.updateRHatChart();
+        this.updateGewekeChart();
+        this.updateEssChart();
+    }
+
+    updateControlLabels() {
+        document.getElementById('chain-count-value').textContent = this.chainCount;
+        document.getElementById('proposal-std-value').textContent = this.proposalStd.toFixed(1);
+        document.getElementById('overdispersion-value').textContent = this.overdispersion.toFixed(1) + '×';
+        document.getElementById('geweke-first-value').textContent = (this.gewekeFirst * 100).toFixed(0) + '%';
+        document.getElementById('geweke-last-value').textContent = (this.gewekeLast * 100).toFixed(0) + '%';
+    }
+
+    // Pass/fail badge for a diagnostic
+    setStatus(id, text, pass) {
+        const element = document.getElementById(id);
+        element.textContent = text;
+        element.style.color = pass === null ? '#666' : (pass ? '#38a169' : '#e53e3e');
+    }
+
+    updateStats() {
+        const n = this.iterations;
+        document.getElementById('iteration-count').textContent = n;
+        const totalAccepted = this.acceptedSamples.reduce((a, b) => a + b, 0);
+        const acceptanceRate = n > 1 ? (totalAccepted / (this.chainCount * (n - 1)) * 100).toFixed(1) : 0;
+        document.getElementById('acceptance-rate').textContent = acceptanceRate + '%';
+
+        const d = this.diagnostics;
+        if (!d) {
+            this.setStatus('rhat-status', 'R̂: –', null);
+            this.setStatus('geweke-status', 'Geweke: –', null);
+            this.setStatus('ess-status', 'ESS: –', null);
+            return;
+        }
+
+        this.setStatus('rhat-status', `R̂ = ${d.rHat.toFixed(3)}`, d.rHat < this.rHatThreshold);
+
+        // gewekeZ returns NaN until the chains are long enough to split into windows
+        if (d.geweke.some(Number.isNaN)) {
+            this.setStatus('geweke-status', 'Geweke: not enough draws yet', null);
+        } else {
+            const gewekeFailures = d.geweke.filter(z => !(Math.abs(z) < this.gewekeThreshold)).length;
+            this.setStatus('geweke-status',
+                `Geweke: ${this.chainCount - gewekeFailures}/${this.chainCount} chains |z| < ${this.gewekeThreshold}`,
+                gewekeFailures === 0);
+        }
+
+        const totalEss = d.ess.reduce((a, b) => a + b, 0);
+        this.setStatus('ess-status',
+            `ESS = ${totalEss.toFixed(0)} total, min ${d3.min(d.ess).toFixed(0)} per chain`,
+            d3.min(d.ess) >= this.essThreshold);
+    }
+
+    createVisualizations() {
+        this.traceSvg = this.createSvg('#trace-chart');
+        this.rHatSvg = this.createSvg('#rhat-chart');
+        this.gewekeSvg = this.createSvg('#geweke-chart');
+        this.essSvg = this.createSvg('#ess-chart');
+    }
+
+    createSvg(selector) {
+        return d3.select(selector)
+            .append('svg')
+            .attr('width', this.chartWidth)
+            .attr('height', this.chartHeight);
+    }
+
+    // Horizontal pass/fail band between two y values
+    drawBand(g, yScale, width, y0, y1, color) {
+        const top = yScale(Math.max(y0, y1));
+        const bottom = yScale(Math.min(y0, y1));
+        g.append('rect')
+            .attr('x', 0)
+            .attr('y', top)
+            .attr('width', width)
+            .attr('height', Math.max(0, bottom - top))
+            .attr('fill', color)
+            .attr('opacity', 0.15);
+    }
+
+    updateTraceChart() {
+        const svg = this.traceSvg;
+        const width = this.chartWidth - this.margin.left - this.margin.right;
+        const height = this.chartHeight - this.margin.top - this.margin.bottom;
+
+        svg.selectAll('*').remove();
+        const g = svg.append('g')
+            .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+
+        const n = this.iterations;
+        const xScale = d3.scaleLinear()
+            .domain([0, Math.max(n, 100)])
+            .range([0, width]);
+        const yExtent = d3.extent(this.chains.flat());
+        const yPadding = (yExtent[1] - yExtent[0]) * 0.1 || 1;
+        const yScale = d3.scaleLinear()
+            .domain([yExtent[0] - yPadding, yExtent[1] + yPadding])
+            .range([height, 0]);
+
+        // Geweke comparison windows
+        if (n >= 20) {
+            const windows = [
+                [0, Math.floor(this.gewekeFirst * n)],
+                [n - Math.floor(this.gewekeLast * n), n]
+            ];
+            windows.forEach(([a, b]) => {
+                g.append('rect')
+                    .attr('x', xScale(a))
+                    .attr('y', 0)
+                    .attr('width', xScale(b) - xScale(a))
+                    .attr('height', height)
+                    .attr('fill', '#ecc94b')
+                    .attr('opacity', 0.15);
+            });
+        }
+
+        // Thin long chains to at most ~500 plotted points each
+        const stride = Math.max(1, Math.ceil(n / 500));
+        this.chains.forEach((chain, k) => {
+            const plotted = [];
+            for (let i = 0; i < n; i += stride) plotted.push([i, chain[i]]);
+            plotted.push([n - 1, chain[n - 1]]);
+
+            g.append('path')
+                .datum(plotted)
+                .attr('fill', 'none')
+                .attr('stroke', this.chainColors[k % 10])
+                .attr('stroke-width', 1)
+                .attr('opacity', 0.8)
+                .attr('d', d3.line().x(d => xScale(d[0])).y(d => yScale(d[1])));
+        });
+
+        // Axes
+        g.append('g')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(xScale).ticks(5));
+
+        g.append('g')
+            .call(d3.axisLeft(yScale));
+
+        g.append('text')
+            .attr('x', width / 2)
+            .attr('y', height + 35)
+            .attr('text-anchor', 'middle')
+            .text('Iteration (yellow: Geweke windows)');
+    }
+
+    updateRHatChart() {
+        const svg = this.rHatSvg;
+        const width = this.chartWidth - this.margin.left - this.margin.right;
+        const height = this.chartHeight - this.margin.top - this.margin.bottom;
+
+        svg.selectAll('*').remove();
+        const g = svg.append('g')
+            .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+
+        const history = this.rHatHistory.filter(d => Number.isFinite(d.rHat));
+        const maxRHat = Math.max(1.2, Math.min(3, d3.max(history, d => d.rHat) || 1.2));
+
+        const xScale = d3.scaleLinear()
+            .domain([0, Math.max(this.iterations, 100)])
+            .range([0, width]);
+        const yScale = d3.scaleLinear()
+            .domain([1, maxRHat])
+            .range([height, 0])
+            .clamp(true);
+
+        this.drawBand(g, yScale, width, 1, this.rHatThreshold, '#38a169');
+        this.drawBand(g, yScale, width, this.rHatThreshold, this.rHatWarning, '#ecc94b');
+        this.drawBand(g, yScale, width, this.rHatWarning, maxRHat, '#e53e3e');
+
+        g.append('path')
+            .datum(history)
+            .attr('fill', 'none')
+            .attr('stroke', '#2d3748')
+            .attr('stroke-width', 2)
+            .attr('d', d3.line().x(d => xScale(d.iteration)).y(d => yScale(d.rHat)));
+
+        [this.rHatThreshold, this.rHatWarning].forEach(threshold => {
+            g.append('text')
+                .attr('x', width - 4)
+                .attr('y', yScale(threshold) - 3)
+                .attr('text-anchor', 'end')
+                .style('font-size', '10px')
+                .style('fill', '#4a5568')
+                .text(threshold);
+        });
+
+        // Axes
+        g.append('g')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(xScale).ticks(5));
+
+        g.append('g')
+            .call(d3.axisLeft(yScale).ticks(5));
+
+        g.append('text')
+            .attr('x', width / 2)
+            .attr('y', height + 35)
+            .attr('text-anchor', 'middle')
+            .text('Iteration');
+    }
+
+    // Bar chart of one value per chain, shared by the Geweke and ESS panels.
+    // Chains whose value is NaN are left without a bar.
+    drawChainBars(svg, values, yScale, label) {
+        const width = this.chartWidth - this.margin.left - this.margin.right;
+        const height = this.chartHeight - this.margin.top - this.margin.bottom;
+        const g = svg.select('g');
+
+        const xScale = d3.scaleBand()
+            .domain(values.map((d, k) => `Chain ${k + 1}`))
+            .range([0, width])
+            .padding(0.2);
+
+        const zero = yScale(Math.max(0, yScale.domain()[0]));
+        g.selectAll('.bar')
+            .data(values)
+            .enter()
+            .filter(d => !Number.isNaN(d))
+            .append('rect')
+            .attr('class', 'bar')
+            .attr('x', (d, k) => xScale(`Chain ${k + 1}`))
+            .attr('y', d => Math.min(zero, yScale(d)))
+            .attr('width', xScale.bandwidth())
+            .attr('height', d => Math.abs(zero - yScale(d)))
+            .attr('fill', (d, k) => this.chainColors[k % 10]);
+
+        g.append('g')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(xScale).tickFormat((d, k) => k + 1));
+
+        g.append('g')
+            .call(d3.axisLeft(yScale).ticks(5));
+
+        g.append('text')
+            .attr('x', width / 2)
+            .attr('y', height + 35)
+            .attr('text-anchor', 'middle')
+            .text(label);
+    }
+
+    updateGewekeChart() {
+        const svg = this.gewekeSvg;
+        const width = this.chartWidth - this.margin.left - this.margin.right;
+        const height = this.chartHeight - this.margin.top - this.margin.bottom;
+
+        svg.selectAll('*').remove();
+        const g = svg.append('g')
+            .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+
+        if (!this.diagnostics) return;
+        // NaN (too few draws) gets no bar; infinite values are clamped to the edge
+        const values = this.diagnostics.geweke;
+        const limit = Math.max(4, Math.min(10, d3.max(values, Math.abs) || 0));
+        const yScale = d3.scaleLinear()
+            .domain([-limit, limit])
+            .range([height, 0])
+            .clamp(true);
+
+        this.drawBand(g, yScale, width, -this.gewekeThreshold, this.gewekeThreshold, '#38a169');
+        this.drawBand(g, yScale, width, this.gewekeThreshold, limit, '#e53e3e');
+        this.drawBand(g, yScale, width, -limit, -this.gewekeThreshold, '#e53e3e');
+
+        this.drawChainBars(svg, values, yScale, 'Chain (green band: |z| < 1.96)');
+    }
+
+    updateEssChart() {
+        const svg = this.essSvg;
+        const width = this.chartWidth - this.margin.left - this.margin.right;
+        const height = this.chartHeight - this.margin.top - this.margin.bottom;
+
+        svg.selectAll('*').remove();
+        const g = svg.append('g')
+            .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+
+        if (!this.diagnostics) return;
+        const values = this.diagnostics.ess;
+        const yScale = d3.scaleLinear()
+            .domain([0, Math.max(this.essThreshold * 1.5, d3.max(values))])
+            .nice()
+            .range([height, 0]);
+
+        this.drawBand(g, yScale, width, 0, this.essThreshold, '#e53e3e');
+        this.drawBand(g, yScale, width, this.essThreshold, yScale.domain()[1], '#38a169');
+
+        this.drawChainBars(svg, values, yScale, `Chain (green band: ESS ≥ ${this.essThreshold})`);
+    }
+}
+
+// Initialize when page loads
+document.addEventListener('DOMContentLoaded', function() {
+    new ConvergenceDiagnostics();
+});
@@ -0,0 +1,207 @@
+// Chain export and import for the 1D MCMC demo, shared with the notebooks
+// CSV files have one row per iteration (iteration, sample, proposal,
+// accepted) after `# key: value` header lines holding the settings as JSON,
+// so pandas reads them with read_csv(path, comment='#'). JSON files hold the
+// same data as { format, version, settings, samples, proposals, accepted }.
+//
+// Imported files may also be plain chains from elsewhere: CSV with one chain
+// per column (with or without a header row), or JSON as an array of draws,
+// an array of chains, or an object with a `samples` array.
+
+const CHAIN_FILE_FORMAT = 'mcmc-1d-chain';
+const CHAIN_FILE_VERSION = 1;
+
+// Columns that number the draws rather than hold them, e.g. the unnamed
+// index column written by pandas' to_csv
+const INDEX_COLUMNS = ['', 'iteration', 'step', 'draw', 'index', 'unnamed: 0'];
+
+// `chain` is { samples, proposals, accepted, settings }; proposals and
+// accepted flags may be empty for chains without per-step records
+function chainToCsv(chain) {
+    const lines = [`# ${CHAIN_FILE_FORMAT} v${CHAIN_FILE_VERSION}`];
+    Object.entries(chain.settings || {}).forEach(([key, value]) => {
+        lines.push(`# ${key}: ${JSON.stringify(value)}`);
+    });
+
+    const withSteps = chain.proposals.length === chain.samples.length;
+    lines.push(withSteps ? 'iteration,sample,proposal,accepted' : 'iteration,sample');
+    for (let i = 0; i < chain.samples.length; i++) {
+        let row = `${i + 1},${chain.samples[i]}`;
+        if (withSteps) row += `,${chain.proposals[i]},${chain.accepted[i] ? 1 : 0}`;
+        lines.push(row);
+    }
+    return lines.join('\n') + '\n';
+}
+
+function chainToJson(chain) {
+    const withSteps = chain.proposals.length === chain.samples.length;
+    return JSON.stringify({
+        format: CHAIN_FILE_FORMAT,
+        version: CHAIN_FILE_VERSION,
+        settings: chain.settings || {},
+        samples: Array.from(chain.samples),
+        proposals: withSteps ? Array.from(chain.proposals) : [],
+        accepted: withSteps ? Array.from(chain.accepted, flag => (flag ? 1 : 0)) : []
+    });
+}
+
+// Parse an exported or external chain file. Returns
+// { columns: [{ name, values }], proposals, accepted, settings }, where
+// proposals and accepted are null unless the file has them. Throws an
+// Error with a message meant for the user if the file is malformed.
+function parseChainFile(text, filename = '') {
+    const extension = filename.toLowerCase().split('.').pop();
+    const trimmed = text.trim();
+    if (trimmed === '') throw new Error('The file is empty');
+
+    if (extension === 'json' || (extension !== 'csv' && /^[[{]/.test(trimmed))) {
+        return parseChainJson(trimmed);
+    }
+    return parseChainCsv(text);
+}
+
+function parseChainCsv(text) {
+    const settings = {};
+    const rows = [];
+    text.split(/\r?\n/).forEach((line, index) => {
+        const lineNumber = index + 1;
+        if (line.trim() === '') return;
+        if (line.startsWith('#')) {
+            const match = /^#\s*([^:]+):\s*(.*)$/.exec(line);
+            if (match) settings[match[1].trim()] = parseSettingValue(match[2]);
+            return;
+        }
+        rows.push({ lineNumber, fields: line.split(',').map(field => field.trim()) });
+    });
+    if (rows.length === 0) throw new Error('The file has no data rows');
+
+    const hasHeader = rows[0].fields.some(field => field !== '' && !isNumeric(field));
+    const header = hasHeader ?
+        rows.shift().fields.map(name => name.replace(/^"(.*)"$/, '$1')) :
+        rows[0].fields.map((field, i) => `Column ${i + 1}`);
+    if (rows.length === 0) throw new Error('The file has a header but no data rows');
+
+    const width = header.length;
+    const table = header.map(() => []);
+    rows.forEach(({ lineNumber, fields }) => {
+        if (fields.length !== width) {
+            throw new Error(`Line ${lineNumber}: expected ${width} values, found ${fields.length}`);
+        }
+        fields.forEach((field, i) => {
+            if (field === '') {
+                table[i].push(null);
+                return;
+            }
+            if (!isNumeric(field)) {
+                throw new Error(`Line ${lineNumber}, column "${header[i]}": "${field}" is not a number`);
+            }
+            table[i].push(parseFloat(field));
+        });
+    });
+
+    // Chains of different lengths leave empty cells at the end of the
+    // shorter columns; gaps in the middle are an error
+    const columns = [];
+    header.forEach((name, i) => {
+        const firstGap = table[i].indexOf(null);
+        const values = firstGap === -1 ? table[i] : table[i].slice(0, firstGap);
+        if (values.length < table[i].length && table[i].slice(firstGap).some(v => v !== null)) {
+            throw new Error(`Column "${name}" has an empty cell at line ${rows[firstGap].lineNumber}`);
+        }
+        columns.push({ name, values });
+    });
+
+    const lowerCase = header.map(name => name.toLowerCase());
+    const sampleIndex = lowerCase.indexOf('sample');
+    if (sampleIndex !== -1) {
+        // A file exported by this page: one chain with its per-step records
+        const proposalIndex = lowerCase.indexOf('proposal');
+        const acceptedIndex = lowerCase.indexOf('accepted');
+        const chain = {
+            columns: [columns[sampleIndex]],
+            proposals: proposalIndex === -1 ? null : columns[proposalIndex].values,
+            accepted: acceptedIndex === -1 ? null : columns[acceptedIndex].values.map(v => v !== 0),
+            settings
+        };
+        return validateChain(chain);
+    }
+
+    const chains = columns.filter((column, i) => !(hasHeader && INDEX_COLUMNS.includes(lowerCase[i])));
+    if (chains.length === 0) throw new Error('The file has no sample columns, only an index');
+    return validateChain({ columns: chains, proposals: null, accepted: null, settings });
+}
+
+function parseChainJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Not valid JSON: ${error.message}`);
+    }
+
+    let samples = data;
+    let settings = {};
+    let proposals = null;
+    let accepted = null;
+    if (data !== null && typeof data === 'object' && !Array.isArray(data)) {
+        if (!('samples' in data)) throw new Error('The JSON object has no "samples" array');
+        samples = data.samples;
+        settings = data.settings || {};
+        if (Array.isArray(data.proposals) && data.proposals.length > 0) proposals = data.proposals;
+        if (Array.isArray(data.accepted) && data.accepted.length > 0) {
+            accepted = data.accepted.map(flag => flag === true || flag === 1);
+        }
+    }
+    if (!Array.isArray(samples) || samples.length === 0) {
+        throw new Error('"samples" must be a non-empty array of numbers or of chains');
+    }
+
+    // An array of arrays holds several chains, as in (chain, draw) arrays
+    const columns = Array.isArray(samples[0]) ?
+        samples.map((values, i) => ({ name: `Chain ${i + 1}`, values })) :
+        [{ name: 'sample', values: samples }];
+    columns.forEach(({ name, values }) => {
+        if (!Array.isArray(values)) throw new Error(`${name} is not an array`);
+        const bad = values.findIndex(v => typeof v !== 'number');
+        if (bad !== -1) {
+            throw new Error(`${name}, draw ${bad + 1}: ${JSON.stringify(values[bad])} is not a number`);
+        }
+    });
+    if (proposals && proposals.some(v => typeof v !== 'number')) {
+        throw new Error('"proposals" must be an array of numbers');
+    }
+
+    return validateChain({ columns, proposals, accepted, settings });
+}
+
+function validateChain(chain) {
+    chain.columns.forEach(({ name, values }) => {
+        if (values.length < 2) throw new Error(`Column "${name}" needs at least two draws`);
+        const bad = values.findIndex(v => !Number.isFinite(v));
+        if (bad !== -1) throw new Error(`Column "${name}", draw ${bad + 1} is not a finite number`);
+    });
+    const length = chain.columns[0].values.length;
+    if (chain.proposals && chain.proposals.length !== length) {
+        throw new Error(`${chain.proposals.length} proposals for ${length} samples`);
+    }
+    if (chain.accepted && chain.accepted.length !== length) {
+        throw new Error(`${chain.accepted.length} accept flags for ${length} samples`);
+    }
+    return chain;
+}
+
+function parseSettingValue(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return text.trim();
+    }
+}
+
+function isNumeric(field) {
+    return field !== '' && Number.isFinite(Number(field));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { chainToCsv, chainToJson, parseChainFile };
+}
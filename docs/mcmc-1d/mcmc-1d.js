@@ -4,54 +4,287 @@
 class MCMC1D {
     constructor() {
         // Parameters
+        this.samplerType = 'metropolis';
+        this.stepSize = 0.5;
+        this.leapfrogSteps = 10;
+        this.sliceWidth = 1.0;
         this.proposalStd = 0.5;
-        this.targetMean = 0.0;
-        this.targetStd = 1.0;
+        this.proposalType = 'gaussian';
+        this.independenceLoc = 0.0;
+        this.independenceScale = 2.0;
+        this.adaptMode = 'off';
+        this.warmupLength = 500;
+        this.excludeBurnin = false;
+        this.targetType = 'gaussian';
+        this.targetParams = {};
+        this.logNormaliser = 0;
+        // Inference mode: the "Posterior from data" target samples p(θ | data)
+        // for these model settings (see shared/posterior.js); the true θ and
+        // the number of observations are used by Generate Data
+        this.posteriorSettings = null;
+        this.trueValue = 1;
+        this.dataCount = 20;
         this.animationSpeed = 3;
+        this.seed = 42;
+        this.rng = new SeededRandom(this.seed);
         
         // Sampling state
         this.currentPosition = 0.0;
         this.proposedPosition = 0.0;
+        this.lastStep = null;
         this.samples = [];
+        this.proposals = [];
+        this.acceptedFlags = [];
         this.acceptedSamples = 0;
+
+        // A chain loaded from a file replaces the sampler's chain and is
+        // shown read-only: { name, columns, proposals, accepted, settings }
+        this.imported = null;
+
+        // Per-step records of the animated and single-stepped iterations,
+        // for Step Back and the timeline; `viewIndex` is the record shown,
+        // or null to follow the chain
+        this.history = [];
+        this.maxHistory = 2000;
+        this.viewIndex = null;
+        this.decisionShownFor = null;
+
+        // Parallel tempering: `replicaPositions[k]` is the replica at the
+        // k-th temperature of the ladder and replica 0 is the chain shown
+        // everywhere else; swap counts are per neighbouring pair
+        this.tempering = false;
+        this.replicaCount = 4;
+        this.maxTemperature = 10;
+        this.replicaPositions = [];
+        this.swapAttempts = [];
+        this.swapAccepts = [];
+        this.swapShownFor = null;
+
+        this.adapter = null;
+        this.adaptedScale = this.proposalStd;
+        this.scaleHistory = [];
+        this.histogram = null;
+        this.histogramBins = 40;
+        this.fineBins = 400;
+        this.showKde = false;
+        this.kdeBandwidthFactor = 1;
+
+        // Rejected proposals: ghosts in the trace plot, the acceptance rate
+        // over a sliding window and a scatter of the latest proposals
+        this.showRejected = false;
+        this.acceptanceWindow = 100;
+        this.recentProposalCount = 100;
+
+        // Autocorrelation and ESS are recomputed when the chain has grown by
+        // 5%, from at most the last `diagnosticsWindow` samples
+        this.acfMaxLag = 50;
+        this.diagnostics = null;
+        this.diagnosticsWindow = 50000;
         this.isRunning = false;
         this.animationId = null;
+
+        // Turbo mode: many steps in a Web Worker, charts redrawn at most
+        // every `minRenderInterval` ms
+        this.turboSteps = 100000;
+        this.turboBatchSize = 10000;
+        this.turboJob = null;
+        this.renderPending = false;
+        this.lastRender = 0;
+        this.minRenderInterval = 1000 / 15;
         
         // Chart dimensions
         this.chartWidth = 400;
         this.chartHeight = 250;
+        this.scaleChartHeight = 150;
+        this.decisionChartHeight = 110;
+        this.recentProposalsChartHeight = 160;
+        this.temperingChartHeight = 300;
         this.margin = { top: 20, right: 30, bottom: 40, left: 50 };
         
         this.setupControls();
+        this.setTargetType(this.targetType);
+        this.currentPosition = this.startPosition();
+        this.proposedPosition = this.currentPosition;
         this.createVisualizations();
         this.updateAll();
     }
 
-    // Target distribution (Gaussian)
+    get target() {
+        return MCMC_TARGETS[this.targetType];
+    }
+
+    // Log of the (possibly unnormalised) target density
+    logTargetDensity(x) {
+        const value = this.target.logDensity(x, this.targetParams);
+        return Number.isNaN(value) ? -Infinity : value;
+    }
+
+    // Normalised target density, used for plotting only
     targetDensity(x) {
-        const variance = this.targetStd * this.targetStd;
-        return Math.exp(-0.5 * Math.pow(x - this.targetMean, 2) / variance) / 
-               Math.sqrt(2 * Math.PI * variance);
+        return Math.exp(this.logTargetDensity(x) - this.logNormaliser);
+    }
+
+    targetRange() {
+        return this.target.range(this.targetParams);
+    }
+
+    // Evaluate the target density on an evenly spaced grid over the plot range
+    targetGrid(xRange = this.targetRange(), points = 200) {
+        const data = [];
+        const dx = (xRange[1] - xRange[0]) / points;
+        for (let i = 0; i <= points; i++) {
+            const x = xRange[0] + i * dx;
+            data.push({ x: x, y: this.targetDensity(x) });
+        }
+        return data;
+    }
+
+    // Unnormalised targets are normalised numerically over the plot range
+    updateNormaliser() {
+        if (this.target.normalised) {
+            this.logNormaliser = 0;
+            return;
+        }
+        const [lo, hi] = this.targetRange();
+        const points = 400;
+        const dx = (hi - lo) / points;
+        const logValues = [];
+        for (let i = 0; i <= points; i++) {
+            logValues.push(this.logTargetDensity(lo + i * dx));
+        }
+        this.logNormaliser = logSumExp(logValues) + Math.log(dx);
+        if (!Number.isFinite(this.logNormaliser)) this.logNormaliser = 0;
+    }
+
+    // Exact mean and variance where the target provides them, otherwise
+    // integrated numerically over the plot range
+    targetMoments() {
+        if (this.target.moments) return this.target.moments(this.targetParams);
+        const grid = this.targetGrid(this.targetRange(), 2000);
+        const total = d3.sum(grid, d => d.y);
+        const mean = d3.sum(grid, d => d.x * d.y) / total;
+        const variance = d3.sum(grid, d => (d.x - mean) * (d.x - mean) * d.y) / total;
+        return { mean, variance };
+    }
+
+    // Initial chain position: the target's own suggestion, or the grid
+    // maximum if that point has zero density (e.g. custom expressions)
+    startPosition() {
+        const start = this.target.start(this.targetParams);
+        if (Number.isFinite(this.logTargetDensity(start))) return start;
+
+        const [lo, hi] = this.targetRange();
+        let best = start;
+        let bestLog = -Infinity;
+        for (let i = 0; i <= 200; i++) {
+            const x = lo + (hi - lo) * i / 200;
+            const logValue = this.logTargetDensity(x);
+            if (logValue > bestLog) {
+                best = x;
+                bestLog = logValue;
+            }
+        }
+        return best;
+    }
+
+    get proposalKernel() {
+        return PROPOSAL_KERNELS[this.proposalType];
+    }
+
+    // Adaptation tunes the random-walk scale, so it does not apply to the
+    // independence kernel, to the other samplers or to a tempered ladder
+    get adaptationActive() {
+        return this.adaptMode !== 'off' &&
+            this.samplerType === 'metropolis' &&
+            this.proposalType !== 'independence' &&
+            !this.tempering;
     }
 
-    // Propose new position
-    proposePosition() {
-        return this.currentPosition + (Math.random() - 0.5) * 2 * this.proposalStd * Math.sqrt(12);
+    get temperatures() {
+        return temperatureLadder(this.replicaCount, this.maxTemperature);
     }
 
-    // Metropolis acceptance criterion
-    acceptProposal(current, proposed) {
-        const currentProb = this.targetDensity(current);
-        const proposedProb = this.targetDensity(proposed);
-        const acceptanceRatio = proposedProb / currentProb;
-        return Math.random() < Math.min(1, acceptanceRatio);
+    get proposalParams() {
+        return {
+            scale: this.adaptationActive ? this.adaptedScale : this.proposalStd,
+            independenceLoc: this.independenceLoc,
+            independenceScale: this.independenceScale
+        };
+    }
+
+    // Start adaptation again from the slider value
+    resetAdaptation() {
+        this.adaptedScale = this.proposalStd;
+        this.adapter = this.adaptationActive ? new ScaleAdapter(this.adaptMode, this.proposalStd) : null;
+        this.scaleHistory = [];
+    }
+
+    // The sampler configuration as plain data (see shared/chain.js)
+    get samplerSettings() {
+        return {
+            samplerType: this.samplerType,
+            proposalType: this.proposalType,
+            proposalParams: this.proposalParams,
+            stepSize: this.stepSize,
+            leapfrogSteps: this.leapfrogSteps,
+            sliceWidth: this.sliceWidth
+        };
+    }
+
+    // The target as plain data; a custom target is sent as its expression
+    // and a posterior as its model settings
+    get targetSettings() {
+        const target = { type: this.targetType, params: Object.assign({}, this.targetParams) };
+        if (this.targetType === 'custom') {
+            delete target.params.compiled;
+            target.expression = document.getElementById('custom-expression').value;
+        }
+        if (this.targetType === 'posterior') {
+            delete target.params.model;
+            target.model = this.posteriorSettings;
+        }
+        return target;
+    }
+
+    // Everything needed to reproduce the chain, as written to exported
+    // files. Settings changed during a run are recorded as they are now.
+    get chainSettings() {
+        return {
+            seed: this.seed,
+            sampler: this.samplerSettings,
+            temperatures: this.tempering ? this.temperatures : null,
+            adaptMode: this.adaptationActive ? this.adaptMode : 'off',
+            initialScale: this.proposalStd,
+            warmupLength: this.warmupLength,
+            target: this.targetSettings
+        };
+    }
+
+    // One iteration of the selected sampler, starting from `from`
+    samplerStep(from) {
+        return samplerStep(this.samplerSettings, x => this.logTargetDensity(x), from, this.rng);
     }
 
     setupControls() {
         const controls = {
-            'proposal-std': (val) => { this.proposalStd = parseFloat(val); },
-            'target-mean': (val) => { this.targetMean = parseFloat(val); },
-            'target-std': (val) => { this.targetStd = parseFloat(val); },
+            'proposal-std': (val) => {
+                this.proposalStd = parseFloat(val);
+                // During a run the slider only sets the next starting scale
+                if (this.samples.length === 0) this.resetAdaptation();
+            },
+            'warmup-length': (val) => { this.warmupLength = parseInt(val); },
+            'turbo-steps': (val) => { this.turboSteps = parseInt(val); },
+            'acf-max-lag': (val) => { this.acfMaxLag = parseInt(val); },
+            'acceptance-window': (val) => { this.acceptanceWindow = parseInt(val); },
+            'histogram-bins': (val) => { this.histogramBins = parseInt(val); },
+            'kde-bandwidth': (val) => { this.kdeBandwidthFactor = parseFloat(val); },
+            'independence-loc': (val) => { this.independenceLoc = parseFloat(val); },
+            'independence-scale': (val) => { this.independenceScale = parseFloat(val); },
+            'step-size': (val) => { this.stepSize = parseFloat(val); },
+            'leapfrog-steps': (val) => { this.leapfrogSteps = parseInt(val); },
+            'slice-width': (val) => { this.sliceWidth = parseFloat(val); },
+            'true-value': (val) => { this.trueValue = parseFloat(val); },
+            'data-count': (val) => { this.dataCount = Math.min(500, Math.max(1, parseInt(val) || 1)); },
             'animation-speed': (val) => { 
                 this.animationSpeed = parseInt(val);
                 this.updateAnimationSpeedLabel();
@@ -66,53 +299,768 @@ class MCMC1D {
             });
         });
 
+        const targetSelect = document.getElementById('target-type');
+        Object.entries(MCMC_TARGETS).forEach(([key, target]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = target.label;
+            targetSelect.appendChild(option);
+        });
+        targetSelect.value = this.targetType;
+        targetSelect.addEventListener('change', (e) => {
+            this.setTargetType(e.target.value);
+            // An imported chain stays; only the target drawn over it changes
+            if (this.imported) {
+                this.updateAll();
+            } else {
+                this.resetSampling();
+            }
+        });
+
+        const proposalSelect = document.getElementById('proposal-type');
+        Object.entries(PROPOSAL_KERNELS).forEach(([key, kernel]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = kernel.label + (kernel.symmetric ? '' : ' (asymmetric)') +
+                (kernel.positiveOnly ? ' - positive targets only' : '');
+            proposalSelect.appendChild(option);
+        });
+        proposalSelect.value = this.proposalType;
+        proposalSelect.addEventListener('change', (e) => {
+            this.proposalType = e.target.value;
+            this.updateSamplerControls();
+            this.resetSampling();
+        });
+
+        const samplerSelect = document.getElementById('sampler-type');
+        samplerSelect.value = this.samplerType;
+        samplerSelect.addEventListener('change', (e) => {
+            this.samplerType = e.target.value;
+            this.updateSamplerControls();
+            this.resetSampling();
+        });
+        this.updateSamplerControls();
+
+        document.getElementById('adapt-mode').addEventListener('change', (e) => {
+            this.adaptMode = e.target.value;
+            this.updateSamplerControls();
+            this.resetSampling();
+        });
+        document.getElementById('show-kde').addEventListener('change', (e) => {
+            this.showKde = e.target.checked;
+            this.updateAll();
+        });
+        document.getElementById('show-rejected').addEventListener('change', (e) => {
+            this.showRejected = e.target.checked;
+            this.updateAll();
+        });
+        document.getElementById('tempering-mode').addEventListener('change', (e) => {
+            this.tempering = e.target.checked;
+            this.updateSamplerControls();
+            this.resetSampling();
+        });
+        // A new ladder starts every replica again
+        document.getElementById('replica-count').addEventListener('input', (e) => {
+            this.replicaCount = parseInt(e.target.value);
+            this.resetSampling();
+        });
+        document.getElementById('max-temperature').addEventListener('input', (e) => {
+            this.maxTemperature = parseFloat(e.target.value);
+            this.resetSampling();
+        });
+        document.getElementById('exclude-burnin').addEventListener('change', (e) => {
+            this.excludeBurnin = e.target.checked;
+            this.updateAll();
+        });
+
+        this.setupPosteriorControls();
+
+        const expressionInput = document.getElementById('custom-expression');
+        expressionInput.value = MCMC_TARGETS.custom.expression;
+        expressionInput.addEventListener('change', (e) => {
+            if (this.compileCustomTarget(e.target.value)) {
+                this.resetSampling();
+            }
+        });
+
+        const seedInput = document.getElementById('seed');
+        seedInput.value = this.seed;
+        seedInput.addEventListener('change', (e) => {
+            // Anything but a whole number keeps the current seed
+            const seed = SeededRandom.parseSeed(e.target.value);
+            if (seed === null) {
+                e.target.value = this.seed;
+                return;
+            }
+            this.seed = seed;
+            this.resetSampling();
+        });
+        document.getElementById('new-seed-btn').addEventListener('click', () => {
+            this.seed = SeededRandom.randomSeed();
+            seedInput.value = this.seed;
+            this.resetSampling();
+        });
+
         // Buttons
         document.getElementById('start-btn').addEventListener('click', () => this.startSampling());
+        document.getElementById('turbo-btn').addEventListener('click', () => this.startTurbo());
+        document.getElementById('step-btn').addEventListener('click', () => this.stepForward());
+        document.getElementById('step-back-btn').addEventListener('click', () => this.stepBack());
+        document.getElementById('history-scrubber').addEventListener('input', (e) => {
+            this.pauseSampling();
+            this.showHistory(parseInt(e.target.value));
+        });
         document.getElementById('pause-btn').addEventListener('click', () => this.pauseSampling());
         document.getElementById('reset-btn').addEventListener('click', () => this.resetSampling());
+
+        // Chain files
+        const fileInput = document.getElementById('import-file');
+        document.getElementById('export-csv-btn').addEventListener('click', () => this.exportChain('csv'));
+        document.getElementById('export-json-btn').addEventListener('click', () => this.exportChain('json'));
+        document.getElementById('import-btn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) this.importChain(e.target.files[0]);
+            // Allow the same file to be picked again after fixing it
+            e.target.value = '';
+        });
+        document.getElementById('imported-column').addEventListener('change', (e) => {
+            this.showImportedColumn(parseInt(e.target.value));
+        });
+        document.getElementById('close-import-btn').addEventListener('click', () => this.closeImportedChain());
+        document.getElementById('apply-expression-btn').addEventListener('click', () => {
+            if (!this.imported || !this.imported.pendingTarget) return;
+            const target = this.imported.pendingTarget;
+            this.imported.pendingTarget = null;
+            this.applyTargetSettings(target);
+            this.updateAll();
+        });
         
         this.updateAnimationSpeedLabel();
     }
 
+    // Show only the controls used by the selected sampler and kernel
+    updateSamplerControls() {
+        const show = (id, visible, display = 'block') => {
+            document.getElementById(id).style.display = visible ? display : 'none';
+        };
+        const metropolis = this.samplerType === 'metropolis';
+        const independence = metropolis && this.proposalType === 'independence';
+
+        show('proposal-type-group', metropolis);
+        show('proposal-std-group', metropolis && !independence);
+        show('adapt-mode-group', metropolis && !independence && !this.tempering);
+        show('tempering-controls', this.tempering, 'grid');
+        show('scale-panel', this.adaptationActive);
+        show('independence-controls', independence, 'grid');
+        show('step-size-group', this.samplerType === 'mala' || this.samplerType === 'hmc');
+        show('leapfrog-steps-group', this.samplerType === 'hmc');
+        show('slice-width-group', this.samplerType === 'slice');
+        show('phase-panel', this.samplerType === 'hmc');
+    }
+
+    // Switch target and rebuild its parameter sliders
+    setTargetType(type) {
+        this.targetType = type;
+        this.targetParams = {};
+        this.target.params.forEach(param => {
+            this.targetParams[param.id] = param.value;
+        });
+
+        document.getElementById('custom-expression-group').style.display =
+            type === 'custom' ? 'block' : 'none';
+        if (type === 'custom') {
+            this.compileCustomTarget(document.getElementById('custom-expression').value);
+        }
+        document.getElementById('posterior-group').style.display =
+            type === 'posterior' ? 'block' : 'none';
+        if (type === 'posterior') {
+            this.targetParams.model = posteriorModel(this.posteriorSettings);
+        }
+
+        const container = document.getElementById('target-params');
+        container.innerHTML = '';
+        this.target.params.forEach(param => {
+            this.appendParamSlider(container, `target-${param.id}`, param, param.value, (value) => {
+                this.targetParams[param.id] = value;
+                this.updateNormaliser();
+                this.updateAll();
+            });
+        });
+
+        this.updateNormaliser();
+        this.updateProposalOptions();
+    }
+
+    // A multiplicative kernel never changes the sign of x, so on a target
+    // with mass on both sides of 0 it would sample one half only (and stay
+    // at a start of 0 for ever). It is offered for positive targets only.
+    updateProposalOptions() {
+        const positive = this.targetType === 'posterior'
+            ? POSTERIOR_LIKELIHOODS[this.posteriorSettings.likelihood].support[0] >= 0
+            : Boolean(this.target.positive);
+        const select = document.getElementById('proposal-type');
+        Object.entries(PROPOSAL_KERNELS).forEach(([key, kernel]) => {
+            select.querySelector(`option[value="${key}"]`).disabled = kernel.positiveOnly && !positive;
+        });
+        if (this.proposalKernel.positiveOnly && !positive) {
+            this.proposalType = 'gaussian';
+            select.value = this.proposalType;
+            this.updateSamplerControls();
+        }
+    }
+
+    // Add a labelled slider for `param` with element id `id`; the value
+    // label is `${id}-value`, kept up to date by updateControlLabels
+    appendParamSlider(container, id, param, value, onInput) {
+        const group = document.createElement('div');
+        group.className = 'control-group';
+        group.innerHTML =
+            `<label for="${id}">${param.label}: ` +
+            `<span id="${id}-value">${value}</span></label>` +
+            `<input type="range" id="${id}" min="${param.min}" ` +
+            `max="${param.max}" value="${value}" step="${param.step}">`;
+        container.appendChild(group);
+
+        group.querySelector('input').addEventListener('input', (e) => onInput(parseFloat(e.target.value)));
+    }
+
+    setupPosteriorControls() {
+        const likelihoodSelect = document.getElementById('posterior-likelihood');
+        Object.entries(POSTERIOR_LIKELIHOODS).forEach(([key, likelihood]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = likelihood.label;
+            likelihoodSelect.appendChild(option);
+        });
+        likelihoodSelect.addEventListener('change', (e) => {
+            this.setLikelihood(e.target.value);
+            this.updatePosteriorModel(true);
+        });
+        document.getElementById('posterior-prior').addEventListener('change', (e) => {
+            this.setPrior(e.target.value);
+            this.updatePosteriorModel(true);
+        });
+        document.getElementById('posterior-data').addEventListener('change', (e) => {
+            if (this.applyPosteriorData(e.target.value)) this.updatePosteriorModel(true);
+        });
+        document.getElementById('generate-data-btn').addEventListener('click', () => {
+            this.generatePosteriorData();
+            this.updatePosteriorModel(true);
+        });
+
+        this.setLikelihood('normal');
+    }
+
+    // Switch likelihood: default known parameters, its first prior, a
+    // true-θ slider over its support and a freshly generated dataset
+    setLikelihood(key) {
+        const likelihood = POSTERIOR_LIKELIHOODS[key];
+        const likelihoodParams = {};
+        likelihood.params.forEach(param => {
+            likelihoodParams[param.id] = param.value;
+        });
+        this.posteriorSettings = { likelihood: key, likelihoodParams, prior: null, priorParams: {}, data: [] };
+        document.getElementById('posterior-likelihood').value = key;
+
+        const container = document.getElementById('likelihood-params');
+        container.innerHTML = '';
+        likelihood.params.forEach(param => {
+            this.appendParamSlider(container, `likelihood-${param.id}`, param, param.value, (value) => {
+                this.posteriorSettings.likelihoodParams[param.id] = value;
+                this.updatePosteriorModel(false);
+            });
+        });
+
+        const priorSelect = document.getElementById('posterior-prior');
+        priorSelect.innerHTML = '';
+        likelihood.priors.forEach(prior => {
+            const option = document.createElement('option');
+            option.value = prior;
+            const conjugate = likelihood.conjugate && likelihood.conjugate.prior === prior;
+            option.textContent = POSTERIOR_PRIORS[prior].label + (conjugate ? ' (conjugate)' : '');
+            priorSelect.appendChild(option);
+        });
+        this.setPrior(likelihood.priors[0]);
+
+        // Set the range before the value, or the browser clamps it
+        const trueValue = document.getElementById('true-value');
+        trueValue.min = likelihood.trueValue.min;
+        trueValue.max = likelihood.trueValue.max;
+        trueValue.step = likelihood.trueValue.step;
+        trueValue.value = likelihood.trueValue.value;
+        this.trueValue = likelihood.trueValue.value;
+        document.getElementById('true-value-name').textContent = `True ${likelihood.parameter}`;
+
+        this.generatePosteriorData();
+    }
+
+    setPrior(key) {
+        const prior = POSTERIOR_PRIORS[key];
+        this.posteriorSettings.prior = key;
+        this.posteriorSettings.priorParams = {};
+        prior.params.forEach(param => {
+            this.posteriorSettings.priorParams[param.id] = param.value;
+        });
+        document.getElementById('posterior-prior').value = key;
+
+        const container = document.getElementById('prior-params');
+        container.innerHTML = '';
+        prior.params.forEach(param => {
+            this.appendParamSlider(container, `prior-${param.id}`, param, param.value, (value) => {
+                this.posteriorSettings.priorParams[param.id] = value;
+                this.updatePosteriorModel(false);
+            });
+        });
+    }
+
+    // Parse typed data, keeping the previous data on error
+    applyPosteriorData(text) {
+        const errorElement = document.getElementById('posterior-data-error');
+        try {
+            this.posteriorSettings.data = parseObservations(text, this.posteriorSettings.likelihood);
+            errorElement.textContent = '';
+        } catch (error) {
+            errorElement.textContent = `Invalid data: ${error.message}`;
+            return false;
+        }
+        return true;
+    }
+
+    // Simulated data depend only on the seed, so a dataset can be recreated
+    generatePosteriorData() {
+        const settings = this.posteriorSettings;
+        const rng = new SeededRandom(this.seed);
+        settings.data = POSTERIOR_LIKELIHOODS[settings.likelihood].generate(
+            this.trueValue, this.dataCount, settings.likelihoodParams, rng);
+        document.getElementById('posterior-data').value = settings.data.join(', ');
+        document.getElementById('posterior-data-error').textContent = '';
+    }
+
+    // Rebuild the posterior after its settings changed. New data or a new
+    // model family is a new target, so the chain starts again; prior and σ
+    // sliders act like the other targets' parameter sliders.
+    updatePosteriorModel(restart) {
+        if (this.targetType !== 'posterior') return;
+        this.targetParams.model = posteriorModel(this.posteriorSettings);
+        this.updateNormaliser();
+        this.updateProposalOptions();
+        if (restart && !this.imported) {
+            this.resetSampling();
+        } else {
+            this.updateAll();
+        }
+    }
+
+    // Put saved model settings (from an imported chain) into the controls
+    restorePosteriorSettings(saved) {
+        this.setLikelihood(saved.likelihood);
+        this.setPrior(saved.prior);
+        const settings = this.posteriorSettings;
+        [['likelihood', settings.likelihoodParams, saved.likelihoodParams],
+            ['prior', settings.priorParams, saved.priorParams]].forEach(([prefix, params, values]) => {
+            Object.keys(params).forEach(id => {
+                if (!values || !Number.isFinite(values[id])) return;
+                params[id] = values[id];
+                document.getElementById(`${prefix}-${id}`).value = values[id];
+            });
+        });
+        settings.data = saved.data.slice();
+        document.getElementById('posterior-data').value = settings.data.join(', ');
+    }
+
+    // Compile the custom log-density, keeping the previous one on error
+    compileCustomTarget(expression) {
+        const errorElement = document.getElementById('custom-expression-error');
+        try {
+            this.targetParams.compiled = compileLogDensity(expression);
+            errorElement.textContent = '';
+        } catch (error) {
+            errorElement.textContent = `Invalid expression: ${error.message}`;
+            if (!this.targetParams.compiled) {
+                this.targetParams.compiled = compileLogDensity(MCMC_TARGETS.custom.expression);
+            }
+            return false;
+        }
+        this.updateNormaliser();
+        return true;
+    }
+
     updateAnimationSpeedLabel() {
         const labels = ['Very Slow', 'Slow', 'Medium', 'Fast', 'Very Fast'];
         document.getElementById('animation-speed-value').textContent = labels[this.animationSpeed - 1];
     }
 
     startSampling() {
+        if (this.turboJob || this.imported) return;
+        this.viewIndex = null;
         this.isRunning = true;
         this.animate();
     }
 
+    // The recorded step being shown: the one picked on the timeline, or the
+    // latest one while following the chain
+    get selectedStep() {
+        return this.viewIndex === null ? this.lastStep : this.history[this.viewIndex];
+    }
+
+    // Show record `index`; the latest record means following the chain again
+    showHistory(index) {
+        const latest = this.history.length - 1;
+        this.viewIndex = index >= latest && this.lastStep === this.history[latest] ? null : index;
+        this.updateAll();
+    }
+
+    // Step forward through the timeline, or run one new iteration at its end
+    stepForward() {
+        if (this.turboJob || this.imported) return;
+        this.pauseSampling();
+        if (this.viewIndex !== null && this.viewIndex < this.history.length - 1) {
+            this.showHistory(this.viewIndex + 1);
+        } else {
+            this.viewIndex = null;
+            this.performStep();
+            this.updateAll();
+        }
+    }
+
+    stepBack() {
+        if (this.turboJob || this.imported) return;
+        this.pauseSampling();
+        let index = this.viewIndex;
+        if (index === null) {
+            // After a turbo run the latest record is older than the chain
+            index = this.lastStep ? this.history.length - 1 : this.history.length;
+        }
+        if (index > 0) this.showHistory(index - 1);
+    }
+
     pauseSampling() {
         this.isRunning = false;
         if (this.animationId) {
             cancelAnimationFrame(this.animationId);
         }
+        this.stopTurbo();
+    }
+
+    // Run `turboSteps` iterations without per-step animation, in a Web
+    // Worker where available and in time-sliced batches otherwise
+    startTurbo() {
+        if (this.turboJob || this.imported) return;
+        this.pauseSampling();
+
+        const target = this.targetSettings;
+        const adaptation = this.adapter && this.samples.length < this.warmupLength ? {
+            adapter: this.adapter,
+            warmupLength: this.warmupLength,
+            iteration: this.samples.length
+        } : null;
+
+        const job = {
+            settings: this.samplerSettings,
+            target,
+            start: this.currentPosition,
+            steps: this.turboSteps,
+            batchSize: this.turboBatchSize,
+            rngState: this.rng.getState(),
+            adaptation,
+            tempering: this.tempering ?
+                { temperatures: this.temperatures, positions: this.replicaPositions } : null,
+            received: 0,
+            worker: null
+        };
+        this.turboJob = job;
+        this.lastStep = null;
+        this.viewIndex = null;
+
+        if (typeof Worker !== 'undefined') {
+            try {
+                job.worker = new Worker('sampler-worker.js');
+                job.worker.onmessage = (e) => this.applyTurboBatch(job, e.data);
+                // Some browsers refuse workers on file:// pages; fall back
+                // to the main thread if nothing has arrived yet
+                job.worker.onerror = () => {
+                    job.worker.terminate();
+                    job.worker = null;
+                    if (this.turboJob === job && job.received === 0) this.runTurboOnMainThread(job);
+                };
+                job.worker.postMessage({
+                    settings: job.settings,
+                    target: job.target,
+                    start: job.start,
+                    steps: job.steps,
+                    batchSize: job.batchSize,
+                    rngState: job.rngState,
+                    adaptation: job.adaptation,
+                    tempering: job.tempering
+                });
+                this.updateTurboStatus();
+                return;
+            } catch (error) {
+                job.worker = null;
+            }
+        }
+        this.runTurboOnMainThread(job);
+    }
+
+    // Fallback without a worker: one batch per macrotask keeps the page responsive
+    runTurboOnMainThread(job) {
+        const rng = new SeededRandom(0);
+        rng.setState(job.rngState);
+        const logDensity = x => this.logTargetDensity(x);
+        const adaptation = job.adaptation ?
+            Object.assign({}, job.adaptation, { adapter: this.adapter }) : null;
+        let position = job.start;
+        let positions = job.tempering ? job.tempering.positions : null;
+        let done = 0;
+
+        const runBatch = () => {
+            if (this.turboJob !== job) return;
+            const count = Math.min(job.batchSize, job.steps - done);
+            let batch;
+            let swapCounts = null;
+            if (job.tempering) {
+                swapCounts = { attempted: positions.slice(1).fill(0), accepted: positions.slice(1).fill(0) };
+                batch = runTemperingBatch(job.settings, logDensity, positions, job.tempering.temperatures,
+                    count, rng, swapCounts);
+                positions = batch.positions;
+            } else {
+                batch = runChainBatch(job.settings, logDensity, position, count, rng, adaptation);
+            }
+            position = batch.position;
+            done += count;
+            this.applyTurboBatch(job, {
+                samples: batch.samples,
+                proposals: batch.proposals,
+                acceptedFlags: batch.acceptedFlags,
+                accepted: batch.accepted,
+                position,
+                scale: job.settings.proposalParams.scale,
+                scaleHistory: batch.scaleHistory,
+                adapter: null,
+                replicaPositions: positions,
+                swapCounts,
+                rngState: rng.getState(),
+                done: done === job.steps
+            });
+            if (done < job.steps) setTimeout(runBatch, 0);
+        };
+        this.updateTurboStatus();
+        setTimeout(runBatch, 0);
+    }
+
+    // Append a finished batch; the chain state always matches the last
+    // batch received, so stopping half-way leaves a valid chain
+    applyTurboBatch(job, batch) {
+        if (this.turboJob !== job) return;
+        job.received += batch.samples.length;
+
+        for (let i = 0; i < batch.samples.length; i++) {
+            this.samples.push(batch.samples[i]);
+            this.proposals.push(batch.proposals[i]);
+            this.acceptedFlags.push(batch.acceptedFlags[i] === 1);
+        }
+        this.acceptedSamples += batch.accepted;
+        this.currentPosition = batch.position;
+        this.proposedPosition = batch.position;
+        this.rng.setState(batch.rngState);
+
+        if (job.tempering) {
+            this.replicaPositions = batch.replicaPositions;
+            batch.swapCounts.attempted.forEach((count, k) => { this.swapAttempts[k] += count; });
+            batch.swapCounts.accepted.forEach((count, k) => { this.swapAccepts[k] += count; });
+        }
+        if (job.adaptation) {
+            this.adaptedScale = batch.scale;
+            batch.scaleHistory.forEach(scale => this.scaleHistory.push(scale));
+            if (batch.adapter) Object.assign(this.adapter, batch.adapter);
+        }
+
+        if (batch.done) {
+            this.stopTurbo();
+            this.updateAll();
+        } else {
+            this.scheduleRender();
+        }
+    }
+
+    stopTurbo() {
+        const job = this.turboJob;
+        if (!job) return;
+        if (job.worker) job.worker.terminate();
+        this.turboJob = null;
+        // Show the batches that arrived since the last capped redraw
+        this.scheduleRender();
+    }
+
+    updateTurboStatus() {
+        const job = this.turboJob;
+        document.getElementById('turbo-status').textContent = job ?
+            `Running… ${Math.round(100 * job.received / job.steps)}%` : '';
+    }
+
+    // Redraw at a capped frame rate however fast batches arrive
+    scheduleRender() {
+        if (this.renderPending) return;
+        this.renderPending = true;
+        const wait = Math.max(0, this.lastRender + this.minRenderInterval - performance.now());
+        setTimeout(() => {
+            requestAnimationFrame(() => {
+                this.renderPending = false;
+                this.lastRender = performance.now();
+                this.updateAll();
+            });
+        }, wait);
     }
 
     resetSampling() {
         this.pauseSampling();
-        this.currentPosition = 0.0;
-        this.proposedPosition = 0.0;
+        // Re-seeding makes every run with the same seed and settings identical
+        this.rng.setSeed(this.seed);
+        this.currentPosition = this.startPosition();
+        this.proposedPosition = this.currentPosition;
+        // Every replica starts where the plain chain would
+        this.replicaPositions = this.temperatures.map(() => this.currentPosition);
+        this.swapAttempts = new Array(this.replicaCount - 1).fill(0);
+        this.swapAccepts = new Array(this.replicaCount - 1).fill(0);
+        this.lastStep = null;
         this.samples = [];
+        this.proposals = [];
+        this.acceptedFlags = [];
         this.acceptedSamples = 0;
+        this.history = [];
+        this.viewIndex = null;
+        this.resetAdaptation();
+        this.updateAll();
+    }
+
+    // Download the whole chain with the settings that produced it
+    exportChain(format) {
+        if (this.samples.length === 0) return;
+        const chain = {
+            samples: this.samples,
+            proposals: this.proposals,
+            accepted: this.acceptedFlags,
+            settings: this.imported ? this.imported.settings : this.chainSettings
+        };
+        const text = format === 'json' ? chainToJson(chain) : chainToCsv(chain);
+        const blob = new Blob([text], { type: format === 'json' ? 'application/json' : 'text/csv' });
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `mcmc-1d-chain-seed-${this.seed}.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    importChain(file) {
+        const errorElement = document.getElementById('chain-file-error');
+        file.text()
+            .then(text => {
+                this.loadImportedChain(parseChainFile(text, file.name), file.name);
+                errorElement.textContent = '';
+            })
+            .catch(error => {
+                errorElement.textContent = `Could not import ${file.name}: ${error.message}`;
+            });
+    }
+
+    // Replace the sampler's chain with a parsed chain file. A target and
+    // warm-up recorded in the file are applied so that the overlays match,
+    // except a custom log-density: that is code from the file, so it waits
+    // until the user has read it and applies it.
+    loadImportedChain(chain, name) {
+        const target = chain.settings.target;
+        // Throws, before anything changes, on a model this page cannot use
+        if (target && target.type === 'posterior') posteriorModel(target.model || {});
+
+        this.pauseSampling();
+        this.imported = {
+            name,
+            columns: chain.columns,
+            proposals: chain.proposals,
+            accepted: chain.accepted,
+            settings: chain.settings,
+            pendingTarget: target && target.type === 'custom' && typeof target.expression === 'string' ? target : null
+        };
+
+        if (target && MCMC_TARGETS[target.type] && target.type !== 'custom') this.applyTargetSettings(target);
+        if (Number.isInteger(chain.settings.warmupLength)) {
+            this.warmupLength = chain.settings.warmupLength;
+            document.getElementById('warmup-length').value = this.warmupLength;
+        }
+
+        const columnSelect = document.getElementById('imported-column');
+        columnSelect.innerHTML = '';
+        chain.columns.forEach((column, i) => {
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = `${column.name} (${column.values.length} draws)`;
+            columnSelect.appendChild(option);
+        });
+        this.showImportedColumn(0);
+    }
+
+    applyTargetSettings(target) {
+        if (target.type === 'custom' && typeof target.expression === 'string') {
+            document.getElementById('custom-expression').value = target.expression;
+        }
+        if (target.type === 'posterior') this.restorePosteriorSettings(target.model);
+        this.setTargetType(target.type);
+        document.getElementById('target-type').value = target.type;
+        this.target.params.forEach(param => {
+            const value = target.params ? target.params[param.id] : undefined;
+            if (!Number.isFinite(value)) return;
+            this.targetParams[param.id] = value;
+            document.getElementById(`target-${param.id}`).value = value;
+        });
+        this.updateNormaliser();
+    }
+
+    // Show one column of the imported file as the chain
+    showImportedColumn(index) {
+        const imported = this.imported;
+        const values = imported.columns[index].values;
+        document.getElementById('imported-column').value = index;
+
+        this.samples = values.slice();
+        // Proposals and accept flags belong to the single chain of an exported file
+        const single = imported.columns.length === 1;
+        this.proposals = single && imported.proposals ? imported.proposals.slice() : [];
+        this.acceptedFlags = single && imported.accepted ? imported.accepted.slice() : [];
+        if (this.acceptedFlags.length > 0) {
+            this.acceptedSamples = this.acceptedFlags.filter(flag => flag).length;
+        } else {
+            // Without flags every move counts as an acceptance: a rejection
+            // repeats the current value
+            this.acceptedSamples = 0;
+            for (let i = 1; i < values.length; i++) {
+                if (values[i] !== values[i - 1]) this.acceptedSamples++;
+            }
+        }
+
+        this.currentPosition = values[values.length - 1];
+        this.proposedPosition = this.currentPosition;
+        this.lastStep = null;
+        this.history = [];
+        this.viewIndex = null;
+        this.histogram = null;
+        this.diagnostics = null;
+        this.resetAdaptation();
         this.updateAll();
     }
 
+    closeImportedChain() {
+        this.imported = null;
+        document.getElementById('chain-file-error').textContent = '';
+        this.resetSampling();
+    }
+
     animate() {
         if (!this.isRunning) return;
 
-        // Perform MCMC step
-        this.proposedPosition = this.proposePosition();
-        const accepted = this.acceptProposal(this.currentPosition, this.proposedPosition);
-        
-        if (accepted) {
-            this.currentPosition = this.proposedPosition;
-            this.acceptedSamples++;
-        }
-        
-        this.samples.push(this.currentPosition);
+        this.performStep();
         
         // Update visualizations
         this.updateAll();
@@ -124,19 +1072,208 @@ class MCMC1D {
         }, delay);
     }
 
+    // One iteration of the chain, recorded with everything needed to show
+    // it again later: the settings it was made with, u and the outcome
+    performStep() {
+        const from = this.currentPosition;
+        let step;
+        let tempering = null;
+        if (this.tempering) {
+            const temperatures = this.temperatures;
+            const result = temperingStep(this.samplerSettings, x => this.logTargetDensity(x),
+                this.replicaPositions, temperatures, this.rng);
+            this.recordSwap(result.swap);
+            // The cold replica's own move; an accepted swap can then replace
+            // the position it ended at
+            step = Object.assign({}, result.moves[0], { position: result.positions[0] });
+            tempering = {
+                temperatures,
+                moved: result.moves.map(move => move.position),
+                positions: result.positions,
+                swap: result.swap
+            };
+            this.replicaPositions = result.positions;
+        } else {
+            step = this.samplerStep(from);
+        }
+        this.lastStep = {
+            from,
+            ...step,
+            iteration: this.samples.length + 1,
+            proposalParams: this.proposalParams,
+            stepSize: this.stepSize,
+            tempering
+        };
+        this.history.push(this.lastStep);
+        this.proposals.push(step.proposed);
+        this.acceptedFlags.push(step.accepted);
+        if (this.history.length > this.maxHistory) {
+            this.history.shift();
+            if (this.viewIndex !== null) this.viewIndex = Math.max(0, this.viewIndex - 1);
+        }
+        this.proposedPosition = step.proposed;
+        this.currentPosition = step.position;
+        if (step.accepted) {
+            this.acceptedSamples++;
+        }
+        
+        this.samples.push(this.currentPosition);
+
+        // Tune the scale during warm-up only; afterwards it stays frozen
+        if (this.adapter && this.samples.length <= this.warmupLength) {
+            this.scaleHistory.push(this.proposalParams.scale);
+            const acceptProbability = Math.min(1, Math.exp(step.logRatio));
+            this.adaptedScale = this.adapter.update(this.samples.length, acceptProbability, step.position);
+        }
+    }
+
+    recordSwap(swap) {
+        if (!swap) return;
+        this.swapAttempts[swap.pair]++;
+        if (swap.accepted) this.swapAccepts[swap.pair]++;
+    }
+
     updateAll() {
+        this.updateTurboStatus();
+        this.updateImportControls();
+        this.updateHistoryControls();
         this.updateControlLabels();
+        this.updateDiagnostics();
         this.updateStats();
+        this.updatePosteriorSummary();
         this.updateTargetChart();
         this.updateTraceChart();
+        this.updateAcceptanceChart();
         this.updateHistogram();
+        this.updateDistanceChart();
         this.updateProposalChart();
+        this.updateTemperingPanel();
+        this.updatePhaseChart();
+        this.updateScaleChart();
+        this.updateDecisionChart();
+        this.updateRecentProposalsChart();
+        this.updateAcfChart();
+        this.updateEssPanel();
+        this.updateRunningMomentCharts();
+    }
+
+    updateHistoryControls() {
+        const scrubber = document.getElementById('history-scrubber');
+        const count = this.history.length;
+        scrubber.disabled = count === 0;
+        scrubber.max = Math.max(0, count - 1);
+
+        const step = this.selectedStep;
+        const index = this.viewIndex !== null ? this.viewIndex : (this.lastStep ? count - 1 : 0);
+        scrubber.value = index;
+        document.getElementById('history-label').textContent = step ?
+            `Iteration ${step.iteration} of ${this.samples.length}` +
+            (this.viewIndex !== null ? ' (reviewing)' : '') :
+            (count > 0 ? `Latest chain state (${count} recorded steps)` : 'No steps recorded yet');
+    }
+
+    // Imported chains are read-only: everything that would extend or
+    // restart the chain is disabled until Back to Sampler
+    updateImportControls() {
+        const imported = this.imported;
+        ['start-btn', 'pause-btn', 'step-btn', 'step-back-btn', 'reset-btn', 'turbo-btn', 'turbo-steps',
+            'sampler-type', 'proposal-type', 'adapt-mode', 'seed', 'new-seed-btn',
+            'tempering-mode', 'replica-count', 'max-temperature'].forEach(id => {
+            document.getElementById(id).disabled = imported !== null;
+        });
+        ['export-csv-btn', 'export-json-btn'].forEach(id => {
+            document.getElementById(id).disabled = this.samples.length === 0;
+        });
+
+        document.getElementById('imported-banner').style.display = imported ? 'block' : 'none';
+        if (!imported) return;
+
+        const settings = imported.settings;
+        const details = [];
+        if (settings.sampler && settings.sampler.samplerType) details.push(`sampler ${settings.sampler.samplerType}`);
+        if (settings.seed !== undefined) details.push(`seed ${settings.seed}`);
+        const chains = imported.columns.length;
+        const pending = imported.pendingTarget;
+        let targetNote = 'The target curve is the one selected above; pick the target the chain was drawn from.';
+        if (pending) {
+            targetNote = 'The file records the custom log-density below. It is JavaScript, so it only runs if you apply it; ' +
+                'until then the target curve is the one selected above.';
+        } else if (settings.target && MCMC_TARGETS[settings.target.type] && settings.target.type !== 'custom') {
+            targetNote = 'The target curve is the one recorded in the file.';
+        }
+        document.getElementById('imported-info').textContent =
+            `Viewing ${imported.name} (read-only): ${chains > 1 ? `${chains} chains` : `${this.samples.length} draws`}` +
+            (details.length > 0 ? `, ${details.join(', ')}` : '') + '. ' + targetNote;
+        document.getElementById('imported-column-group').style.display = chains > 1 ? 'inline' : 'none';
+        document.getElementById('imported-expression-group').style.display = pending ? 'block' : 'none';
+        document.getElementById('imported-expression').textContent = pending ? pending.expression : '';
     }
 
     updateControlLabels() {
         document.getElementById('proposal-std-value').textContent = this.proposalStd.toFixed(1);
-        document.getElementById('target-mean-value').textContent = this.targetMean.toFixed(1);
-        document.getElementById('target-std-value').textContent = this.targetStd.toFixed(1);
+        document.getElementById('independence-loc-value').textContent = this.independenceLoc.toFixed(1);
+        document.getElementById('independence-scale-value').textContent = this.independenceScale.toFixed(1);
+        document.getElementById('step-size-value').textContent = this.stepSize.toFixed(2);
+        document.getElementById('leapfrog-steps-value').textContent = this.leapfrogSteps;
+        document.getElementById('slice-width-value').textContent = this.sliceWidth.toFixed(1);
+        document.getElementById('warmup-length-value').textContent = this.warmupLength;
+        document.getElementById('acf-max-lag-value').textContent = this.acfMaxLag;
+        document.getElementById('histogram-bins-value').textContent = this.histogramBins;
+        document.getElementById('replica-count-value').textContent = this.replicaCount;
+        document.getElementById('max-temperature-value').textContent = this.maxTemperature.toFixed(1);
+        document.getElementById('temperature-ladder').textContent =
+            'Ladder: T = ' + this.temperatures.map(t => t.toFixed(2)).join(', ');
+        this.target.params.forEach(param => {
+            document.getElementById(`target-${param.id}-value`).textContent =
+                this.targetParams[param.id].toFixed(2);
+        });
+
+        const settings = this.posteriorSettings;
+        POSTERIOR_LIKELIHOODS[settings.likelihood].params.forEach(param => {
+            document.getElementById(`likelihood-${param.id}-value`).textContent =
+                settings.likelihoodParams[param.id].toFixed(2);
+        });
+        POSTERIOR_PRIORS[settings.prior].params.forEach(param => {
+            document.getElementById(`prior-${param.id}-value`).textContent =
+                settings.priorParams[param.id].toFixed(2);
+        });
+        document.getElementById('true-value-value').textContent = this.trueValue.toFixed(2);
+    }
+
+    // Data summary, the exact posterior of conjugate models and the chain's
+    // estimate of the posterior mean and standard deviation
+    updatePosteriorSummary() {
+        if (this.targetType !== 'posterior') return;
+        const settings = this.posteriorSettings;
+        const model = this.targetParams.model;
+        const parameter = POSTERIOR_LIKELIHOODS[settings.likelihood].parameter;
+
+        const parts = [`n = ${settings.data.length}, data mean ${d3.mean(settings.data).toFixed(3)}.`];
+        if (model.conjugate) {
+            const exact = model.conjugate.moments;
+            parts.push(`Exact posterior: ${parameter} | data ~ ` +
+                `${POSTERIOR_PRIORS[model.conjugate.prior].describe(model.conjugate.params)}, ` +
+                `mean ${exact.mean.toFixed(3)}, sd ${Math.sqrt(exact.variance).toFixed(3)}.`);
+        } else {
+            parts.push('No closed form for this prior: the posterior curve is normalised numerically.');
+        }
+        const start = this.analysisStart;
+        const count = this.samples.length - start;
+        if (count > 1) {
+            // A plain loop: turbo chains are too long to copy every frame
+            let sum = 0;
+            let sumSquares = 0;
+            for (let i = start; i < this.samples.length; i++) {
+                const offset = this.samples[i] - this.samples[start];
+                sum += offset;
+                sumSquares += offset * offset;
+            }
+            const mean = sum / count;
+            const sd = Math.sqrt(Math.max(0, (sumSquares - count * mean * mean) / (count - 1)));
+            parts.push(`Chain: mean ${(this.samples[start] + mean).toFixed(3)}, sd ${sd.toFixed(3)}` +
+                (start > 0 ? ' (after burn-in).' : '.'));
+        }
+        document.getElementById('posterior-summary').textContent = parts.join(' ');
     }
 
     updateStats() {
@@ -144,318 +1281,1714 @@ class MCMC1D {
         const acceptanceRate = this.samples.length > 0 ? 
             (this.acceptedSamples / this.samples.length * 100).toFixed(1) : 0;
         document.getElementById('acceptance-rate').textContent = acceptanceRate + '%';
+        document.getElementById('ess-value').textContent = this.diagnostics ?
+            Math.round(this.diagnostics.count / this.diagnostics.geyer) : '–';
+
+        let scaleText = '';
+        if (this.adaptationActive) {
+            const phase = this.samples.length < this.warmupLength ? 'adapting' : 'frozen';
+            scaleText = ` | Proposal Scale: ${this.adaptedScale.toFixed(3)} (${phase})`;
+        }
+        document.getElementById('scale-status').textContent = scaleText;
     }
 
     createVisualizations() {
         // Create SVG containers
         this.targetSvg = this.createSvg('#target-chart');
         this.traceSvg = this.createSvg('#trace-chart');
+        this.acceptanceSvg = this.createSvg('#acceptance-chart');
         this.histogramSvg = this.createSvg('#histogram-chart');
         this.proposalSvg = this.createSvg('#proposal-chart');
+        this.phaseSvg = this.createSvg('#phase-chart');
+        this.acfSvg = this.createSvg('#acf-chart');
+        this.runningMeanSvg = this.createSvg('#running-mean-chart');
+        this.runningVarianceSvg = this.createSvg('#running-variance-chart');
+        this.distanceSvg = this.createSvg('#distance-chart');
+        this.scaleSvg = this.createSvg('#scale-chart', this.scaleChartHeight);
+        this.decisionSvg = this.createSvg('#decision-chart', this.decisionChartHeight);
+        this.recentProposalsSvg = this.createSvg('#recent-proposals-chart', this.recentProposalsChartHeight);
+        this.temperingSvg = this.createSvg('#tempering-chart', this.temperingChartHeight);
+    }
+
+    createSvg(selector, height = this.chartHeight) {
+        return d3.select(selector)
+            .append('svg')
+            .attr('width', this.chartWidth)
+            .attr('height', height);
+    }
+
+    updateTargetChart() {
+        const svg = this.targetSvg;
+        const width = this.chartWidth - this.margin.left - this.margin.right;
+        const height = this.chartHeight - this.margin.top - this.margin.bottom;
+
+        svg.selectAll('*').remove();
+        const g = svg.append('g')
+            .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+
+        // Create target distribution curve
+        const xRange = this.targetRange();
+        const targetData = this.targetGrid(xRange);
+        const xScale = d3.scaleLinear().domain(xRange).range([0, width]);
+        const yScale = d3.scaleLinear()
+            .domain([0, (d3.max(targetData, d => d.y) || 1) * 1.1])
+            .range([height, 0]);
+
+        // Draw target distribution
+        const line = d3.line()
+            .x(d => xScale(d.x))
+            .y(d => Math.max(0, yScale(d.y)))
+            .curve(d3.curveMonotoneX);
+
+        g.append('path')
+            .datum(targetData)
+            .attr('fill', 'none')
+            .attr('stroke', '#4299e1')
+            .attr('stroke-width', 2)
+            .attr('d', line);
+
+        if (this.targetType === 'posterior') {
+            this.drawPosteriorParts(g, xScale, yScale, xRange);
+        }
+
+        // Draw the chain position after the selected step
+        const step = this.selectedStep;
+        const position = step ? step.position : this.currentPosition;
+        if (this.samples.length > 0 && position >= xRange[0] && position <= xRange[1]) {
+            g.append('circle')
+                .attr('cx', xScale(position))
+                .attr('cy', height - 10)
+                .attr('r', 6)
+                .attr('fill', '#e53e3e')
+                .attr('stroke', 'white')
+                .attr('stroke-width', 2);
+
+            // Draw vertical line from current position to distribution
+            g.append('line')
+                .attr('x1', xScale(position))
+                .attr('x2', xScale(position))
+                .attr('y1', height - 10)
+                .attr('y2', yScale(this.targetDensity(position)))
+                .attr('stroke', '#e53e3e')
+                .attr('stroke-dasharray', '3,3')
+                .attr('opacity', 0.7);
+        }
+
+        if (this.samplerType === 'slice' && step) {
+            this.drawSlice(g, xScale, yScale, xRange);
+        }
+
+        // Axes
+        g.append('g')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(xScale));
+        
+        g.append('g')
+            .call(d3.axisLeft(yScale));
+
+        // Labels
+        g.append('text')
+            .attr('x', width / 2)
+            .attr('y', height + 35)
+            .attr('text-anchor', 'middle')
+            .text(this.targetType === 'posterior' ?
+                POSTERIOR_LIKELIHOODS[this.posteriorSettings.likelihood].parameter : 'x');
+    }
+
+    // Inference mode: the prior, the likelihood rescaled to unit area over
+    // the plot range and, for conjugate models, the exact posterior, drawn
+    // over the sampled (blue) posterior
+    drawPosteriorParts(g, xScale, yScale, xRange) {
+        const model = this.targetParams.model;
+        const width = this.chartWidth - this.margin.left - this.margin.right;
+        const points = 200;
+        const dx = (xRange[1] - xRange[0]) / points;
+        const xs = d3.range(points + 1).map(i => xRange[0] + i * dx);
+        const logLikelihood = xs.map(x => model.logLikelihood(x));
+        const logScale = logSumExp(logLikelihood) + Math.log(dx);
+
+        const curves = [
+            { label: 'Prior', color: '#a0aec0', dash: '5,3', data: xs.map(x => ({ x, y: Math.exp(model.logPrior(x)) })) },
+            { label: 'Likelihood (scaled)', color: '#ff9500', dash: null,
+                data: xs.map((x, i) => ({ x, y: Math.exp(logLikelihood[i] - logScale) })) }
+        ];
+        if (model.conjugate) {
+            curves.push({ label: 'Exact posterior', color: '#e53e3e', dash: '4,4',
+                data: xs.map(x => ({ x, y: Math.exp(model.conjugate.logDensity(x)) })) });
+        }
+
+        const line = d3.line()
+            .defined(d => Number.isFinite(d.y))
+            .x(d => xScale(d.x))
+            .y(d => Math.max(0, yScale(d.y)))
+            .curve(d3.curveMonotoneX);
+        curves.forEach(curve => {
+            g.append('path')
+                .datum(curve.data)
+                .attr('fill', 'none')
+                .attr('stroke', curve.color)
+                .attr('stroke-width', 2)
+                .attr('stroke-dasharray', curve.dash)
+                .attr('d', line);
+        });
+
+        [{ label: 'Posterior', color: '#4299e1', dash: null }].concat(curves).forEach((item, i) => {
+            g.append('line')
+                .attr('x1', width - 130)
+                .attr('x2', width - 110)
+                .attr('y1', 6 + i * 16)
+                .attr('y2', 6 + i * 16)
+                .attr('stroke', item.color)
+                .attr('stroke-width', 2)
+                .attr('stroke-dasharray', item.dash);
+            g.append('text')
+                .attr('x', width - 105)
+                .attr('y', 10 + i * 16)
+                .attr('font-size', '11px')
+                .text(item.label);
+        });
+    }
+
+    // Slice sampling detail: the horizontal slice at the drawn level, the
+    // stepped-out interval and the successive shrunken intervals below it
+    drawSlice(g, xScale, yScale, xRange) {
+        const step = this.selectedStep;
+        const clampX = (x) => xScale(Math.min(Math.max(x, xRange[0]), xRange[1]));
+        const levelY = yScale(Math.exp(step.logLevel - this.logNormaliser));
+
+        g.append('line')
+            .attr('x1', 0)
+            .attr('x2', xScale(xRange[1]))
+            .attr('y1', levelY)
+            .attr('y2', levelY)
+            .attr('stroke', '#805ad5')
+            .attr('stroke-dasharray', '2,3')
+            .attr('opacity', 0.6);
+
+        g.append('line')
+            .attr('x1', clampX(step.steppedOut[0]))
+            .attr('x2', clampX(step.steppedOut[1]))
+            .attr('y1', levelY)
+            .attr('y2', levelY)
+            .attr('stroke', '#805ad5')
+            .attr('stroke-width', 3);
+
+        step.shrinks.forEach((shrink, i) => {
+            const y = levelY + 6 * (i + 1);
+            const last = i === step.shrinks.length - 1;
+            g.append('line')
+                .attr('x1', clampX(shrink.left))
+                .attr('x2', clampX(shrink.right))
+                .attr('y1', y)
+                .attr('y2', y)
+                .attr('stroke', '#b794f4')
+                .attr('stroke-width', 1.5);
+            g.append('circle')
+                .attr('cx', clampX(shrink.candidate))
+                .attr('cy', y)
+                .attr('r', 3)
+                .attr('fill', last ? '#38a169' : '#a0aec0');
+        });
+
+        g.append('circle')
+            .attr('cx', clampX(step.from))
+            .attr('cy', levelY)
+            .attr('r', 4)
+            .attr('fill', '#e53e3e');
     }
 
-    createSvg(selector) {
-        return d3.select(selector)
-            .append('svg')
-            .attr('width', this.chartWidth)
-            .attr('height', this.chartHeight);
+    updateTraceChart() {
+        if (this.samples.length === 0) return;
+
+        const svg = this.traceSvg;
+        const width = this.chartWidth - this.margin.left - this.margin.right;
+        const height = this.chartHeight - this.margin.top - this.margin.bottom;
+
+        svg.selectAll('*').remove();
+        const g = svg.append('g')
+            .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+
+        const xScale = d3.scaleLinear()
+            .domain([0, Math.max(this.samples.length, 100)])
+            .range([0, width]);
+
+        // Long chains are drawn as the min/max of each pixel column, so the
+        // number of SVG elements stays fixed; finding the columns (like the
+        // ghosts, acceptance and running moments) is still a pass over the
+        // whole chain on every redraw
+        const envelope = this.samples.length > 2 * width ? this.traceEnvelope(Math.floor(width)) : null;
+        const ghosts = this.showRejected ? this.rejectedGhosts(envelope ? Math.floor(width) : null) : [];
+        const yExtent = envelope ?
+            [d3.min(envelope, d => d.min), d3.max(envelope, d => d.max)] :
+            d3.extent(this.samples);
+        if (ghosts.length > 0) {
+            yExtent[0] = Math.min(yExtent[0], d3.min(ghosts, d => d.value));
+            yExtent[1] = Math.max(yExtent[1], d3.max(ghosts, d => d.value));
+        }
+        const yPadding = (yExtent[1] - yExtent[0]) * 0.1;
+        const yScale = d3.scaleLinear()
+            .domain([yExtent[0] - yPadding, yExtent[1] + yPadding])
+            .range([height, 0]);
+
+        // Shade the burn-in (warm-up) region
+        if (this.warmupLength > 0) {
+            const burninEnd = Math.min(this.warmupLength, xScale.domain()[1]);
+            g.append('rect')
+                .attr('x', 0)
+                .attr('y', 0)
+                .attr('width', xScale(burninEnd))
+                .attr('height', height)
+                .attr('fill', '#a0aec0')
+                .attr('opacity', 0.2);
+
+            g.append('text')
+                .attr('x', 4)
+                .attr('y', 12)
+                .attr('font-size', '11px')
+                .attr('fill', '#718096')
+                .text('burn-in');
+        }
+
+        // Draw trace line
+        if (envelope) {
+            const area = d3.area()
+                .x(d => xScale(d.index))
+                .y0(d => yScale(d.min))
+                .y1(d => yScale(d.max));
+
+            g.append('path')
+                .datum(envelope)
+                .attr('fill', '#38a169')
+                .attr('stroke', '#38a169')
+                .attr('stroke-width', 1)
+                .attr('d', area);
+        } else {
+            const line = d3.line()
+                .x((d, i) => xScale(i))
+                .y(d => yScale(d));
+
+            g.append('path')
+                .datum(this.samples)
+                .attr('fill', 'none')
+                .attr('stroke', '#38a169')
+                .attr('stroke-width', 1.5)
+                .attr('d', line);
+        }
+
+        // Rejected proposals as hollow ghosts, joined to the value the chain
+        // repeated instead; long chains show the lowest and highest
+        // rejection of each pixel column
+        g.selectAll('.ghost-link')
+            .data(envelope ? [] : ghosts)
+            .enter().append('line')
+            .attr('class', 'ghost-link')
+            .attr('x1', d => xScale(d.index))
+            .attr('x2', d => xScale(d.index))
+            .attr('y1', d => yScale(this.samples[d.index]))
+            .attr('y2', d => yScale(d.value))
+            .attr('stroke', '#e53e3e')
+            .attr('stroke-width', 1)
+            .attr('stroke-dasharray', '2,2')
+            .attr('opacity', 0.5);
+
+        g.selectAll('.ghost')
+            .data(ghosts)
+            .enter().append('circle')
+            .attr('class', 'ghost')
+            .attr('cx', d => xScale(d.index))
+            .attr('cy', d => yScale(d.value))
+            .attr('r', envelope ? 1.5 : 3)
+            .attr('fill', 'none')
+            .attr('stroke', '#e53e3e')
+            .attr('stroke-width', 1)
+            .attr('opacity', 0.6);
+
+        // Iteration picked on the timeline
+        if (this.viewIndex !== null) {
+            const x = xScale(this.selectedStep.iteration - 1);
+            g.append('line')
+                .attr('x1', x)
+                .attr('x2', x)
+                .attr('y1', 0)
+                .attr('y2', height)
+                .attr('stroke', '#ff9500')
+                .attr('stroke-width', 2)
+                .attr('stroke-dasharray', '4,3');
+        }
+
+        // Highlight recent points
+        const recentSamples = this.samples.slice(-20);
+        const startIndex = Math.max(0, this.samples.length - 20);
+
+        g.selectAll('.recent-point')
+            .data(recentSamples)
+            .enter().append('circle')
+            .attr('class', 'recent-point')
+            .attr('cx', (d, i) => xScale(startIndex + i))
+            .attr('cy', d => yScale(d))
+            .attr('r', 2)
+            .attr('fill', '#e53e3e')
+            .attr('opacity', (d, i) => 0.3 + 0.7 * (i / recentSamples.length));
+
+        // Axes
+        g.append('g')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(xScale));
+        
+        g.append('g')
+            .call(d3.axisLeft(yScale));
+
+        // Labels
+        g.append('text')
+            .attr('x', width / 2)
+            .attr('y', height + 35)
+            .attr('text-anchor', 'middle')
+            .text('Sample Number');
+    }
+
+    // Minimum and maximum of the samples falling into each of `columns`
+    // equal slices of the chain
+    traceEnvelope(columns) {
+        const n = this.samples.length;
+        const envelope = [];
+        for (let c = 0; c < columns; c++) {
+            const start = Math.floor(c * n / columns);
+            const end = Math.floor((c + 1) * n / columns);
+            let min = Infinity;
+            let max = -Infinity;
+            for (let i = start; i < end; i++) {
+                const x = this.samples[i];
+                if (x < min) min = x;
+                if (x > max) max = x;
+            }
+            envelope.push({ index: (start + end) / 2, min, max });
+        }
+        return envelope;
+    }
+
+    // Rejected proposals as { index, value }: all of them, or with `columns`
+    // only the lowest and highest in each equal slice of the chain, as in
+    // traceEnvelope
+    rejectedGhosts(columns = null) {
+        const n = Math.min(this.proposals.length, this.acceptedFlags.length);
+        const ghosts = [];
+        if (columns === null) {
+            for (let i = 0; i < n; i++) {
+                if (!this.acceptedFlags[i]) ghosts.push({ index: i, value: this.proposals[i] });
+            }
+            return ghosts;
+        }
+        for (let c = 0; c < columns; c++) {
+            const start = Math.floor(c * n / columns);
+            const end = Math.floor((c + 1) * n / columns);
+            let min = Infinity;
+            let max = -Infinity;
+            for (let i = start; i < end; i++) {
+                if (this.acceptedFlags[i]) continue;
+                const x = this.proposals[i];
+                if (x < min) min = x;
+                if (x > max) max = x;
+            }
+            if (min === Infinity) continue;
+            const index = (start + end) / 2;
+            ghosts.push({ index, value: min });
+            if (max > min) ghosts.push({ index, value: max });
+        }
+        return ghosts;
+    }
+
+    // Acceptance rate over the last `acceptanceWindow` iterations, with
+    // the cumulative rate for comparison
+    updateAcceptanceChart() {
+        const svg = this.acceptanceSvg;
+        const width = this.chartWidth - this.margin.left - this.margin.right;
+        const height = this.chartHeight - this.margin.top - this.margin.bottom;
+
+        svg.selectAll('*').remove();
+        const g = svg.append('g')
+            .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+
+        if (this.acceptedFlags.length === 0) {
+            g.append('text')
+                .attr('x', width / 2)
+                .attr('y', height / 2)
+                .attr('text-anchor', 'middle')
+                .style('font-size', '14px')
+                .style('fill', '#666')
+                .text(this.samples.length > 0 ?
+                    'This chain has no record of accepted and rejected proposals' :
+                    'Click Start to begin sampling');
+            return;
+        }
+
+        const n = this.acceptedFlags.length;
+        const rates = windowedAcceptanceRate(this.acceptedFlags, this.acceptanceWindow, Math.floor(width));
+        const xScale = d3.scaleLinear()
+            .domain([0, Math.max(n, 100)])
+            .range([0, width]);
+        const yScale = d3.scaleLinear()
+            .domain([0, 1])
+            .range([height, 0]);
+
+        if (this.warmupLength > 0 && !this.imported) {
+            g.append('rect')
+                .attr('x', 0)
+                .attr('y', 0)
+                .attr('width', xScale(Math.min(this.warmupLength, xScale.domain()[1])))
+                .attr('height', height)
+                .attr('fill', '#a0aec0')
+                .attr('opacity', 0.2);
+        }
+
+        // The 44% optimum of a 1D random walk
+        if (this.samplerType === 'metropolis' && this.proposalKernel.symmetric && !this.imported) {
+            g.append('line')
+                .attr('x1', 0)
+                .attr('x2', width)
+                .attr('y1', yScale(0.44))
+                .attr('y2', yScale(0.44))
+                .attr('stroke', '#ff9500')
+                .attr('stroke-width', 1.5)
+                .attr('stroke-dasharray', '4,3');
+            g.append('text')
+                .attr('x', width - 4)
+                .attr('y', yScale(0.44) - 4)
+                .attr('text-anchor', 'end')
+                .attr('font-size', '11px')
+                .attr('fill', '#ff9500')
+                .text('44%');
+        }
+
+        const overall = this.acceptedFlags.filter(flag => flag).length / n;
+        g.append('line')
+            .attr('x1', 0)
+            .attr('x2', width)
+            .attr('y1', yScale(overall))
+            .attr('y2', yScale(overall))
+            .attr('stroke', '#a0aec0')
+            .attr('stroke-width', 1.5)
+            .attr('stroke-dasharray', '2,2');
+
+        g.append('path')
+            .datum(rates)
+            .attr('fill', 'none')
+            .attr('stroke', '#4299e1')
+            .attr('stroke-width', 1.5)
+            .attr('d', d3.line()
+                .x(d => xScale(d.count))
+                .y(d => yScale(d.rate)));
+
+        const legend = [
+            { label: `Last ${this.acceptanceWindow} iterations`, color: '#4299e1', dash: null },
+            { label: `Overall (${(overall * 100).toFixed(1)}%)`, color: '#a0aec0', dash: '2,2' }
+        ];
+        legend.forEach((item, k) => {
+            g.append('line')
+                .attr('x1', 10)
+                .attr('x2', 30)
+                .attr('y1', 6 + k * 14)
+                .attr('y2', 6 + k * 14)
+                .attr('stroke', item.color)
+                .attr('stroke-width', 2)
+                .attr('stroke-dasharray', item.dash);
+            g.append('text')
+                .attr('x', 35)
+                .attr('y', 10 + k * 14)
+                .attr('font-size', '11px')
+                .text(item.label);
+        });
+
+        g.append('g')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(xScale));
+        g.append('g')
+            .call(d3.axisLeft(yScale).ticks(5).tickFormat(d3.format('.0%')));
+        g.append('text')
+            .attr('x', width / 2)
+            .attr('y', height + 35)
+            .attr('text-anchor', 'middle')
+            .text('Sample Number');
+    }
+
+    // Fixed bins over the target's plot range, filled incrementally: only
+    // samples that arrived since the last redraw are binned. A second, fine
+    // binning feeds the KDE and the KS distance. The distances to the target
+    // are recorded at roughly 5% steps in the sample count. Everything is
+    // rebuilt when the range, the binning, the target or the burn-in
+    // exclusion changes.
+    updateHistogramCounts() {
+        const [lo, hi] = this.targetRange();
+        const skip = this.excludeBurnin ? this.warmupLength : 0;
+        const bins = this.histogramBins;
+        const targetKey = JSON.stringify(this.targetSettings);
+        const h = this.histogram;
+        if (!h || h.lo !== lo || h.hi !== hi || h.skip !== skip || h.bins !== bins ||
+            h.targetKey !== targetKey || h.next > this.samples.length) {
+            const density = x => this.targetDensity(x);
+            this.histogram = {
+                lo,
+                hi,
+                skip,
+                bins,
+                targetKey,
+                counts: new Array(bins).fill(0),
+                fineCounts: new Array(this.fineBins).fill(0),
+                probabilities: binProbabilities(density, lo, hi, bins),
+                fineProbabilities: binProbabilities(density, lo, hi, this.fineBins, 2),
+                total: 0,
+                next: 0,
+                distances: [],
+                nextCheckpoint: 10
+            };
+        }
+
+        const histogram = this.histogram;
+        const binWidth = (hi - lo) / bins;
+        const fineWidth = (hi - lo) / this.fineBins;
+        for (let i = Math.max(histogram.next, skip); i < this.samples.length; i++) {
+            const x = this.samples[i];
+            const bin = Math.floor((x - lo) / binWidth);
+            // Samples outside the plot range count towards the total only
+            if (bin >= 0 && bin < bins) histogram.counts[bin]++;
+            const fineBin = Math.floor((x - lo) / fineWidth);
+            if (fineBin >= 0 && fineBin < this.fineBins) histogram.fineCounts[fineBin]++;
+            histogram.total++;
+
+            if (histogram.total >= histogram.nextCheckpoint) {
+                histogram.distances.push(this.distancesToTarget(histogram));
+                histogram.nextCheckpoint = Math.max(histogram.total + 1, Math.ceil(histogram.total * 1.05));
+            }
+        }
+        histogram.next = this.samples.length;
+        return histogram;
+    }
+
+    distancesToTarget(histogram) {
+        return {
+            count: histogram.total,
+            ks: binnedKsDistance(histogram.fineCounts, histogram.fineProbabilities),
+            ...binnedDivergences(histogram.counts, histogram.probabilities)
+        };
+    }
+
+    // KDE bandwidth: the slider is a multiple of Silverman's rule
+    kdeBandwidth(histogram) {
+        return this.kdeBandwidthFactor * silvermanBandwidth(histogram.fineCounts, histogram.lo, histogram.hi);
+    }
+
+    updateHistogram() {
+        const svg = this.histogramSvg;
+        const width = this.chartWidth - this.margin.left - this.margin.right;
+        const height = this.chartHeight - this.margin.top - this.margin.bottom;
+
+        svg.selectAll('*').remove();
+        document.getElementById('kde-bandwidth-value').textContent = `${this.kdeBandwidthFactor.toFixed(1)} × Silverman`;
+        if (this.samples.length < 10) return;
+
+        const g = svg.append('g')
+            .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+
+        const histogram = this.updateHistogramCounts();
+        if (histogram.total < 10) {
+            g.append('text')
+                .attr('x', width / 2)
+                .attr('y', height / 2)
+                .attr('text-anchor', 'middle')
+                .attr('fill', '#666')
+                .text('Waiting for samples after burn-in...');
+            return;
+        }
+
+        // Bars are densities, count / (n × bin width), so they share the
+        // target's scale and integrate to the fraction of samples in range
+        const binWidth = (histogram.hi - histogram.lo) / histogram.bins;
+        const bins = histogram.counts.map((count, i) => ({
+            x0: histogram.lo + i * binWidth,
+            x1: histogram.lo + (i + 1) * binWidth,
+            density: count / (histogram.total * binWidth)
+        }));
+        const xExtent = [histogram.lo, histogram.hi];
+        const targetData = this.targetGrid(xExtent, 200);
+
+        let kde = null;
+        if (this.showKde) {
+            const bandwidth = this.kdeBandwidth(histogram);
+            kde = binnedKde(histogram.fineCounts, histogram.lo, histogram.hi, bandwidth, histogram.total);
+            document.getElementById('kde-bandwidth-value').textContent =
+                `${this.kdeBandwidthFactor.toFixed(1)} × Silverman (h = ${bandwidth.toPrecision(2)})`;
+        }
+
+        // A density that is infinite at the edge (e.g. Beta with a < 1)
+        // would flatten everything else, so the axis stops at 2× the bars
+        const barMax = d3.max(bins, d => d.density) || 1;
+        const curveMax = d3.max(targetData.concat(kde || []), d => (Number.isFinite(d.y) ? d.y : 0));
+        const xScale = d3.scaleLinear()
+            .domain(xExtent)
+            .range([0, width]);
+        const yScale = d3.scaleLinear()
+            .domain([0, Math.max(barMax, Math.min(curveMax, 2 * barMax))])
+            .range([height, 0])
+            .clamp(true);
+
+        // Draw bars
+        g.selectAll('.bar')
+            .data(bins)
+            .enter().append('rect')
+            .attr('class', 'bar')
+            .attr('x', d => xScale(d.x0))
+            .attr('y', d => yScale(d.density))
+            .attr('width', d => Math.max(0, xScale(d.x1) - xScale(d.x0) - 1))
+            .attr('height', d => height - yScale(d.density))
+            .attr('fill', '#805ad5')
+            .attr('opacity', 0.7);
+
+        // Overlay the normalised target density
+        const line = d3.line()
+            .defined(d => Number.isFinite(d.y))
+            .x(d => xScale(d.x))
+            .y(d => yScale(d.y))
+            .curve(d3.curveMonotoneX);
+
+        g.append('path')
+            .datum(targetData)
+            .attr('fill', 'none')
+            .attr('stroke', '#e53e3e')
+            .attr('stroke-width', 2)
+            .attr('d', line);
+
+        if (kde) {
+            g.append('path')
+                .datum(kde)
+                .attr('fill', 'none')
+                .attr('stroke', '#ff9500')
+                .attr('stroke-width', 2)
+                .attr('stroke-dasharray', '5,3')
+                .attr('d', line);
+        }
+
+        const legend = [{ label: 'Target density', color: '#e53e3e' }];
+        if (kde) legend.push({ label: 'KDE', color: '#ff9500' });
+        legend.forEach((item, i) => {
+            g.append('line')
+                .attr('x1', width - 110)
+                .attr('x2', width - 90)
+                .attr('y1', 6 + i * 16)
+                .attr('y2', 6 + i * 16)
+                .attr('stroke', item.color)
+                .attr('stroke-width', 2);
+            g.append('text')
+                .attr('x', width - 85)
+                .attr('y', 10 + i * 16)
+                .attr('font-size', '11px')
+                .text(item.label);
+        });
+
+        // Axes
+        g.append('g')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(xScale));
+        
+        g.append('g')
+            .call(d3.axisLeft(yScale));
+
+        g.append('text')
+            .attr('transform', 'rotate(-90)')
+            .attr('x', -height / 2)
+            .attr('y', -38)
+            .attr('text-anchor', 'middle')
+            .attr('font-size', '11px')
+            .text('Density');
+    }
+
+    // KS, total variation and KL distances to the target against the number
+    // of samples, on log-log axes where independent draws give slope −1/2
+    updateDistanceChart() {
+        const svg = this.distanceSvg;
+        const width = this.chartWidth - this.margin.left - this.margin.right;
+        const height = this.chartHeight - this.margin.top - this.margin.bottom;
+
+        svg.selectAll('*').remove();
+        const info = document.getElementById('distance-info');
+        const histogram = this.samples.length >= 10 ? this.updateHistogramCounts() : null;
+        if (!histogram || histogram.distances.length === 0) {
+            info.textContent = 'Distances are tracked from the 10th sample on.';
+            return;
+        }
+
+        const current = this.distancesToTarget(histogram);
+        const data = histogram.distances.concat(
+            current.count > histogram.distances[histogram.distances.length - 1].count ? [current] : []);
+        info.textContent = `After ${current.count} samples: KS ${current.ks.toFixed(4)} | ` +
+            `TV ${current.tv.toFixed(4)} | KL ${current.kl.toFixed(4)} (${histogram.bins} bins)`;
+
+        const series = [
+            { key: 'ks', label: 'KS', color: '#4299e1' },
+            { key: 'tv', label: 'TV', color: '#38a169' },
+            { key: 'kl', label: 'KL', color: '#805ad5' }
+        ];
+        const floor = 1e-4;
+        const values = data.flatMap(d => series.map(s => d[s.key])).filter(v => v > 0 && Number.isFinite(v));
+
+        const g = svg.append('g')
+            .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+        const xScale = d3.scaleLog()
+            .domain([10, Math.max(100, current.count)])
+            .range([0, width]);
+        const yScale = d3.scaleLog()
+            .domain([Math.max(floor, Math.min(d3.min(values) || 1, 0.01)), Math.max(1, d3.max(values) || 1)])
+            .range([height, 0])
+            .clamp(true);
+
+        // 95% critical value of the KS statistic for independent draws
+        const critical = d3.range(0, 51).map(i => {
+            const count = 10 * Math.pow(xScale.domain()[1] / 10, i / 50);
+            return { count, value: 1.36 / Math.sqrt(count) };
+        });
+        g.append('path')
+            .datum(critical)
+            .attr('fill', 'none')
+            .attr('stroke', '#a0aec0')
+            .attr('stroke-dasharray', '4,3')
+            .attr('d', d3.line()
+                .x(d => xScale(d.count))
+                .y(d => yScale(d.value)));
+
+        series.forEach(s => {
+            g.append('path')
+                .datum(data.filter(d => Number.isFinite(d[s.key])))
+                .attr('fill', 'none')
+                .attr('stroke', s.color)
+                .attr('stroke-width', 2)
+                .attr('d', d3.line()
+                    .x(d => xScale(d.count))
+                    .y(d => yScale(Math.max(d[s.key], floor))));
+        });
+
+        series.concat([{ label: 'KS 95% (independent)', color: '#a0aec0' }]).forEach((s, i) => {
+            g.append('line')
+                .attr('x1', width - 150)
+                .attr('x2', width - 130)
+                .attr('y1', 6 + i * 15)
+                .attr('y2', 6 + i * 15)
+                .attr('stroke', s.color)
+                .attr('stroke-width', 2);
+            g.append('text')
+                .attr('x', width - 125)
+                .attr('y', 10 + i * 15)
+                .attr('font-size', '11px')
+                .text(s.label);
+        });
+
+        g.append('g')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(xScale).ticks(4, '~s'));
+        g.append('g')
+            .call(d3.axisLeft(yScale).ticks(4, '~g'));
+
+        g.append('text')
+            .attr('x', width / 2)
+            .attr('y', height + 35)
+            .attr('text-anchor', 'middle')
+            .text('Samples used');
+    }
+
+    updateProposalChart() {
+        const svg = this.proposalSvg;
+        const width = this.chartWidth - this.margin.left - this.margin.right;
+        const height = this.chartHeight - this.margin.top - this.margin.bottom;
+
+        svg.selectAll('*').remove();
+        const g = svg.append('g')
+            .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+
+        if (this.samples.length === 0) {
+            g.append('text')
+                .attr('x', width / 2)
+                .attr('y', height / 2)
+                .attr('text-anchor', 'middle')
+                .style('font-size', '14px')
+                .style('fill', '#666')
+                .text('Click Start to begin sampling');
+            return;
+        }
+
+        // Show the density the last proposal was actually drawn from,
+        // q(·|x) around the position x it was made from
+        const step = this.selectedStep;
+        const from = step ? step.from : this.currentPosition;
+        const proposal = step ?
+            this.proposalDescriptor(from, step.proposalParams, step.stepSize) :
+            this.proposalDescriptor(from);
+        document.getElementById('proposal-info').textContent = this.proposalInfoText(step, from);
+
+        if (!proposal) {
+            g.append('text')
+                .attr('x', width / 2)
+                .attr('y', height / 2)
+                .attr('text-anchor', 'middle')
+                .style('font-size', '14px')
+                .style('fill', '#666')
+                .text(this.samplerType === 'hmc' ?
+                    'HMC proposes by simulating dynamics: see the phase-space panel' :
+                    'Slice sampling has no proposal: see the slice on the target chart');
+            return;
+        }
+
+        const xRange = proposal.range;
+        const xScale = d3.scaleLinear().domain(xRange).range([0, width]);
+
+        const proposalData = [];
+        for (let i = 0; i <= 200; i++) {
+            const x = xRange[0] + (xRange[1] - xRange[0]) * i / 200;
+            proposalData.push({ x: x, y: Math.exp(proposal.logDensity(x)) });
+        }
+        const maxDensity = d3.max(proposalData, d => d.y) || 1;
+        const yScale = d3.scaleLinear().domain([0, maxDensity * 1.1]).range([height, 0]);
+
+        // Straight segments so that the uniform kernel's edges stay sharp
+        const line = d3.line()
+            .x(d => xScale(d.x))
+            .y(d => yScale(d.y));
+
+        g.append('path')
+            .datum(proposalData)
+            .attr('fill', 'rgba(255, 149, 0, 0.3)')
+            .attr('stroke', '#ff9500')
+            .attr('stroke-width', 2)
+            .attr('d', line);
+
+        // Position the proposal was made from
+        const inRange = (x) => x >= xRange[0] && x <= xRange[1];
+        if (inRange(from)) {
+            g.append('circle')
+                .attr('cx', xScale(from))
+                .attr('cy', height - 20)
+                .attr('r', 6)
+                .attr('fill', '#e53e3e')
+                .attr('stroke', 'white')
+                .attr('stroke-width', 2);
+        }
+
+        // Proposed position, outlined in green if accepted and grey if rejected
+        if (step && inRange(step.proposed)) {
+            g.append('circle')
+                .attr('cx', xScale(step.proposed))
+                .attr('cy', height - 20)
+                .attr('r', 6)
+                .attr('fill', '#ff9500')
+                .attr('stroke', step.accepted ? '#38a169' : '#a0aec0')
+                .attr('stroke-width', 2)
+                .attr('opacity', 0.8);
+        }
+
+        // Axes
+        g.append('g')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(xScale).ticks(6));
+
+        g.append('text')
+            .attr('x', width / 2)
+            .attr('y', height + 35)
+            .attr('text-anchor', 'middle')
+            .text(`q(x' | x = ${from.toFixed(2)}): ${proposal.label}`);
+    }
+
+    // Density, plot range and label of the proposal made from `from`, or
+    // null for samplers without an explicit proposal density
+    // `params` and `stepSize` default to the current settings; recorded steps
+    // pass their own, as adaptation may have changed the scale since
+    proposalDescriptor(from, params = this.proposalParams, stepSize = this.stepSize) {
+        if (this.samplerType === 'metropolis') {
+            return {
+                label: this.proposalKernel.label,
+                range: this.proposalKernel.range(from, params),
+                logDensity: (x) => this.proposalKernel.logDensity(x, from, params)
+            };
+        }
+        if (this.samplerType === 'mala') {
+            const mean = from + 0.5 * stepSize * stepSize *
+                numericalGradient(x => this.logTargetDensity(x), from);
+            return {
+                label: 'MALA, N(x + ε²/2 ∇log π(x), ε²)',
+                range: [Math.min(from, mean) - 4 * stepSize, Math.max(from, mean) + 4 * stepSize],
+                logDensity: (x) => normalLogDensity(x, mean, stepSize)
+            };
+        }
+        return null;
+    }
+
+    proposalInfoText(step, from) {
+        if (!step) return `Current position: ${this.currentPosition.toFixed(2)}`;
+        const swap = step.tempering ? step.tempering.swap : null;
+        if (swap && swap.pair === 0 && swap.accepted) {
+            return this.moveInfoText(step, from) +
+                ` | Swap with T = ${step.tempering.temperatures[1].toFixed(2)}: now at ${step.position.toFixed(2)}`;
+        }
+        return this.moveInfoText(step, from);
+    }
+
+    moveInfoText(step, from) {
+        const acceptProb = `Accept Prob: ${(Math.exp(Math.min(0, step.logRatio)) * 100).toFixed(1)}%`;
+        const outcome = step.accepted ? 'Accepted' : 'Rejected';
+        const prefix = `Iteration ${step.iteration} | From: ${from.toFixed(2)} | `;
+
+        if (this.samplerType === 'hmc') {
+            return prefix + `End of trajectory: ${step.proposed.toFixed(2)} ` +
+                `after ${step.trajectory.length - 1} leapfrog steps | ` +
+                `H: ${step.startEnergy.toFixed(2)} → ${step.endEnergy.toFixed(2)} | ${acceptProb} | ${outcome}`;
+        }
+        if (this.samplerType === 'slice') {
+            return prefix + `Slice level log y = ${step.logLevel.toFixed(2)} | ` +
+                `Stepped out to [${step.steppedOut[0].toFixed(2)}, ${step.steppedOut[1].toFixed(2)}] | ` +
+                `${step.shrinks.length} draw(s) while shrinking | New: ${step.position.toFixed(2)} (always accepted)`;
+        }
+
+        const asymmetric = this.samplerType === 'mala' || !this.proposalKernel.symmetric;
+        return prefix + `Proposed: ${step.proposed.toFixed(2)} | ` +
+            `log π ratio ${step.logTargetRatio.toFixed(2)}` +
+            (asymmetric ? ` + log q(x|x')/q(x'|x) ${step.logHastings.toFixed(2)}` : '') +
+            ` | ${acceptProb} | ${outcome}`;
+    }
+
+    // Parallel tempering: every tempered density π^(1/T) normalised over the
+    // plot range, each replica on its own curve, the selected step's swap
+    // proposal and the swap rates between neighbouring temperatures
+    updateTemperingPanel() {
+        const active = this.tempering && !this.imported;
+        document.getElementById('tempering-panel').style.display = active ? 'block' : 'none';
+        const svg = this.temperingSvg;
+        svg.selectAll('*').remove();
+        if (!active) return;
+
+        const width = this.chartWidth - this.margin.left - this.margin.right;
+        const height = this.temperingChartHeight - this.margin.top - this.margin.bottom;
+        const g = svg.append('g')
+            .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+
+        const step = this.selectedStep;
+        const record = step && step.tempering ? step.tempering : null;
+        const temperatures = record ? record.temperatures : this.temperatures;
+        const positions = record ? record.positions : this.replicaPositions;
+
+        const xRange = this.targetRange();
+        const points = 200;
+        const dx = (xRange[1] - xRange[0]) / points;
+        const xs = d3.range(points + 1).map(i => xRange[0] + i * dx);
+        const logTarget = xs.map(x => this.logTargetDensity(x));
+        const curves = temperatures.map(temperature => {
+            const logValues = logTarget.map(value => value / temperature);
+            const logNormaliser = logSumExp(logValues) + Math.log(dx);
+            return {
+                temperature,
+                logNormaliser,
+                data: xs.map((x, i) => ({ x, y: Math.exp(logValues[i] - logNormaliser) }))
+            };
+        });
+        const density = (k, x) => Math.exp(this.logTargetDensity(x) / temperatures[k] - curves[k].logNormaliser);
+
+        const xScale = d3.scaleLinear().domain(xRange).range([0, width]);
+        const yMax = d3.max(curves, curve => d3.max(curve.data, d => (Number.isFinite(d.y) ? d.y : 0)));
+        const yScale = d3.scaleLinear()
+            .domain([0, (yMax || 1) * 1.1])
+            .range([height, 0])
+            .clamp(true);
+        const color = d3.scaleLinear()
+            .domain([0, Math.max(1, temperatures.length - 1)])
+            .range(['#4299e1', '#e53e3e']);
+
+        const line = d3.line()
+            .defined(d => Number.isFinite(d.y))
+            .x(d => xScale(d.x))
+            .y(d => yScale(d.y))
+            .curve(d3.curveMonotoneX);
+        curves.forEach((curve, k) => {
+            g.append('path')
+                .datum(curve.data)
+                .attr('fill', 'none')
+                .attr('stroke', color(k))
+                .attr('stroke-width', k === 0 ? 2.5 : 1.5)
+                .attr('opacity', k === 0 ? 1 : 0.8)
+                .attr('d', line);
+        });
+
+        // The swap proposal of the selected step, between the two replicas'
+        // positions before the exchange
+        const swap = record ? record.swap : null;
+        if (swap) {
+            const [i, j] = [swap.pair, swap.pair + 1];
+            const start = [xScale(swap.from[0]), yScale(density(i, swap.from[0]))];
+            const end = [xScale(swap.from[1]), yScale(density(j, swap.from[1]))];
+            const peak = Math.min(start[1], end[1]) - 30;
+            g.append('path')
+                .attr('d', `M${start[0]},${start[1]} Q${(start[0] + end[0]) / 2},${peak} ${end[0]},${end[1]}`)
+                .attr('fill', 'none')
+                .attr('stroke', swap.accepted ? '#38a169' : '#e53e3e')
+                .attr('stroke-width', 2)
+                .attr('stroke-dasharray', swap.accepted ? null : '4,3');
+            g.append('text')
+                .attr('x', (start[0] + end[0]) / 2)
+                .attr('y', Math.max(10, (start[1] + end[1]) / 4 + peak / 2 - 4))
+                .attr('text-anchor', 'middle')
+                .style('font-size', '11px')
+                .style('font-weight', 'bold')
+                .style('fill', swap.accepted ? '#38a169' : '#e53e3e')
+                .text(`α = ${(Math.exp(Math.min(0, swap.logRatio)) * 100).toFixed(1)}%`);
+        }
+
+        // Replicas on their own curves. After an accepted swap the two
+        // replicas slide to the positions they exchanged, unless the chain
+        // is running faster than the animation.
+        const animate = swap && swap.accepted && this.swapShownFor !== step && this.animationSpeed <= 3;
+        this.swapShownFor = step;
+        positions.forEach((x, k) => {
+            const swapped = animate && (k === swap.pair || k === swap.pair + 1);
+            const startX = swapped ? record.moved[k] : x;
+            const dot = g.append('circle')
+                .attr('cx', xScale(startX))
+                .attr('cy', yScale(density(k, startX)))
+                .attr('r', 6)
+                .attr('fill', color(k))
+                .attr('stroke', 'white')
+                .attr('stroke-width', 2);
+            if (swapped) {
+                dot.transition()
+                    .duration(Math.max(1, 6 - this.animationSpeed) * 80)
+                    .ease(d3.easeCubicInOut)
+                    .attr('cx', xScale(x))
+                    .attr('cy', yScale(density(k, x)));
+            }
+        });
+
+        temperatures.forEach((temperature, k) => {
+            g.append('line')
+                .attr('x1', width - 70)
+                .attr('x2', width - 50)
+                .attr('y1', 6 + k * 14)
+                .attr('y2', 6 + k * 14)
+                .attr('stroke', color(k))
+                .attr('stroke-width', 2);
+            g.append('text')
+                .attr('x', width - 45)
+                .attr('y', 10 + k * 14)
+                .attr('font-size', '11px')
+                .text(`T = ${temperature.toFixed(2)}`);
+        });
+
+        g.append('g')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(xScale));
+        g.append('g')
+            .call(d3.axisLeft(yScale).ticks(5));
+        g.append('text')
+            .attr('x', width / 2)
+            .attr('y', height + 35)
+            .attr('text-anchor', 'middle')
+            .text('x');
+
+        document.getElementById('swap-info').textContent = swap ?
+            `Iteration ${step.iteration}: swap T = ${temperatures[swap.pair].toFixed(2)} ↔ ` +
+            `T = ${temperatures[swap.pair + 1].toFixed(2)} | log ratio ${swap.logRatio.toFixed(2)} | ` +
+            `u = ${swap.u.toFixed(3)} | ${swap.accepted ? 'Accepted: the replicas exchange positions' : 'Rejected'}` :
+            'Step through the chain to see the swap proposals.';
+
+        const rows = this.swapAttempts.map((attempted, k) => {
+            const accepted = this.swapAccepts[k];
+            const rate = attempted > 0 ? `${(accepted / attempted * 100).toFixed(1)}%` : '–';
+            return `<tr><td>${this.temperatures[k].toFixed(2)} ↔ ${this.temperatures[k + 1].toFixed(2)}</td>` +
+                `<td>${accepted} / ${attempted}</td><td><strong>${rate}</strong></td></tr>`;
+        });
+        document.getElementById('swap-rates').innerHTML =
+            '<h4>Swap Rates</h4>' +
+            '<table style="width: 100%; margin-top: 0.5rem; border-collapse: collapse; text-align: left;">' +
+            '<tr><th>Temperatures</th><th>Accepted</th><th>Rate</th></tr>' +
+            rows.join('') +
+            '</table>' +
+            '<p style="margin-top: 0.5rem; color: #666; font-size: 0.9rem;">' +
+            'One neighbouring pair is proposed per iteration. The trace, histogram and diagnostics show the T = 1 chain only.</p>';
     }
 
-    updateTargetChart() {
-        const svg = this.targetSvg;
+    // HMC detail: the leapfrog trajectory in (x, p) phase space together
+    // with the contour of constant energy it should ideally follow
+    updatePhaseChart() {
+        const svg = this.phaseSvg;
         const width = this.chartWidth - this.margin.left - this.margin.right;
         const height = this.chartHeight - this.margin.top - this.margin.bottom;
 
         svg.selectAll('*').remove();
+        const step = this.selectedStep;
+        if (this.samplerType !== 'hmc' || !step) return;
+
         const g = svg.append('g')
             .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
 
-        // Create target distribution curve
-        const xRange = [this.targetMean - 4 * this.targetStd, this.targetMean + 4 * this.targetStd];
-        const xScale = d3.scaleLinear().domain(xRange).range([0, width]);
-        const yScale = d3.scaleLinear().domain([0, this.targetDensity(this.targetMean) * 1.1]).range([height, 0]);
-
-        // Draw target distribution
-        const line = d3.line()
-            .x(d => xScale(d.x))
-            .y(d => yScale(d.y))
-            .curve(d3.curveCardinal);
+        const trajectory = step.trajectory.filter(d => Number.isFinite(d.x) && Number.isFinite(d.p));
+        const xRange = this.targetRange();
+        const xExtent = d3.extent([...xRange, ...trajectory.map(d => d.x)]);
+        const pMax = Math.max(3, d3.max(trajectory, d => Math.abs(d.p)) * 1.1);
+        const xScale = d3.scaleLinear().domain(xExtent).range([0, width]);
+        const yScale = d3.scaleLinear().domain([-pMax, pMax]).range([height, 0]);
 
-        const targetData = [];
-        for (let x = xRange[0]; x <= xRange[1]; x += (xRange[1] - xRange[0]) / 100) {
-            targetData.push({ x: x, y: this.targetDensity(x) });
+        // Energy contour H(x, p) = H_start: p = ±√(2 (H_start + log π(x)))
+        const contour = [];
+        for (let i = 0; i <= 300; i++) {
+            const x = xExtent[0] + (xExtent[1] - xExtent[0]) * i / 300;
+            const p2 = 2 * (step.startEnergy + this.logTargetDensity(x));
+            contour.push({ x: x, p: p2 >= 0 ? Math.sqrt(p2) : null });
         }
+        [1, -1].forEach(sign => {
+            g.append('path')
+                .datum(contour)
+                .attr('fill', 'none')
+                .attr('stroke', '#a0aec0')
+                .attr('stroke-dasharray', '4,3')
+                .attr('d', d3.line()
+                    .defined(d => d.p !== null)
+                    .x(d => xScale(d.x))
+                    .y(d => yScale(sign * d.p)));
+        });
 
-        g.append('path')
-            .datum(targetData)
+        // Animate the trajectory being traced out over the frame duration
+        const path = g.append('path')
+            .datum(trajectory)
             .attr('fill', 'none')
-            .attr('stroke', '#4299e1')
+            .attr('stroke', '#805ad5')
             .attr('stroke-width', 2)
-            .attr('d', line);
-
-        // Draw current position
-        if (this.samples.length > 0) {
-            g.append('circle')
-                .attr('cx', xScale(this.currentPosition))
-                .attr('cy', height - 10)
-                .attr('r', 6)
-                .attr('fill', '#e53e3e')
-                .attr('stroke', 'white')
-                .attr('stroke-width', 2);
+            .attr('d', d3.line().x(d => xScale(d.x)).y(d => yScale(d.p)));
 
-            // Draw vertical line from current position to distribution
-            g.append('line')
-                .attr('x1', xScale(this.currentPosition))
-                .attr('x2', xScale(this.currentPosition))
-                .attr('y1', height - 10)
-                .attr('y2', yScale(this.targetDensity(this.currentPosition)))
-                .attr('stroke', '#e53e3e')
-                .attr('stroke-dasharray', '3,3')
-                .attr('opacity', 0.7);
+        const duration = Math.max(1, 6 - this.animationSpeed) * 80;
+        const length = path.node().getTotalLength ? path.node().getTotalLength() : 0;
+        if (length > 0 && this.isRunning) {
+            path.attr('stroke-dasharray', `${length},${length}`)
+                .attr('stroke-dashoffset', length)
+                .transition()
+                .duration(duration)
+                .ease(d3.easeLinear)
+                .attr('stroke-dashoffset', 0);
         }
 
+        g.selectAll('.leapfrog-point')
+            .data(trajectory)
+            .enter().append('circle')
+            .attr('class', 'leapfrog-point')
+            .attr('cx', d => xScale(d.x))
+            .attr('cy', d => yScale(d.p))
+            .attr('r', 2.5)
+            .attr('fill', '#805ad5');
+
+        const start = trajectory[0];
+        const end = trajectory[trajectory.length - 1];
+        g.append('circle')
+            .attr('cx', xScale(start.x))
+            .attr('cy', yScale(start.p))
+            .attr('r', 6)
+            .attr('fill', '#e53e3e')
+            .attr('stroke', 'white')
+            .attr('stroke-width', 2);
+        g.append('circle')
+            .attr('cx', xScale(end.x))
+            .attr('cy', yScale(end.p))
+            .attr('r', 6)
+            .attr('fill', '#ff9500')
+            .attr('stroke', step.accepted ? '#38a169' : '#a0aec0')
+            .attr('stroke-width', 2);
+
         // Axes
         g.append('g')
             .attr('transform', `translate(0,${height})`)
             .call(d3.axisBottom(xScale));
-        
+
         g.append('g')
             .call(d3.axisLeft(yScale));
 
-        // Labels
         g.append('text')
             .attr('x', width / 2)
             .attr('y', height + 35)
             .attr('text-anchor', 'middle')
-            .text('x');
-    }
+            .text('Position x (dashed: constant energy)');
 
-    updateTraceChart() {
-        if (this.samples.length === 0) return;
+        g.append('text')
+            .attr('transform', 'rotate(-90)')
+            .attr('x', -height / 2)
+            .attr('y', -35)
+            .attr('text-anchor', 'middle')
+            .text('Momentum p');
+    }
 
-        const svg = this.traceSvg;
+    updateScaleChart() {
+        const svg = this.scaleSvg;
         const width = this.chartWidth - this.margin.left - this.margin.right;
-        const height = this.chartHeight - this.margin.top - this.margin.bottom;
+        const height = this.scaleChartHeight - this.margin.top - this.margin.bottom;
 
         svg.selectAll('*').remove();
+        if (!this.adaptationActive || this.scaleHistory.length === 0) return;
+
         const g = svg.append('g')
             .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
 
+        // The history covers the warm-up only; after it the scale is constant
+        const data = this.scaleHistory.map((scale, i) => ({ i, scale }));
+        data.push({ i: this.samples.length, scale: this.adaptedScale });
+
         const xScale = d3.scaleLinear()
-            .domain([0, Math.max(this.samples.length, 100)])
+            .domain([0, Math.max(this.samples.length, this.warmupLength, 100)])
             .range([0, width]);
-
-        const yExtent = d3.extent(this.samples);
-        const yPadding = (yExtent[1] - yExtent[0]) * 0.1;
         const yScale = d3.scaleLinear()
-            .domain([yExtent[0] - yPadding, yExtent[1] + yPadding])
+            .domain([0, d3.max(data, d => d.scale) * 1.1])
             .range([height, 0]);
 
-        // Draw trace line
+        // End of warm-up: the scale is frozen from here on
+        g.append('line')
+            .attr('x1', xScale(this.warmupLength))
+            .attr('x2', xScale(this.warmupLength))
+            .attr('y1', 0)
+            .attr('y2', height)
+            .attr('stroke', '#a0aec0')
+            .attr('stroke-dasharray', '4,3');
+
         const line = d3.line()
-            .x((d, i) => xScale(i))
-            .y(d => yScale(d));
+            .x(d => xScale(d.i))
+            .y(d => yScale(d.scale));
 
         g.append('path')
-            .datum(this.samples)
+            .datum(data)
             .attr('fill', 'none')
-            .attr('stroke', '#38a169')
+            .attr('stroke', '#ff9500')
             .attr('stroke-width', 1.5)
             .attr('d', line);
 
-        // Highlight recent points
-        const recentSamples = this.samples.slice(-20);
-        const startIndex = Math.max(0, this.samples.length - 20);
-
-        g.selectAll('.recent-point')
-            .data(recentSamples)
-            .enter().append('circle')
-            .attr('class', 'recent-point')
-            .attr('cx', (d, i) => xScale(startIndex + i))
-            .attr('cy', d => yScale(d))
-            .attr('r', 2)
-            .attr('fill', '#e53e3e')
-            .attr('opacity', (d, i) => 0.3 + 0.7 * (i / recentSamples.length));
-
-        // Axes
         g.append('g')
             .attr('transform', `translate(0,${height})`)
-            .call(d3.axisBottom(xScale));
-        
+            .call(d3.axisBottom(xScale).ticks(5));
+
         g.append('g')
-            .call(d3.axisLeft(yScale));
+            .call(d3.axisLeft(yScale).ticks(4));
 
-        // Labels
         g.append('text')
             .attr('x', width / 2)
             .attr('y', height + 35)
             .attr('text-anchor', 'middle')
-            .text('Sample Number');
+            .text('Iteration (dashed: end of warm-up)');
     }
 
-    updateHistogram() {
-        if (this.samples.length < 10) return;
+    // Samples used by the diagnostics: the same as for the histogram
+    get analysisStart() {
+        return this.excludeBurnin ? Math.min(this.warmupLength, this.samples.length) : 0;
+    }
 
-        const svg = this.histogramSvg;
+    // Autocorrelation, Geyer and Sokal τ, recomputed only when stale
+    updateDiagnostics() {
+        const start = this.analysisStart;
+        const count = this.samples.length - start;
+        if (count < 20) {
+            this.diagnostics = null;
+            return;
+        }
+
+        const d = this.diagnostics;
+        const fresh = d && d.start === start && count >= d.count &&
+            (count === d.count || (count >= 5000 && count < 1.05 * d.count));
+        if (fresh) return;
+
+        const values = this.samples.slice(Math.max(start, this.samples.length - this.diagnosticsWindow));
+        const rho = autocorrelation(values);
+        this.diagnostics = {
+            start,
+            count,
+            used: values.length,
+            rho,
+            geyer: integratedAutocorrTime(values, rho),
+            sokal: sokalAutocorrTime(values, rho)
+        };
+    }
+
+    updateAcfChart() {
+        const svg = this.acfSvg;
         const width = this.chartWidth - this.margin.left - this.margin.right;
         const height = this.chartHeight - this.margin.top - this.margin.bottom;
 
         svg.selectAll('*').remove();
+        const d = this.diagnostics;
+        if (!d) return;
+
         const g = svg.append('g')
             .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
 
-        // Create histogram
-        const xExtent = d3.extent(this.samples);
-        const binCount = Math.min(20, Math.floor(Math.sqrt(this.samples.length)));
-        
-        const xScale = d3.scaleLinear()
-            .domain(xExtent)
-            .range([0, width]);
-
-        const histogram = d3.histogram()
-            .domain(xScale.domain())
-            .thresholds(xScale.ticks(binCount));
-
-        const bins = histogram(this.samples);
+        const rho = d.rho.slice(0, this.acfMaxLag + 1);
+        const xScale = d3.scaleBand()
+            .domain(d3.range(rho.length))
+            .range([0, width])
+            .padding(0.2);
         const yScale = d3.scaleLinear()
-            .domain([0, d3.max(bins, d => d.length)])
+            .domain([Math.min(-0.2, d3.min(rho)), 1])
             .range([height, 0]);
 
-        // Draw bars
-        g.selectAll('.bar')
-            .data(bins)
+        // ±1.96/√n: where ρ_t of independent draws would fall 95% of the time
+        const band = 1.96 / Math.sqrt(d.used);
+        g.append('rect')
+            .attr('x', 0)
+            .attr('y', yScale(band))
+            .attr('width', width)
+            .attr('height', yScale(-band) - yScale(band))
+            .attr('fill', '#4299e1')
+            .attr('opacity', 0.15);
+
+        g.selectAll('.acf-bar')
+            .data(rho)
             .enter().append('rect')
-            .attr('class', 'bar')
-            .attr('x', d => xScale(d.x0))
-            .attr('y', d => yScale(d.length))
-            .attr('width', d => xScale(d.x1) - xScale(d.x0) - 1)
-            .attr('height', d => height - yScale(d.length))
-            .attr('fill', '#805ad5')
-            .attr('opacity', 0.7);
+            .attr('class', 'acf-bar')
+            .attr('x', (r, lag) => xScale(lag))
+            .attr('y', r => yScale(Math.max(0, r)))
+            .attr('width', xScale.bandwidth())
+            .attr('height', r => Math.abs(yScale(r) - yScale(0)))
+            .attr('fill', '#3182ce');
 
-        // Overlay target distribution for comparison
-        const targetData = [];
-        const targetScale = d3.max(bins, d => d.length) / this.targetDensity(this.targetMean);
-        
-        for (let x = xExtent[0]; x <= xExtent[1]; x += (xExtent[1] - xExtent[0]) / 100) {
-            targetData.push({ x: x, y: this.targetDensity(x) * targetScale });
+        // Sokal's summation window
+        if (d.sokal.window <= this.acfMaxLag) {
+            const x = xScale(d.sokal.window) + xScale.bandwidth() / 2;
+            g.append('line')
+                .attr('x1', x)
+                .attr('x2', x)
+                .attr('y1', 0)
+                .attr('y2', height)
+                .attr('stroke', '#805ad5')
+                .attr('stroke-dasharray', '4,3');
+            g.append('text')
+                .attr('x', x + 4)
+                .attr('y', 12)
+                .attr('font-size', '11px')
+                .attr('fill', '#805ad5')
+                .text(`Sokal window M = ${d.sokal.window}`);
         }
 
-        const line = d3.line()
-            .x(d => xScale(d.x))
-            .y(d => yScale(d.y))
-            .curve(d3.curveCardinal);
+        const tickStep = Math.max(1, Math.ceil(rho.length / 10));
+        g.append('g')
+            .attr('transform', `translate(0,${yScale(0)})`)
+            .call(d3.axisBottom(xScale)
+                .tickValues(d3.range(0, rho.length, tickStep))
+                .tickSize(0)
+                .tickFormat(() => ''));
+        g.append('g')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(xScale).tickValues(d3.range(0, rho.length, tickStep)));
+
+        g.append('g')
+            .call(d3.axisLeft(yScale).ticks(5));
+
+        g.append('text')
+            .attr('x', width / 2)
+            .attr('y', height + 35)
+            .attr('text-anchor', 'middle')
+            .text('Lag t');
+    }
+
+    updateEssPanel() {
+        const panel = document.getElementById('ess-panel');
+        const d = this.diagnostics;
+        if (!d) {
+            panel.innerHTML = '<p style="color: #666;">Draw at least 20 samples to estimate the autocorrelation time.</p>';
+            return;
+        }
+
+        const row = (label, tau, note = '') =>
+            `<tr><td>${label}</td><td>${tau.toFixed(1)}</td>` +
+            `<td><strong>${Math.round(d.count / tau)}</strong></td><td>${note}</td></tr>`;
+        const acceptance = this.samples.length > 0 ? this.acceptedSamples / this.samples.length * 100 : 0;
+
+        panel.innerHTML =
+            `<p>${d.count} samples analysed${d.start > 0 ? ' (burn-in excluded)' : ''}, ` +
+            `acceptance rate ${acceptance.toFixed(1)}%.</p>` +
+            '<table style="width: 100%; margin-top: 0.5rem; border-collapse: collapse; text-align: left;">' +
+            '<tr><th>Estimator</th><th>τ</th><th>ESS = n/τ</th><th></th></tr>' +
+            row('Geyer initial monotone', d.geyer) +
+            row('Sokal window (c = 5)', d.sokal.tau, `M = ${d.sokal.window}`) +
+            '</table>' +
+            `<p style="margin-top: 0.5rem; color: #666; font-size: 0.9rem;">` +
+            `Every ${d.geyer.toFixed(1)} iterations are worth about one independent draw.` +
+            (d.used < d.count ? ` τ is estimated from the last ${d.used} samples.` : '') +
+            '</p>' +
+            this.importedRHatText();
+    }
+
+    // Split-R̂ across the chains of an imported file with several columns
+    importedRHatText() {
+        if (!this.imported || this.imported.columns.length < 2) return '';
+        const chains = this.imported.columns.map(column => column.values.slice(this.analysisStart));
+        const rHat = splitRHat(chains);
+        return `<p style="margin-top: 0.5rem;">Split-R̂ across the ${chains.length} imported chains: ` +
+            `<strong>${Number.isNaN(rHat) ? '–' : rHat.toFixed(3)}</strong>` +
+            (rHat > 1.01 ? ' (above 1.01: the chains disagree)' : '') + '</p>';
+    }
+
+    // Running mean and variance of the chain with ±2 MCSE bands, where
+    // MCSE(mean) = √(s² τ / k) and MCSE(variance) ≈ √((m₄ − s⁴) τ / k)
+    // (the variance's own autocorrelation time is approximated by τ)
+    updateRunningMomentCharts() {
+        [this.runningMeanSvg, this.runningVarianceSvg].forEach(svg => svg.selectAll('*').remove());
+        const d = this.diagnostics;
+        if (!d) return;
+
+        const moments = runningMoments(this.samples, 200, d.start);
+        const truth = this.targetMoments();
+        const tau = d.geyer;
+
+        this.drawRunningMoment(this.runningMeanSvg, moments.map(m => ({
+            count: m.count,
+            value: m.mean,
+            error: 2 * Math.sqrt(m.variance * tau / m.count)
+        })), truth.mean, 'True mean');
+
+        this.drawRunningMoment(this.runningVarianceSvg, moments.map(m => ({
+            count: m.count,
+            value: m.variance,
+            error: 2 * Math.sqrt(Math.max(0, m.fourthMoment - m.variance * m.variance) * tau / m.count)
+        })), truth.variance, 'True variance');
+    }
+
+    drawRunningMoment(svg, data, truth, truthLabel) {
+        const width = this.chartWidth - this.margin.left - this.margin.right;
+        const height = this.chartHeight - this.margin.top - this.margin.bottom;
+        const g = svg.append('g')
+            .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+
+        // The first few estimates have huge error bars; keep them from
+        // flattening the rest of the plot
+        const settled = data.slice(Math.floor(data.length / 10));
+        const values = settled.flatMap(d => [d.value - d.error, d.value + d.error]);
+        if (Number.isFinite(truth)) values.push(truth);
+        let yExtent = d3.extent(values);
+        if (yExtent[0] === yExtent[1]) yExtent = [yExtent[0] - 1, yExtent[1] + 1];
+        const yPadding = (yExtent[1] - yExtent[0]) * 0.1;
+
+        const xScale = d3.scaleLinear()
+            .domain([0, d3.max(data, d => d.count)])
+            .range([0, width]);
+        const yScale = d3.scaleLinear()
+            .domain([yExtent[0] - yPadding, yExtent[1] + yPadding])
+            .range([height, 0])
+            .clamp(true);
 
         g.append('path')
-            .datum(targetData)
+            .datum(data)
+            .attr('fill', '#38a169')
+            .attr('opacity', 0.2)
+            .attr('d', d3.area()
+                .x(d => xScale(d.count))
+                .y0(d => yScale(d.value - d.error))
+                .y1(d => yScale(d.value + d.error)));
+
+        g.append('path')
+            .datum(data)
             .attr('fill', 'none')
-            .attr('stroke', '#e53e3e')
-            .attr('stroke-width', 2)
-            .attr('d', line);
+            .attr('stroke', '#38a169')
+            .attr('stroke-width', 1.5)
+            .attr('d', d3.line()
+                .x(d => xScale(d.count))
+                .y(d => yScale(d.value)));
+
+        if (Number.isFinite(truth)) {
+            g.append('line')
+                .attr('x1', 0)
+                .attr('x2', width)
+                .attr('y1', yScale(truth))
+                .attr('y2', yScale(truth))
+                .attr('stroke', '#e53e3e')
+                .attr('stroke-width', 2)
+                .attr('stroke-dasharray', '6,4');
+        }
+        g.append('text')
+            .attr('x', width)
+            .attr('y', 12)
+            .attr('text-anchor', 'end')
+            .attr('font-size', '11px')
+            .attr('fill', '#e53e3e')
+            .text(Number.isFinite(truth) ? `${truthLabel}: ${truth.toFixed(3)}` :
+                `${truthLabel} is ${truth === Infinity ? 'infinite' : 'undefined'}`);
 
-        // Axes
         g.append('g')
             .attr('transform', `translate(0,${height})`)
-            .call(d3.axisBottom(xScale));
-        
+            .call(d3.axisBottom(xScale).ticks(5));
         g.append('g')
-            .call(d3.axisLeft(yScale));
+            .call(d3.axisLeft(yScale).ticks(5));
+
+        g.append('text')
+            .attr('x', width / 2)
+            .attr('y', height + 35)
+            .attr('text-anchor', 'middle')
+            .text('Samples used');
     }
 
-    updateProposalChart() {
-        const svg = this.proposalSvg;
+    // The latest proposals up to the selected iteration, placed on the
+    // target curve and coloured by the decision, older ones fainter
+    updateRecentProposalsChart() {
+        const svg = this.recentProposalsSvg;
         const width = this.chartWidth - this.margin.left - this.margin.right;
-        const height = this.chartHeight - this.margin.top - this.margin.bottom;
+        const height = this.recentProposalsChartHeight - this.margin.top - this.margin.bottom;
 
         svg.selectAll('*').remove();
         const g = svg.append('g')
             .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
 
-        if (this.samples.length === 0) {
-            g.append('text')
-                .attr('x', width / 2)
-                .attr('y', height / 2)
-                .attr('text-anchor', 'middle')
-                .style('font-size', '14px')
-                .style('fill', '#666')
-                .text('Click Start to begin sampling');
-            return;
-        }
+        const step = this.selectedStep;
+        const end = Math.min(step ? step.iteration : this.proposals.length, this.acceptedFlags.length);
+        if (end === 0) return;
+        const start = Math.max(0, end - this.recentProposalCount);
 
-        // Show proposal distribution around current position
-        const xRange = [this.currentPosition - 3 * this.proposalStd, 
-                       this.currentPosition + 3 * this.proposalStd];
+        const xRange = this.targetRange();
         const xScale = d3.scaleLinear().domain(xRange).range([0, width]);
-        
-        // Proposal distribution (normal around current position)
-        const proposalDensity = (x) => {
-            const variance = this.proposalStd * this.proposalStd;
-            return Math.exp(-0.5 * Math.pow(x - this.currentPosition, 2) / variance) / 
-                   Math.sqrt(2 * Math.PI * variance);
-        };
+        const targetData = this.targetGrid(xRange);
+        const yMax = d3.max(targetData, d => (Number.isFinite(d.y) ? d.y : 0)) || 1;
+        const yScale = d3.scaleLinear()
+            .domain([0, yMax * 1.1])
+            .range([height, 0])
+            .clamp(true);
 
-        const maxDensity = proposalDensity(this.currentPosition);
-        const yScale = d3.scaleLinear().domain([0, maxDensity * 1.1]).range([height, 0]);
+        g.append('path')
+            .datum(targetData)
+            .attr('fill', 'rgba(66, 153, 225, 0.1)')
+            .attr('stroke', '#a0aec0')
+            .attr('stroke-width', 1.5)
+            .attr('d', d3.area()
+                .defined(d => Number.isFinite(d.y))
+                .x(d => xScale(d.x))
+                .y0(height)
+                .y1(d => yScale(d.y)));
 
-        // Draw proposal distribution
-        const proposalData = [];
-        for (let x = xRange[0]; x <= xRange[1]; x += (xRange[1] - xRange[0]) / 100) {
-            proposalData.push({ x: x, y: proposalDensity(x) });
+        const recent = [];
+        for (let i = start; i < end; i++) {
+            const x = this.proposals[i];
+            if (x >= xRange[0] && x <= xRange[1]) {
+                recent.push({ x, accepted: this.acceptedFlags[i], age: (i - start + 1) / (end - start) });
+            }
         }
+        g.selectAll('.recent-proposal')
+            .data(recent)
+            .enter().append('circle')
+            .attr('class', 'recent-proposal')
+            .attr('cx', d => xScale(d.x))
+            .attr('cy', d => yScale(this.targetDensity(d.x)))
+            .attr('r', 3.5)
+            .attr('fill', d => (d.accepted ? '#38a169' : '#e53e3e'))
+            .attr('opacity', d => 0.2 + 0.7 * d.age);
 
-        const line = d3.line()
-            .x(d => xScale(d.x))
-            .y(d => yScale(d.y))
-            .curve(d3.curveCardinal);
+        const rejected = recent.filter(d => !d.accepted).length;
+        g.append('text')
+            .attr('x', 0)
+            .attr('y', -6)
+            .style('font-size', '12px')
+            .text(`Last ${end - start} proposals: ${recent.length - rejected} accepted (green), ` +
+                `${rejected} rejected (red)` +
+                (recent.length < end - start ? `, ${end - start - recent.length} off the plot` : ''));
 
-        g.append('path')
-            .datum(proposalData)
-            .attr('fill', 'rgba(255, 149, 0, 0.3)')
-            .attr('stroke', '#ff9500')
-            .attr('stroke-width', 2)
-            .attr('d', line);
+        g.append('g')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(xScale).ticks(6));
+    }
 
-        // Current position
-        g.append('circle')
-            .attr('cx', xScale(this.currentPosition))
-            .attr('cy', height - 20)
-            .attr('r', 6)
-            .attr('fill', '#e53e3e')
-            .attr('stroke', 'white')
-            .attr('stroke-width', 2);
+    // The accept/reject decision of the selected step on a [0, 1] axis: the
+    // move is accepted when the uniform draw u lands left of
+    // α = min(1, ratio). u slides into place whenever a new step is shown.
+    updateDecisionChart() {
+        const svg = this.decisionSvg;
+        const width = this.chartWidth - this.margin.left - this.margin.right;
+        const step = this.selectedStep;
 
-        // Proposed position (if we have one)
-        if (this.isRunning) {
-            g.append('circle')
-                .attr('cx', xScale(this.proposedPosition))
-                .attr('cy', height - 20)
-                .attr('r', 6)
-                .attr('fill', '#ff9500')
-                .attr('stroke', 'white')
-                .attr('stroke-width', 2)
-                .attr('opacity', 0.8);
+        svg.selectAll('*').remove();
+        const g = svg.append('g')
+            .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+
+        const message = (text) => g.append('text')
+            .attr('x', width / 2)
+            .attr('y', 30)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '13px')
+            .style('fill', '#666')
+            .text(text);
+
+        if (!step) {
+            this.decisionShownFor = null;
+            message('Use Step to see the accept/reject decision');
+            return;
+        }
+        if (step.u === undefined) {
+            message('Slice sampling always moves: there is no u < ratio test');
+            return;
         }
 
-        // Axes
+        const alpha = Math.exp(Math.min(0, step.logRatio));
+        const xScale = d3.scaleLinear().domain([0, 1]).range([0, width]);
+        const barY = 18;
+        const barHeight = 16;
+
+        g.append('text')
+            .attr('x', 0)
+            .attr('y', 6)
+            .style('font-size', '12px')
+            .text(`α = min(1, ratio) = ${alpha.toFixed(3)}: accept if u < α`);
+
+        g.append('rect')
+            .attr('x', 0)
+            .attr('y', barY)
+            .attr('width', xScale(alpha))
+            .attr('height', barHeight)
+            .attr('fill', '#38a169')
+            .attr('opacity', 0.35);
+
+        g.append('rect')
+            .attr('x', xScale(alpha))
+            .attr('y', barY)
+            .attr('width', width - xScale(alpha))
+            .attr('height', barHeight)
+            .attr('fill', '#e53e3e')
+            .attr('opacity', 0.2);
+
         g.append('g')
-            .attr('transform', `translate(0,${height})`)
-            .call(d3.axisBottom(xScale));
+            .attr('transform', `translate(0,${barY + barHeight})`)
+            .call(d3.axisBottom(xScale).ticks(5));
 
-        // Update info text
-        const currentDensity = this.targetDensity(this.currentPosition);
-        const proposedDensity = this.targetDensity(this.proposedPosition);
-        const acceptanceRatio = Math.min(1, proposedDensity / currentDensity);
-        
-        const infoText = this.isRunning ? 
-            `Current: ${this.currentPosition.toFixed(2)} | Proposed: ${this.proposedPosition.toFixed(2)} | ` +
-            `Accept Prob: ${(acceptanceRatio * 100).toFixed(1)}%` :
-            `Current position: ${this.currentPosition.toFixed(2)}`;
-            
-        document.getElementById('proposal-info').textContent = infoText;
+        const markerLine = g.append('line')
+            .attr('y1', barY - 4)
+            .attr('y2', barY + barHeight + 4)
+            .attr('stroke', '#2d3748')
+            .attr('stroke-width', 2);
+        const markerLabel = g.append('text')
+            .attr('y', barY - 6)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '11px')
+            .text('u');
+
+        const verdict = step.accepted ?
+            `u = ${step.u.toFixed(3)} < ${alpha.toFixed(3)}: accepted, the chain moves to ${step.proposed.toFixed(2)}` :
+            `u = ${step.u.toFixed(3)} ≥ ${alpha.toFixed(3)}: rejected, the chain repeats ${step.from.toFixed(2)}`;
+        const result = g.append('text')
+            .attr('x', 0)
+            .attr('y', barY + barHeight + 40)
+            .style('font-size', '12px')
+            .style('font-weight', 'bold')
+            .style('fill', step.accepted ? '#38a169' : '#e53e3e')
+            .text(verdict);
+
+        // Animate only when stepping to a different iteration, not on every
+        // redraw and not while the chain is running
+        const uX = xScale(step.u);
+        const animateMarker = this.decisionShownFor !== step && !this.isRunning;
+        this.decisionShownFor = step;
+        if (!animateMarker) {
+            markerLine.attr('x1', uX).attr('x2', uX);
+            markerLabel.attr('x', uX);
+            return;
+        }
+        markerLine.attr('x1', 0).attr('x2', 0);
+        markerLabel.attr('x', 0);
+        result.attr('opacity', 0);
+        markerLabel.transition().duration(600).ease(d3.easeCubicOut).attr('x', uX);
+        markerLine.transition().duration(600).ease(d3.easeCubicOut)
+            .attr('x1', uX)
+            .attr('x2', uX)
+            .on('end', () => result.attr('opacity', 1));
     }
 }
 
 // Initialize when page loads
 document.addEventListener('DOMContentLoaded', function() {
     new MCMC1D();
-});
\ No newline at end of file
+});
@@ -0,0 +1,70 @@
+// Web Worker behind the turbo mode of the 1D MCMC demo
+// Runs the chain in batches and posts every batch back as transferable
+// typed arrays, together with the generator and adaptation state needed to
+// continue the chain exactly where the worker stopped.
+
+importScripts(
+    '../shared/random.js',
+    '../shared/targets.js',
+    '../shared/posterior.js',
+    '../shared/metropolis.js',
+    '../shared/proposals.js',
+    '../shared/samplers.js',
+    '../shared/adaptation.js',
+    '../shared/chain.js',
+    '../shared/tempering.js'
+);
+
+self.onmessage = (e) => {
+    const { settings, target, start, steps, batchSize, rngState, adaptation, tempering } = e.data;
+
+    // Functions cannot be posted, so the custom target is compiled and the
+    // posterior rebuilt from its settings here
+    const params = Object.assign({}, target.params);
+    if (target.type === 'custom') params.compiled = compileLogDensity(target.expression);
+    if (target.type === 'posterior') params.model = posteriorModel(target.model);
+    const logDensity = (x) => {
+        const value = MCMC_TARGETS[target.type].logDensity(x, params);
+        return Number.isNaN(value) ? -Infinity : value;
+    };
+
+    const rng = new SeededRandom(0);
+    rng.setState(rngState);
+    if (adaptation) {
+        adaptation.adapter = Object.assign(new ScaleAdapter(adaptation.adapter.method, 1), adaptation.adapter);
+    }
+
+    // With tempering the whole ladder moves; `start` is the cold position
+    let position = start;
+    let positions = tempering ? tempering.positions : null;
+    let done = 0;
+    while (done < steps) {
+        const count = Math.min(batchSize, steps - done);
+        let batch;
+        let swapCounts = null;
+        if (tempering) {
+            swapCounts = { attempted: positions.slice(1).fill(0), accepted: positions.slice(1).fill(0) };
+            batch = runTemperingBatch(settings, logDensity, positions, tempering.temperatures, count, rng, swapCounts);
+            positions = batch.positions;
+        } else {
+            batch = runChainBatch(settings, logDensity, position, count, rng, adaptation);
+        }
+        position = batch.position;
+        done += count;
+
+        self.postMessage({
+            samples: batch.samples,
+            proposals: batch.proposals,
+            acceptedFlags: batch.acceptedFlags,
+            accepted: batch.accepted,
+            position,
+            scale: settings.proposalParams.scale,
+            scaleHistory: batch.scaleHistory,
+            adapter: adaptation ? adaptation.adapter : null,
+            replicaPositions: positions,
+            swapCounts,
+            rngState: rng.getState(),
+            done: done === steps
+        }, [batch.samples.buffer, batch.proposals.buffer, batch.acceptedFlags.buffer]);
+    }
+};
@@ -0,0 +1,757 @@
+// 2D MCMC Explorer - Random-walk, Metropolis-within-Gibbs and Gibbs sampling
+// Based on notebook: 03_1d_mcmc_exercise.ipynb
+
+class MCMC2D {
+    constructor() {
+        // Parameters
+        this.samplerType = 'random-walk';
+        this.proposalSx = 0.5;
+        this.proposalSy = 0.5;
+        this.proposalRho = 0;
+        this.targetType = 'gaussian';
+        this.targetParams = {};
+        this.animationSpeed = 3;
+        this.seed = 42;
+        this.rng = new SeededRandom(this.seed);
+
+        // Sampling state
+        this.currentPosition = [0, 0];
+        this.samples = [];
+        this.lastStep = null;
+        // Accepted and attempted moves per coordinate; a full-vector move
+        // counts for both
+        this.acceptedMoves = [0, 0];
+        this.attemptedMoves = [0, 0];
+        this.recentPath = [];
+        this.maxPathLength = 100;
+        this.isRunning = false;
+        this.animationId = null;
+
+        // Target grid, contours and marginals; rebuilt when the target changes
+        this.gridSize = 100;
+        this.grid = null;
+        this.marginalBins = 30;
+        this.maxPlottedSamples = 2000;
+
+        // ESS is recomputed when the chain has grown by 5%, from at most the
+        // last `essWindow` samples
+        this.ess = null;
+        this.essWindow = 20000;
+
+        // Chart dimensions
+        this.chartWidth = 400;
+        this.chartHeight = 250;
+        this.jointSize = 340;
+        this.marginalSize = 70;
+        this.margin = { top: 20, right: 30, bottom: 40, left: 50 };
+
+        this.setupControls();
+        this.setTargetType(this.targetType);
+        this.createVisualizations();
+        this.resetSampling();
+    }
+
+    get target() {
+        return MCMC_TARGETS_2D[this.targetType];
+    }
+
+    logTargetDensity(point) {
+        const value = this.target.logDensity(point[0], point[1], this.targetParams);
+        return Number.isNaN(value) ? -Infinity : value;
+    }
+
+    targetRange() {
+        return this.target.range(this.targetParams);
+    }
+
+    get proposalFactor() {
+        return proposalFactor(this.proposalSx, this.proposalSy, this.proposalRho);
+    }
+
+    setupControls() {
+        const controls = {
+            'proposal-sx': (val) => { this.proposalSx = parseFloat(val); },
+            'proposal-sy': (val) => { this.proposalSy = parseFloat(val); },
+            'proposal-rho': (val) => { this.proposalRho = parseFloat(val); },
+            'animation-speed': (val) => {
+                this.animationSpeed = parseInt(val);
+                this.updateAnimationSpeedLabel();
+            }
+        };
+
+        Object.entries(controls).forEach(([id, handler]) => {
+            const element = document.getElementById(id);
+            element.addEventListener('input', (e) => {
+                handler(e.target.value);
+                this.updateAll();
+            });
+        });
+
+        const targetSelect = document.getElementById('target-type');
+        Object.entries(MCMC_TARGETS_2D).forEach(([key, target]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = target.label;
+            targetSelect.appendChild(option);
+        });
+        targetSelect.value = this.targetType;
+        targetSelect.addEventListener('change', (e) => {
+            this.setTargetType(e.target.value);
+            this.resetSampling();
+        });
+
+        const samplerSelect = document.getElementById('sampler-type');
+        samplerSelect.value = this.samplerType;
+        samplerSelect.addEventListener('change', (e) => {
+            this.samplerType = e.target.value;
+            this.updateSamplerControls();
+            this.resetSampling();
+        });
+
+        document.getElementById('match-covariance-btn').addEventListener('click', () => this.matchTargetCovariance());
+
+        const seedInput = document.getElementById('seed');
+        seedInput.value = this.seed;
+        seedInput.addEventListener('change', (e) => {
+            // Anything but a whole number keeps the current seed
+            const seed = SeededRandom.parseSeed(e.target.value);
+            if (seed === null) {
+                e.target.value = this.seed;
+                return;
+            }
+            this.seed = seed;
+            this.resetSampling();
+        });
+        document.getElementById('new-seed-btn').addEventListener('click', () => {
+            this.seed = SeededRandom.randomSeed();
+            seedInput.value = this.seed;
+            this.resetSampling();
+        });
+
+        // Buttons
+        document.getElementById('start-btn').addEventListener('click', () => this.startSampling());
+        document.getElementById('pause-btn').addEventListener('click', () => this.pauseSampling());
+        document.getElementById('step-btn').addEventListener('click', () => {
+            this.pauseSampling();
+            this.performStep();
+            this.updateAll();
+        });
+        document.getElementById('reset-btn').addEventListener('click', () => this.resetSampling());
+
+        this.updateAnimationSpeedLabel();
+    }
+
+    // Show only the controls used by the selected sampler. Exact Gibbs
+    // needs the full conditionals, which only the Gaussian provides.
+    updateSamplerControls() {
+        const gibbsOption = document.querySelector('#sampler-type option[value="gibbs"]');
+        gibbsOption.disabled = !this.target.conditional;
+        if (this.samplerType === 'gibbs' && !this.target.conditional) {
+            this.samplerType = 'componentwise';
+            document.getElementById('sampler-type').value = this.samplerType;
+        }
+
+        const show = (id, visible) => {
+            document.getElementById(id).style.display = visible ? 'block' : 'none';
+        };
+        show('proposal-sx-group', this.samplerType !== 'gibbs');
+        show('proposal-sy-group', this.samplerType !== 'gibbs');
+        show('proposal-rho-group', this.samplerType === 'random-walk');
+
+        const componentwise = this.samplerType === 'componentwise';
+        document.getElementById('proposal-sx-name').textContent = componentwise ? 'x-Update Std Dev' : 'Proposal Std Dev σ₁';
+        document.getElementById('proposal-sy-name').textContent = componentwise ? 'y-Update Std Dev' : 'Proposal Std Dev σ₂';
+    }
+
+    // Switch target and rebuild its parameter sliders
+    setTargetType(type) {
+        this.targetType = type;
+        this.targetParams = {};
+        this.target.params.forEach(param => {
+            this.targetParams[param.id] = param.value;
+        });
+
+        const container = document.getElementById('target-params');
+        container.innerHTML = '';
+        this.target.params.forEach(param => {
+            const group = document.createElement('div');
+            group.className = 'control-group';
+            group.innerHTML =
+                `<label for="target-${param.id}">${param.label}: ` +
+                `<span id="target-${param.id}-value">${param.value}</span></label>` +
+                `<input type="range" id="target-${param.id}" min="${param.min}" ` +
+                `max="${param.max}" value="${param.value}" step="${param.step}">`;
+            container.appendChild(group);
+
+            // The chain belongs to the old target, so start again
+            group.querySelector('input').addEventListener('input', (e) => {
+                this.targetParams[param.id] = parseFloat(e.target.value);
+                this.resetSampling();
+            });
+        });
+
+        this.updateSamplerControls();
+    }
+
+    // Roberts-Rosenthal scaling: a Gaussian proposal with covariance
+    // (2.38²/d) Σ is close to optimal for a d-dimensional Gaussian target
+    matchTargetCovariance() {
+        const covariance = this.targetMoments().covariance;
+        const scale = 2.38 / Math.sqrt(2);
+        const clamp = (value, id) => {
+            const input = document.getElementById(id);
+            return Math.min(parseFloat(input.max), Math.max(parseFloat(input.min), value));
+        };
+        this.proposalSx = clamp(scale * Math.sqrt(covariance[0][0]), 'proposal-sx');
+        this.proposalSy = clamp(scale * Math.sqrt(covariance[1][1]), 'proposal-sy');
+        this.proposalRho = clamp(covariance[0][1] / Math.sqrt(covariance[0][0] * covariance[1][1]), 'proposal-rho');
+        document.getElementById('proposal-sx').value = this.proposalSx;
+        document.getElementById('proposal-sy').value = this.proposalSy;
+        document.getElementById('proposal-rho').value = this.proposalRho;
+        this.updateAll();
+    }
+
+    updateAnimationSpeedLabel() {
+        const labels = ['Very Slow', 'Slow', 'Medium', 'Fast', 'Very Fast'];
+        document.getElementById('animation-speed-value').textContent = labels[this.animationSpeed - 1];
+    }
+
+    startSampling() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.animate();
+    }
+
+    pauseSampling() {
+        this.isRunning = false;
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+        }
+    }
+
+    resetSampling() {
+        this.pauseSampling();
+        this.rng.setSeed(this.seed);
+        this.currentPosition = this.target.start(this.targetParams);
+        this.samples = [];
+        this.lastStep = null;
+        this.acceptedMoves = [0, 0];
+        this.attemptedMoves = [0, 0];
+        this.recentPath = [this.currentPosition];
+        this.ess = null;
+        this.updateAll();
+    }
+
+    // One iteration of the selected sampler: a single full-vector move, or
+    // a sweep of one move per coordinate
+    performStep() {
+        const from = this.currentPosition;
+        const logDensity = point => this.logTargetDensity(point);
+        let moves;
+
+        if (this.samplerType === 'random-walk') {
+            const step = randomWalkStep2d(logDensity, from, this.proposalFactor, this.rng);
+            moves = [{ axis: null, from, proposed: step.proposed, accepted: step.accepted, logRatio: step.logRatio, position: step.position }];
+        } else if (this.samplerType === 'componentwise') {
+            moves = componentwiseStep2d(logDensity, from, [this.proposalSx, this.proposalSy], this.rng).moves;
+        } else {
+            const conditional = (axis, other) => this.target.conditional(axis, other, this.targetParams);
+            moves = gibbsStep2d(conditional, from, this.rng).moves;
+        }
+
+        moves.forEach(move => {
+            const axes = move.axis === null ? [0, 1] : [move.axis];
+            axes.forEach(axis => {
+                this.attemptedMoves[axis]++;
+                if (move.accepted) this.acceptedMoves[axis]++;
+            });
+            this.recentPath.push(move.position);
+        });
+        if (this.recentPath.length > this.maxPathLength) {
+            this.recentPath.splice(0, this.recentPath.length - this.maxPathLength);
+        }
+
+        this.currentPosition = moves[moves.length - 1].position;
+        this.samples.push(this.currentPosition);
+        this.lastStep = { iteration: this.samples.length, from, moves };
+    }
+
+    animate() {
+        if (!this.isRunning) return;
+
+        const stepsPerFrame = [1, 1, 5, 20, 100][this.animationSpeed - 1];
+        for (let i = 0; i < stepsPerFrame; i++) {
+            this.performStep();
+        }
+        this.updateAll();
+
+        const delay = this.animationSpeed <= 2 ? (3 - this.animationSpeed) * 250 : 0;
+        setTimeout(() => {
+            this.animationId = requestAnimationFrame(() => this.animate());
+        }, delay);
+    }
+
+    // Target density on a grid over the plot range, normalised to integrate
+    // to one, with its highest-density contours, marginals and moments
+    updateGrid() {
+        const key = JSON.stringify([this.targetType, this.targetParams]);
+        if (this.grid && this.grid.key === key) return this.grid;
+
+        const range = this.targetRange();
+        const n = this.gridSize;
+        const dx = (range.x[1] - range.x[0]) / n;
+        const dy = (range.y[1] - range.y[0]) / n;
+        const logValues = new Float64Array(n * n);
+        let maxLog = -Infinity;
+        for (let j = 0; j < n; j++) {
+            const y = range.y[0] + (j + 0.5) * dy;
+            for (let i = 0; i < n; i++) {
+                const value = this.logTargetDensity([range.x[0] + (i + 0.5) * dx, y]);
+                logValues[j * n + i] = value;
+                if (value > maxLog) maxLog = value;
+            }
+        }
+
+        const values = new Float64Array(n * n);
+        let total = 0;
+        for (let k = 0; k < n * n; k++) {
+            values[k] = Math.exp(logValues[k] - maxLog);
+            total += values[k];
+        }
+        const marginalX = new Float64Array(n);
+        const marginalY = new Float64Array(n);
+        for (let j = 0; j < n; j++) {
+            for (let i = 0; i < n; i++) {
+                values[j * n + i] /= total * dx * dy;
+                marginalX[i] += values[j * n + i] * dy;
+                marginalY[j] += values[j * n + i] * dx;
+            }
+        }
+
+        // Density levels enclosing 25%...99% of the mass: sort the cells by
+        // density and accumulate their probability
+        const sorted = Array.from(values).sort((a, b) => b - a);
+        const masses = [0.99, 0.9, 0.75, 0.5, 0.25];
+        const levels = [];
+        let cumulative = 0;
+        let m = 0;
+        for (let k = 0; k < sorted.length && m < masses.length; k++) {
+            cumulative += sorted[k] * dx * dy;
+            while (m < masses.length && cumulative >= masses[m]) {
+                levels.push({ mass: masses[m], density: sorted[k] });
+                m++;
+            }
+        }
+
+        this.grid = { key, range, n, dx, dy, values, levels, marginalX, marginalY };
+        return this.grid;
+    }
+
+    // Exact mean and covariance where the target provides them, otherwise
+    // from the density grid
+    targetMoments() {
+        if (this.target.moments) return this.target.moments(this.targetParams);
+        const grid = this.updateGrid();
+        const cell = grid.dx * grid.dy;
+        let mx = 0, my = 0, sxx = 0, syy = 0, sxy = 0;
+        for (let j = 0; j < grid.n; j++) {
+            const y = grid.range.y[0] + (j + 0.5) * grid.dy;
+            for (let i = 0; i < grid.n; i++) {
+                const x = grid.range.x[0] + (i + 0.5) * grid.dx;
+                const p = grid.values[j * grid.n + i] * cell;
+                mx += p * x;
+                my += p * y;
+                sxx += p * x * x;
+                syy += p * y * y;
+                sxy += p * x * y;
+            }
+        }
+        return {
+            mean: [mx, my],
+            covariance: [[sxx - mx * mx, sxy - mx * my], [sxy - mx * my, syy - my * my]]
+        };
+    }
+
+    sampleMoments() {
+        const n = this.samples.length;
+        if (n < 2) return null;
+        let mx = 0, my = 0;
+        this.samples.forEach(([x, y]) => { mx += x; my += y; });
+        mx /= n;
+        my /= n;
+        let sxx = 0, syy = 0, sxy = 0;
+        this.samples.forEach(([x, y]) => {
+            sxx += (x - mx) * (x - mx);
+            syy += (y - my) * (y - my);
+            sxy += (x - mx) * (y - my);
+        });
+        return {
+            mean: [mx, my],
+            covariance: [[sxx / (n - 1), sxy / (n - 1)], [sxy / (n - 1), syy / (n - 1)]]
+        };
+    }
+
+    // ESS of each coordinate, refreshed when the chain has grown by 5%
+    updateEss() {
+        const n = this.samples.length;
+        if (n < 20) {
+            this.ess = null;
+            return;
+        }
+        if (this.ess && (n === this.ess.count || (n >= 1000 && n < 1.05 * this.ess.count))) return;
+
+        const recent = this.samples.slice(Math.max(0, n - this.essWindow));
+        const tau = [0, 1].map(axis => integratedAutocorrTime(recent.map(point => point[axis])));
+        this.ess = { count: n, tau, values: tau.map(t => n / t) };
+    }
+
+    updateAll() {
+        this.updateEss();
+        this.updateControlLabels();
+        this.updateStats();
+        this.updateJointChart();
+        this.updateTraceChart();
+        this.updateMomentsPanel();
+        this.updateStepInfo();
+    }
+
+    updateControlLabels() {
+        document.getElementById('proposal-sx-value').textContent = this.proposalSx.toFixed(2);
+        document.getElementById('proposal-sy-value').textContent = this.proposalSy.toFixed(2);
+        document.getElementById('proposal-rho-value').textContent = this.proposalRho.toFixed(2);
+        this.target.params.forEach(param => {
+            document.getElementById(`target-${param.id}-value`).textContent =
+                this.targetParams[param.id].toFixed(2);
+        });
+    }
+
+    updateStats() {
+        document.getElementById('sample-count').textContent = this.samples.length;
+        const rate = axis => this.attemptedMoves[axis] > 0 ?
+            (this.acceptedMoves[axis] / this.attemptedMoves[axis] * 100).toFixed(1) + '%' : '–';
+        document.getElementById('acceptance-rate').textContent =
+            this.samplerType === 'random-walk' ? rate(0) : `x ${rate(0)} | y ${rate(1)}`;
+    }
+
+    createVisualizations() {
+        const jointWidth = this.margin.left + this.jointSize + this.marginalSize + this.margin.right;
+        const jointHeight = this.margin.top + this.marginalSize + this.jointSize + this.margin.bottom;
+        this.jointSvg = d3.select('#joint-chart')
+            .append('svg')
+            .attr('width', jointWidth)
+            .attr('height', jointHeight);
+        this.traceSvg = d3.select('#trace-chart')
+            .append('svg')
+            .attr('width', this.chartWidth)
+            .attr('height', this.chartHeight);
+    }
+
+    // Contours of the target with the samples, the recent path, the last
+    // move and the proposal, plus marginal histograms on the top and right
+    updateJointChart() {
+        const svg = this.jointSvg;
+        svg.selectAll('*').remove();
+
+        const grid = this.updateGrid();
+        const size = this.jointSize;
+        const g = svg.append('g')
+            .attr('transform', `translate(${this.margin.left},${this.margin.top + this.marginalSize})`);
+
+        const xScale = d3.scaleLinear().domain(grid.range.x).range([0, size]);
+        const yScale = d3.scaleLinear().domain(grid.range.y).range([size, 0]);
+
+        // Keep the samples and path inside the plot area
+        svg.append('defs').append('clipPath')
+            .attr('id', 'joint-clip')
+            .append('rect')
+            .attr('width', size)
+            .attr('height', size);
+        const plot = g.append('g').attr('clip-path', 'url(#joint-clip)');
+
+        // Contours come in grid units; map them onto the axes
+        const contours = d3.contours()
+            .size([grid.n, grid.n])
+            .thresholds(grid.levels.map(level => level.density))(grid.values);
+        const projection = d3.geoTransform({
+            point: function(x, y) {
+                this.stream.point(
+                    xScale(grid.range.x[0] + x * grid.dx),
+                    yScale(grid.range.y[0] + y * grid.dy)
+                );
+            }
+        });
+        const color = d3.scaleSequential(d3.interpolateBlues).domain([-1, grid.levels.length]);
+        plot.selectAll('.contour')
+            .data(contours)
+            .enter().append('path')
+            .attr('class', 'contour')
+            .attr('d', d3.geoPath(projection))
+            .attr('fill', (d, i) => color(i))
+            .attr('fill-opacity', 0.6)
+            .attr('stroke', '#3182ce')
+            .attr('stroke-width', 0.5);
+
+        // Samples, thinned to the most recent ones
+        const plotted = this.samples.slice(-this.maxPlottedSamples);
+        plot.selectAll('.sample')
+            .data(plotted)
+            .enter().append('circle')
+            .attr('class', 'sample')
+            .attr('cx', d => xScale(d[0]))
+            .attr('cy', d => yScale(d[1]))
+            .attr('r', 1.5)
+            .attr('fill', '#805ad5')
+            .attr('opacity', 0.35);
+
+        // Recent path: component-wise samplers draw a staircase
+        plot.append('path')
+            .datum(this.recentPath)
+            .attr('fill', 'none')
+            .attr('stroke', '#2d3748')
+            .attr('stroke-width', 1.2)
+            .attr('opacity', 0.7)
+            .attr('d', d3.line().x(d => xScale(d[0])).y(d => yScale(d[1])));
+
+        // Proposal ellipses (1σ and 2σ) of the full-vector random walk
+        if (this.samplerType === 'random-walk') {
+            const factor = this.proposalFactor;
+            const [cx, cy] = this.currentPosition;
+            [1, 2].forEach(k => {
+                const ellipse = d3.range(0, 65).map(i => {
+                    const t = 2 * Math.PI * i / 64;
+                    const z1 = k * Math.cos(t);
+                    const z2 = k * Math.sin(t);
+                    return [cx + factor[0][0] * z1, cy + factor[1][0] * z1 + factor[1][1] * z2];
+                });
+                plot.append('path')
+                    .datum(ellipse)
+                    .attr('fill', 'none')
+                    .attr('stroke', '#ff9500')
+                    .attr('stroke-width', 1.5)
+                    .attr('stroke-dasharray', k === 2 ? '4,3' : null)
+                    .attr('d', d3.line().x(d => xScale(d[0])).y(d => yScale(d[1])));
+            });
+        }
+
+        // The last iteration's proposals: green if accepted, red if rejected
+        if (this.lastStep) {
+            this.lastStep.moves.forEach(move => {
+                const colour = move.accepted ? '#38a169' : '#e53e3e';
+                plot.append('line')
+                    .attr('x1', xScale(move.from[0]))
+                    .attr('y1', yScale(move.from[1]))
+                    .attr('x2', xScale(move.proposed[0]))
+                    .attr('y2', yScale(move.proposed[1]))
+                    .attr('stroke', colour)
+                    .attr('stroke-width', 2)
+                    .attr('stroke-dasharray', move.accepted ? null : '4,3');
+                plot.append('circle')
+                    .attr('cx', xScale(move.proposed[0]))
+                    .attr('cy', yScale(move.proposed[1]))
+                    .attr('r', 4)
+                    .attr('fill', 'none')
+                    .attr('stroke', colour)
+                    .attr('stroke-width', 2);
+            });
+        }
+
+        plot.append('circle')
+            .attr('cx', xScale(this.currentPosition[0]))
+            .attr('cy', yScale(this.currentPosition[1]))
+            .attr('r', 5)
+            .attr('fill', '#e53e3e')
+            .attr('stroke', 'white')
+            .attr('stroke-width', 1.5);
+
+        g.append('g')
+            .attr('transform', `translate(0,${size})`)
+            .call(d3.axisBottom(xScale).ticks(6));
+        g.append('g')
+            .call(d3.axisLeft(yScale).ticks(6));
+        g.append('text')
+            .attr('x', size / 2)
+            .attr('y', size + 35)
+            .attr('text-anchor', 'middle')
+            .text('x');
+        g.append('text')
+            .attr('transform', 'rotate(-90)')
+            .attr('x', -size / 2)
+            .attr('y', -38)
+            .attr('text-anchor', 'middle')
+            .text('y');
+
+        this.drawMarginal(svg, grid, 0, xScale);
+        this.drawMarginal(svg, grid, 1, yScale);
+    }
+
+    // Density histogram of one coordinate with the target's marginal;
+    // axis 0 is drawn above the joint plot, axis 1 to its right
+    drawMarginal(svg, grid, axis, positionScale) {
+        const size = this.jointSize;
+        const depth = this.marginalSize - 10;
+        const range = axis === 0 ? grid.range.x : grid.range.y;
+        const g = axis === 0 ?
+            svg.append('g').attr('transform', `translate(${this.margin.left},${this.margin.top})`) :
+            svg.append('g').attr('transform', `translate(${this.margin.left + size + 10},${this.margin.top + this.marginalSize})`);
+
+        const binWidth = (range[1] - range[0]) / this.marginalBins;
+        const counts = new Array(this.marginalBins).fill(0);
+        this.samples.forEach(point => {
+            const bin = Math.floor((point[axis] - range[0]) / binWidth);
+            if (bin >= 0 && bin < this.marginalBins) counts[bin]++;
+        });
+        const total = this.samples.length;
+        const densities = counts.map(count => (total > 0 ? count / (total * binWidth) : 0));
+
+        const step = axis === 0 ? grid.dx : grid.dy;
+        const marginal = Array.from(axis === 0 ? grid.marginalX : grid.marginalY, (value, i) => ({
+            position: range[0] + (i + 0.5) * step,
+            density: value
+        }));
+
+        const depthScale = d3.scaleLinear()
+            .domain([0, Math.max(d3.max(densities), d3.max(marginal, d => d.density)) || 1])
+            .range([0, depth]);
+
+        g.selectAll('.marginal-bar')
+            .data(densities)
+            .enter().append('rect')
+            .attr('class', 'marginal-bar')
+            .attr('fill', '#805ad5')
+            .attr('opacity', 0.6)
+            .each(function(d, i) {
+                const a = positionScale(range[0] + i * binWidth);
+                const b = positionScale(range[0] + (i + 1) * binWidth);
+                const bar = d3.select(this);
+                if (axis === 0) {
+                    bar.attr('x', a).attr('width', Math.max(0, b - a - 1))
+                        .attr('y', depth - depthScale(d)).attr('height', depthScale(d));
+                } else {
+                    bar.attr('y', b).attr('height', Math.max(0, a - b - 1))
+                        .attr('x', 0).attr('width', depthScale(d));
+                }
+            });
+
+        const line = axis === 0 ?
+            d3.line().x(d => positionScale(d.position)).y(d => depth - depthScale(d.density)) :
+            d3.line().x(d => depthScale(d.density)).y(d => positionScale(d.position));
+        g.append('path')
+            .datum(marginal)
+            .attr('fill', 'none')
+            .attr('stroke', '#e53e3e')
+            .attr('stroke-width', 1.5)
+            .attr('d', line);
+    }
+
+    updateTraceChart() {
+        const svg = this.traceSvg;
+        const width = this.chartWidth - this.margin.left - this.margin.right;
+        const height = this.chartHeight - this.margin.top - this.margin.bottom;
+
+        svg.selectAll('*').remove();
+        const g = svg.append('g')
+            .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+
+        const n = this.samples.length;
+        const xScale = d3.scaleLinear()
+            .domain([0, Math.max(n, 100)])
+            .range([0, width]);
+        const yExtent = d3.extent(this.samples.flat());
+        const yPadding = (yExtent[1] - yExtent[0]) * 0.1 || 1;
+        const yScale = d3.scaleLinear()
+            .domain(n > 0 ? [yExtent[0] - yPadding, yExtent[1] + yPadding] : [-1, 1])
+            .range([height, 0]);
+
+        // Thin long chains to at most ~500 plotted points each
+        const stride = Math.max(1, Math.ceil(n / 500));
+        const series = [
+            { axis: 0, label: 'x', color: '#4299e1' },
+            { axis: 1, label: 'y', color: '#805ad5' }
+        ];
+        series.forEach(({ axis, label, color }, k) => {
+            const plotted = [];
+            for (let i = 0; i < n; i += stride) plotted.push([i, this.samples[i][axis]]);
+            if (n > 0) plotted.push([n - 1, this.samples[n - 1][axis]]);
+
+            g.append('path')
+                .datum(plotted)
+                .attr('fill', 'none')
+                .attr('stroke', color)
+                .attr('stroke-width', 1)
+                .attr('opacity', 0.8)
+                .attr('d', d3.line().x(d => xScale(d[0])).y(d => yScale(d[1])));
+
+            g.append('text')
+                .attr('x', width - 30 + k * 15)
+                .attr('y', 12)
+                .attr('font-size', '12px')
+                .attr('font-weight', 'bold')
+                .attr('fill', color)
+                .text(label);
+        });
+
+        g.append('g')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(xScale).ticks(5));
+        g.append('g')
+            .call(d3.axisLeft(yScale));
+
+        g.append('text')
+            .attr('x', width / 2)
+            .attr('y', height + 35)
+            .attr('text-anchor', 'middle')
+            .text('Iteration');
+    }
+
+    updateMomentsPanel() {
+        const panel = document.getElementById('moments-panel');
+        const sample = this.sampleMoments();
+        const target = this.targetMoments();
+        const correlation = c => c[0][1] / Math.sqrt(c[0][0] * c[1][1]);
+        // Grid moments of symmetric targets come out as ±1e-17
+        const format = value => (Math.abs(value) < 5e-4 ? 0 : value).toFixed(3);
+        const rows = [
+            ['E[x]', m => m.mean[0]],
+            ['E[y]', m => m.mean[1]],
+            ['Var(x)', m => m.covariance[0][0]],
+            ['Var(y)', m => m.covariance[1][1]],
+            ['Corr(x, y)', m => correlation(m.covariance)]
+        ];
+
+        panel.innerHTML =
+            '<table style="width: 100%; border-collapse: collapse; text-align: left;">' +
+            '<tr><th></th><th>Samples</th><th>Target</th></tr>' +
+            rows.map(([label, value]) =>
+                `<tr><td>${label}</td><td>${sample ? format(value(sample)) : '–'}</td>` +
+                `<td>${format(value(target))}</td></tr>`).join('') +
+            '</table>' +
+            '<p style="margin-top: 0.5rem;">' + (this.ess ?
+                `ESS: x ${Math.round(this.ess.values[0])}, y ${Math.round(this.ess.values[1])} ` +
+                `(τ = ${this.ess.tau[0].toFixed(1)}, ${this.ess.tau[1].toFixed(1)})` :
+                'ESS: draw at least 20 samples') + '</p>';
+    }
+
+    updateStepInfo() {
+        const info = document.getElementById('step-info');
+        const step = this.lastStep;
+        if (!step) {
+            info.textContent = `Start: (${this.currentPosition.map(v => v.toFixed(2)).join(', ')})`;
+            return;
+        }
+        const point = p => `(${p[0].toFixed(2)}, ${p[1].toFixed(2)})`;
+        const acceptance = move => `α = ${(Math.exp(Math.min(0, move.logRatio)) * 100).toFixed(1)}%`;
+        const parts = step.moves.map(move => {
+            if (this.samplerType === 'gibbs') {
+                return `${move.axis === 0 ? 'x | y' : 'y | x'} drawn: ${point(move.position)}`;
+            }
+            const name = move.axis === null ? 'Proposed' : `${move.axis === 0 ? 'x' : 'y'}-move to`;
+            return `${name} ${point(move.proposed)}, ${acceptance(move)}, ${move.accepted ? 'accepted' : 'rejected'}`;
+        });
+        info.textContent = `Iteration ${step.iteration} | From ${point(step.from)} | ` + parts.join(' | ');
+    }
+}
+
+// Initialize when page loads
+document.addEventListener('DOMContentLoaded', function() {
+    new MCMC2D();
+});
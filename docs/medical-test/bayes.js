@@ -0,0 +1,432 @@
+// Bayes' theorem for a diagnostic test, free of any DOM or d3 code
+// Based on the notebook: 01_Intro_test_statistics.ipynb
+//
+// All rates are given in percent, as on the sliders, except for the Beta
+// distributions of uncertain inputs, which describe proportions.
+
+if (typeof module !== 'undefined' && module.exports) {
+    var { randomBeta } = require('../shared/random.js');
+}
+
+// P(disease | positive test) = P(+|D)P(D) / (P(+|D)P(D) + P(+|¬D)P(¬D)),
+// or with result = 'negative'
+// P(disease | negative test) = P(−|D)P(D) / (P(−|D)P(D) + P(−|¬D)P(¬D)).
+// NaN when the result is impossible (e.g. a positive with no disease and
+// 100% specificity).
+function calculatePosterior(prevalence, sensitivity, specificity, result = 'positive') {
+    const p_d = prevalence / 100;
+    const p_pos_given_d = sensitivity / 100;
+    const p_pos_given_not_d = (100 - specificity) / 100;
+    const p_t_given_d = result === 'negative' ? 1 - p_pos_given_d : p_pos_given_d;
+    const p_t_given_not_d = result === 'negative' ? 1 - p_pos_given_not_d : p_pos_given_not_d;
+
+    const evidence = p_t_given_d * p_d + p_t_given_not_d * (1 - p_d);
+    if (evidence === 0) return NaN;
+    return (p_t_given_d * p_d) / evidence;
+}
+
+// The standard summary measures of a test:
+//   ppv, npv              - P(disease | +) and P(healthy | −)
+//   positive_lr           - LR+ = sensitivity / (1 − specificity), how much a
+//                           positive multiplies the odds of disease
+//   negative_lr           - LR− = (1 − sensitivity) / specificity
+//   diagnostic_odds_ratio - LR+ / LR−, independent of the prevalence
+//   accuracy              - P(correct result) at this prevalence
+//   youden_j              - sensitivity + specificity − 1
+// Ratios are Infinity for a perfect test and NaN when undefined.
+function calculateTestMetrics(prevalence, sensitivity, specificity) {
+    const p_d = prevalence / 100;
+    const sens = sensitivity / 100;
+    const spec = specificity / 100;
+    const positive_lr = sens / (1 - spec);
+    const negative_lr = (1 - sens) / spec;
+
+    return {
+        ppv: calculatePosterior(prevalence, sensitivity, specificity, 'positive'),
+        npv: 1 - calculatePosterior(prevalence, sensitivity, specificity, 'negative'),
+        positive_lr,
+        negative_lr,
+        diagnostic_odds_ratio: positive_lr / negative_lr,
+        accuracy: sens * p_d + spec * (1 - p_d),
+        youden_j: sens + spec - 1
+    };
+}
+
+// Bayes' rule in odds form: posterior odds = prior odds × LR, where LR is
+// LR+ for a positive and LR− for a negative result; the log10 terms add up
+// on a number line. Odds are P(disease) / P(healthy).
+function oddsForm(prevalence, sensitivity, specificity, result = 'positive') {
+    const metrics = calculateTestMetrics(prevalence, sensitivity, specificity);
+    const prior_odds = prevalence / (100 - prevalence);
+    const likelihood_ratio = result === 'negative' ? metrics.negative_lr : metrics.positive_lr;
+    const posterior_odds = prior_odds * likelihood_ratio;
+    return {
+        prior_odds,
+        likelihood_ratio,
+        posterior_odds,
+        log_prior_odds: Math.log10(prior_odds),
+        log_likelihood_ratio: Math.log10(likelihood_ratio),
+        log_posterior_odds: Math.log10(posterior_odds)
+    };
+}
+
+// P(both tests positive) for two tests positive with probabilities p1 and
+// p2 whose results have correlation `rho`, clamped to the Fréchet bounds
+// max(0, p1 + p2 − 1) ≤ P(++) ≤ min(p1, p2)
+function pairedPositiveProbability(p1, p2, rho) {
+    const joint = p1 * p2 + rho * Math.sqrt(p1 * (1 - p1) * p2 * (1 - p2));
+    return Math.min(Math.max(joint, Math.max(0, p1 + p2 - 1)), Math.min(p1, p2));
+}
+
+// Posterior after each test of a sequence. Every test is
+// { sensitivity, specificity, result, correlation }, with rates in percent
+// and `correlation` the correlation of its result with the previous test's
+// among people of the same disease status (0 = conditionally independent;
+// a repeat of the same test tends to repeat its errors). Results form a
+// Markov chain given the disease status, so each test keeps its own
+// sensitivity and specificity. Returns one { posterior, likelihood_ratio }
+// per test, where likelihood_ratio is P(result | earlier results, D) /
+// P(result | earlier results, ¬D): posterior odds = prior odds × the
+// product of the ratios so far.
+function sequentialPosteriors(prevalence, tests) {
+    const p_d = prevalence / 100;
+    let likelihood_d = 1;
+    let likelihood_not_d = 1;
+
+    // Probability of `result` at test k given the previous result, for a
+    // class in which the tests are positive with probabilities previous
+    // and current
+    const conditional = (k, previous, current) => {
+        const positive = tests[k].result === 'positive';
+        if (k === 0) return positive ? current : 1 - current;
+        const previousPositive = tests[k - 1].result === 'positive';
+        const both = pairedPositiveProbability(previous, current, tests[k].correlation);
+        const previousProbability = previousPositive ? previous : 1 - previous;
+        // Impossible earlier results leave this class with zero weight
+        if (previousProbability === 0) return positive ? current : 1 - current;
+        let joint;
+        if (previousPositive) joint = positive ? both : previous - both;
+        else joint = positive ? current - both : 1 - previous - current + both;
+        return joint / previousProbability;
+    };
+
+    return tests.map((test, k) => {
+        const previous = k > 0 ? tests[k - 1] : test;
+        const in_d = conditional(k, previous.sensitivity / 100, test.sensitivity / 100);
+        const in_not_d = conditional(k, 1 - previous.specificity / 100, 1 - test.specificity / 100);
+        likelihood_d *= in_d;
+        likelihood_not_d *= in_not_d;
+
+        const evidence = likelihood_d * p_d + likelihood_not_d * (1 - p_d);
+        return {
+            posterior: evidence === 0 ? NaN : likelihood_d * p_d / evidence,
+            likelihood_ratio: in_d / in_not_d
+        };
+    });
+}
+
+// Beta distribution of a rate estimated from `successes` out of `total`
+// study subjects, starting from a uniform Beta(1, 1) prior
+function betaFromCounts(successes, total) {
+    if (!Number.isInteger(successes) || !Number.isInteger(total) || total < 1 || successes < 0 || successes > total) {
+        throw new Error(`${successes} out of ${total} is not a valid count: need 0 ≤ successes ≤ total and total ≥ 1`);
+    }
+    return { alpha: successes + 1, beta: total - successes + 1 };
+}
+
+// Throws unless { alpha, beta } is a valid Beta distribution
+function checkBeta({ alpha, beta }, name) {
+    if (!(alpha > 0) || !(beta > 0)) {
+        throw new Error(`${name}: Beta parameters must be positive (got α = ${alpha}, β = ${beta})`);
+    }
+}
+
+// Quantile q of ascending `sorted` values, interpolating linearly
+function sortedQuantile(sorted, q) {
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.min(lower + 1, sorted.length - 1);
+    return sorted[lower] + (position - lower) * (sorted[upper] - sorted[lower]);
+}
+
+// Monte Carlo propagation of uncertain inputs. `inputs` gives a Beta
+// { alpha, beta } for each of prevalence, sensitivity and specificity
+// (as proportions); `draws` sets of inputs are sampled and the posterior
+// P(disease | result) is computed for each. Returns the sorted posterior
+// draws, their mean, the central 95% credible interval and the point
+// estimate at the input means. `contributions` splits the uncertainty
+// between the inputs: the posterior variance with only that input
+// uncertain and the others at their means, and its share of the total of
+// these three variances.
+function posteriorUncertainty(inputs, result = 'positive', draws = 20000, rng = Math) {
+    const names = ['prevalence', 'sensitivity', 'specificity'];
+    names.forEach(name => checkBeta(inputs[name], name));
+    const means = {};
+    names.forEach(name => {
+        means[name] = inputs[name].alpha / (inputs[name].alpha + inputs[name].beta);
+    });
+    const posteriorAt = (values) =>
+        calculatePosterior(values.prevalence * 100, values.sensitivity * 100, values.specificity * 100, result);
+
+    // Posterior draws with the inputs in `uncertain` drawn and the others
+    // at their means, dropping the rare draws where the result is impossible
+    const simulate = (uncertain) => {
+        const samples = [];
+        for (let i = 0; i < draws; i++) {
+            const values = Object.assign({}, means);
+            uncertain.forEach(name => {
+                values[name] = randomBeta(inputs[name].alpha, inputs[name].beta, rng);
+            });
+            const posterior = posteriorAt(values);
+            if (!Number.isNaN(posterior)) samples.push(posterior);
+        }
+        return Float64Array.from(samples).sort();
+    };
+    const varianceOf = (samples) => {
+        const mean = samples.reduce((sum, x) => sum + x, 0) / samples.length;
+        return samples.reduce((sum, x) => sum + (x - mean) * (x - mean), 0) / (samples.length - 1);
+    };
+
+    const samples = simulate(names);
+    const oneAtATime = names.map(name => varianceOf(simulate([name])));
+    const totalShare = oneAtATime.reduce((sum, v) => sum + v, 0);
+
+    return {
+        samples,
+        mean: samples.reduce((sum, x) => sum + x, 0) / samples.length,
+        interval: [sortedQuantile(samples, 0.025), sortedQuantile(samples, 0.975)],
+        point_estimate: posteriorAt(means),
+        contributions: names.map((name, k) => ({
+            input: name,
+            variance: oneAtATime[k],
+            share: totalShare > 0 ? oneAtATime[k] / totalShare : NaN
+        }))
+    };
+}
+
+// Expected utility of three strategies at a given prevalence (in percent):
+// treat everyone, treat no one, or test and treat the positives. The
+// utilities of the four outcomes (treat_diseased, no_treat_diseased,
+// treat_healthy, no_treat_healthy) are on any common scale, higher being
+// better; `testCost` is subtracted from the test strategy. Also returns the
+// best strategy, the treatment threshold (the P(disease) above which treating
+// beats not treating: harm / (harm + benefit)) and the range of prevalences
+// in which testing beats both other strategies, or null if there is none.
+// Probabilities in the result are proportions.
+function decisionAnalysis(prevalence, sensitivity, specificity, utilities, testCost = 0) {
+    ['treat_diseased', 'no_treat_diseased', 'treat_healthy', 'no_treat_healthy'].forEach(name => {
+        if (!Number.isFinite(utilities[name])) throw new Error(`The utility ${name.replace(/_/g, ' ')} must be a number`);
+    });
+    if (!Number.isFinite(testCost) || testCost < 0) throw new Error('The test cost must be a non-negative number');
+    const benefit = utilities.treat_diseased - utilities.no_treat_diseased;
+    const harm = utilities.no_treat_healthy - utilities.treat_healthy;
+    if (!(benefit > 0)) throw new Error('Treatment must do better than no treatment for patients with the disease');
+    if (harm < 0) throw new Error('Treating healthy patients cannot do better than leaving them untreated');
+
+    const sens = sensitivity / 100;
+    const spec = specificity / 100;
+    // Each expected utility is linear in the prevalence p
+    const treatAll = (p) => p * utilities.treat_diseased + (1 - p) * utilities.treat_healthy;
+    const treatNone = (p) => p * utilities.no_treat_diseased + (1 - p) * utilities.no_treat_healthy;
+    const test = (p) => p * (sens * utilities.treat_diseased + (1 - sens) * utilities.no_treat_diseased) +
+        (1 - p) * ((1 - spec) * utilities.treat_healthy + spec * utilities.no_treat_healthy) - testCost;
+
+    // Where on [0, 1] the linear f − g is positive
+    const betterOn = (f, g) => {
+        const [d0, d1] = [f(0) - g(0), f(1) - g(1)];
+        if (d0 > 0 && d1 > 0) return [0, 1];
+        if (d0 <= 0 && d1 <= 0) return null;
+        const root = d0 / (d0 - d1);
+        return d0 > 0 ? [0, root] : [root, 1];
+    };
+    const overNone = betterOn(test, treatNone);
+    const overAll = betterOn(test, treatAll);
+    let testing_range = null;
+    if (overNone && overAll) {
+        const low = Math.max(overNone[0], overAll[0]);
+        const high = Math.min(overNone[1], overAll[1]);
+        if (low < high) testing_range = [low, high];
+    }
+
+    const p = prevalence / 100;
+    const values = { treat_all: treatAll(p), treat_none: treatNone(p), test: test(p) };
+    const best = Object.keys(values).reduce((a, b) => (values[b] > values[a] ? b : a));
+    return Object.assign(values, {
+        best,
+        treatment_threshold: harm / (harm + benefit),
+        testing_range
+    });
+}
+
+// Standard normal CDF from the erf approximation 7.1.26 of Abramowitz and
+// Stegun (absolute error below 1.5e-7)
+function normalCdf(z) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-z * z / 2);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Distribution of a continuous biomarker within one class (healthy or
+// diseased), given its mean, standard deviation and shape: 'normal', or
+// 'lognormal' for a right-skewed marker with the same mean and sd.
+// Returns the density and CDF.
+function biomarkerDistribution({ shape, mean, sd }) {
+    if (!(sd > 0)) throw new Error('The biomarker spread must be positive');
+    if (shape === 'normal') {
+        return {
+            pdf: (x) => Math.exp(-0.5 * ((x - mean) / sd) ** 2) / (sd * Math.sqrt(2 * Math.PI)),
+            cdf: (x) => normalCdf((x - mean) / sd)
+        };
+    }
+    if (shape === 'lognormal') {
+        if (!(mean > 0)) throw new Error('A log-normal biomarker needs a positive mean');
+        // log X ~ N(mu, sigma²) with E[X] = mean and SD[X] = sd
+        const sigma = Math.sqrt(Math.log(1 + (sd / mean) ** 2));
+        const mu = Math.log(mean) - sigma * sigma / 2;
+        return {
+            pdf: (x) => (x > 0
+                ? Math.exp(-0.5 * ((Math.log(x) - mu) / sigma) ** 2) / (x * sigma * Math.sqrt(2 * Math.PI))
+                : 0),
+            cdf: (x) => (x > 0 ? normalCdf((Math.log(x) - mu) / sigma) : 0)
+        };
+    }
+    throw new Error(`Unknown biomarker shape: ${shape}`);
+}
+
+// Biomarker values covering both classes: `spread` standard deviations
+// around each mean, measured on the log scale below a log-normal mean so
+// that the range stays positive
+function biomarkerRange(healthy, diseased, spread = 4) {
+    const low = (params) => (params.shape === 'lognormal'
+        ? params.mean * Math.exp(-spread * Math.sqrt(Math.log(1 + (params.sd / params.mean) ** 2)))
+        : params.mean - spread * params.sd);
+    return [
+        Math.min(low(healthy), low(diseased)),
+        Math.max(healthy.mean + spread * healthy.sd, diseased.mean + spread * diseased.sd)
+    ];
+}
+
+// Sensitivity and specificity (in percent) of the test that is positive
+// when the biomarker is at or above the threshold; the diseased are assumed
+// to have the higher values
+function thresholdRates(healthy, diseased, threshold) {
+    return {
+        sensitivity: (1 - biomarkerDistribution(diseased).cdf(threshold)) * 100,
+        specificity: biomarkerDistribution(healthy).cdf(threshold) * 100
+    };
+}
+
+// ROC curve over a grid of thresholds, from the highest (nobody positive)
+// to the lowest (everybody positive), with the rates as proportions. The
+// area under it, by the trapezoidal rule, is the probability that a
+// diseased person has a higher value than a healthy one.
+function rocCurve(healthy, diseased, count = 400) {
+    const [lo, hi] = biomarkerRange(healthy, diseased, 8);
+    const healthyCdf = biomarkerDistribution(healthy).cdf;
+    const diseasedCdf = biomarkerDistribution(diseased).cdf;
+    const points = [{ threshold: Infinity, false_positive_rate: 0, true_positive_rate: 0 }];
+    for (let i = count; i >= 0; i--) {
+        const threshold = lo + (hi - lo) * i / count;
+        points.push({
+            threshold,
+            false_positive_rate: 1 - healthyCdf(threshold),
+            true_positive_rate: 1 - diseasedCdf(threshold)
+        });
+    }
+    points.push({ threshold: -Infinity, false_positive_rate: 1, true_positive_rate: 1 });
+
+    let auc = 0;
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1], b = points[i];
+        auc += (b.false_positive_rate - a.false_positive_rate) * (a.true_positive_rate + b.true_positive_rate) / 2;
+    }
+    return { points, auc };
+}
+
+// Check the entries of the scenario library (scenarios.json). Each needs
+// a name, a prevalence in (0, 100), a sensitivity and a specificity in
+// [0, 100] (all in percent), a source citation and a narrative. Returns the
+// valid scenarios and a message for every entry that was left out; throws
+// if the file does not hold an array.
+function parseScenarios(data) {
+    if (!Array.isArray(data)) {
+        throw new Error('The scenario file must hold an array of scenarios');
+    }
+    const scenarios = [];
+    const errors = [];
+    data.forEach((entry, i) => {
+        const problems = [];
+        const text = (field) => {
+            if (typeof entry[field] !== 'string' || entry[field].trim() === '') problems.push(`missing ${field}`);
+        };
+        const rate = (field, min, max, open) => {
+            const value = entry[field];
+            const inside = typeof value === 'number' && (open ? value > min && value < max : value >= min && value <= max);
+            if (!inside) {
+                problems.push(`${field} must be a number ${open ? 'strictly ' : ''}between ${min} and ${max} (percent)`);
+            }
+        };
+        if (entry === null || typeof entry !== 'object') {
+            errors.push(`Scenario ${i + 1}: not an object`);
+            return;
+        }
+        text('name');
+        rate('prevalence', 0, 100, true);
+        rate('sensitivity', 0, 100, false);
+        rate('specificity', 0, 100, false);
+        text('source');
+        text('narrative');
+        if (problems.length > 0) {
+            errors.push(`Scenario ${i + 1} (${entry.name || 'unnamed'}): ${problems.join(', ')}`);
+        } else {
+            scenarios.push(entry);
+        }
+    });
+    return { scenarios, errors };
+}
+
+// Expected outcome counts when `total` people are tested
+function calculatePopulationStats(prevalence, sensitivity, specificity, total = 10000) {
+    const diseased = Math.round(total * prevalence / 100);
+    const healthy = total - diseased;
+
+    const true_positives = Math.round(diseased * sensitivity / 100);
+    const false_negatives = diseased - true_positives;
+    const true_negatives = Math.round(healthy * specificity / 100);
+    const false_positives = healthy - true_negatives;
+
+    return {
+        total,
+        diseased,
+        healthy,
+        true_positives,
+        false_negatives,
+        true_negatives,
+        false_positives,
+        total_positives: true_positives + false_positives,
+        total_negatives: true_negatives + false_negatives
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        calculatePosterior,
+        calculateTestMetrics,
+        oddsForm,
+        pairedPositiveProbability,
+        sequentialPosteriors,
+        betaFromCounts,
+        checkBeta,
+        sortedQuantile,
+        posteriorUncertainty,
+        decisionAnalysis,
+        normalCdf,
+        biomarkerDistribution,
+        biomarkerRange,
+        thresholdRates,
+        rocCurve,
+        parseScenarios,
+        calculatePopulationStats
+    };
+}
@@ -6,46 +6,72 @@ class MedicalTestCalculator {
         this.prevalence = 1.0;
         this.sensitivity = 95.0;
         this.specificity = 95.0;
+        // The test result the posterior is conditioned on: 'positive' or 'negative'
+        this.testResult = 'positive';
+        // Scenario library loaded from scenarios.json; `scenario` is the one
+        // whose values are set, until a slider is moved
+        this.scenarios = [];
+        this.scenario = null;
+        // Uncertain inputs: each rate is a Beta distribution given by study
+        // counts (a out of b) or directly as Beta(a, b), propagated to the
+        // posterior by Monte Carlo; `uncertainty` caches the last run
+        this.uncertain = false;
+        this.uncertainInputs = {
+            prevalence: { mode: 'counts', a: 10, b: 1000 },
+            sensitivity: { mode: 'counts', a: 190, b: 200 },
+            specificity: { mode: 'counts', a: 380, b: 400 }
+        };
+        this.uncertaintyDraws = 20000;
+        this.uncertaintySeed = 42;
+        this.uncertainty = null;
+        this.uncertaintyKey = null;
+        // Biomarker mode: sensitivity and specificity come from one threshold
+        // on a continuous marker, with a distribution for each class
+        this.biomarker = false;
+        this.biomarkerClasses = {
+            healthy: { shape: 'normal', mean: 4, sd: 1 },
+            diseased: { shape: 'normal', mean: 7, sd: 1.5 }
+        };
+        this.threshold = 5.5;
+        // Decision analysis: utilities of the four outcomes (higher is
+        // better) and the cost of the test, in the same units
+        this.decision = false;
+        this.utilities = { treat_diseased: 80, no_treat_diseased: 20, treat_healthy: 90, no_treat_healthy: 100 };
+        this.testCost = 0.5;
+        // Icon array: one dot per person, optionally only those with the
+        // selected test result
+        this.iconCount = 1000;
+        this.iconFilter = false;
+        this.iconTransition = false;
+        // Sequential testing: a screening test followed by a confirmatory one
+        // (see sequentialPosteriors in bayes.js)
+        this.tests = [
+            { sensitivity: 95, specificity: 95, result: 'positive', correlation: 0 },
+            { sensitivity: 90, specificity: 99, result: 'positive', correlation: 0 }
+        ];
         
         this.setupControls();
         this.createVisualizations();
         this.updateAll();
+        this.loadScenarios();
     }
 
-    // Calculate posterior probability using Bayes' theorem
+    // Calculate posterior probability using Bayes' theorem (see bayes.js)
     calculatePosterior() {
-        const p_d = this.prevalence / 100;
-        const p_t_given_d = this.sensitivity / 100;
-        const p_t_given_not_d = (100 - this.specificity) / 100;
-        
-        const posterior = (p_t_given_d * p_d) / 
-                         (p_t_given_d * p_d + p_t_given_not_d * (1 - p_d));
-        
-        return posterior;
+        return calculatePosterior(this.prevalence, this.sensitivity, this.specificity, this.testResult);
+    }
+
+    calculateTestMetrics() {
+        return calculateTestMetrics(this.prevalence, this.sensitivity, this.specificity);
+    }
+
+    calculateSequence(tests = this.tests) {
+        return sequentialPosteriors(this.prevalence, tests);
     }
 
     // Calculate population statistics for 10,000 people
     calculatePopulationStats() {
-        const total = 10000;
-        const diseased = Math.round(total * this.prevalence / 100);
-        const healthy = total - diseased;
-        
-        const true_positives = Math.round(diseased * this.sensitivity / 100);
-        const false_negatives = diseased - true_positives;
-        const true_negatives = Math.round(healthy * this.specificity / 100);
-        const false_positives = healthy - true_negatives;
-        
-        return {
-            total,
-            diseased,
-            healthy,
-            true_positives,
-            false_negatives,
-            true_negatives,
-            false_positives,
-            total_positives: true_positives + false_positives,
-            total_negatives: true_negatives + false_negatives
-        };
+        return calculatePopulationStats(this.prevalence, this.sensitivity, this.specificity);
     }
 
     setupControls() {
@@ -55,18 +81,53 @@ class MedicalTestCalculator {
 
         prevalenceSlider.addEventListener('input', (e) => {
             this.prevalence = parseFloat(e.target.value);
+            this.clearScenario();
             this.updateAll();
         });
 
         sensitivitySlider.addEventListener('input', (e) => {
             this.sensitivity = parseFloat(e.target.value);
+            this.clearScenario();
             this.updateAll();
         });
 
         specificitySlider.addEventListener('input', (e) => {
             this.specificity = parseFloat(e.target.value);
+            this.clearScenario();
             this.updateAll();
         });
+
+        document.getElementById('scenario-select').addEventListener('change', (e) => {
+            if (e.target.value === '') {
+                this.clearScenario();
+                this.updateAll();
+            } else {
+                this.applyScenario(this.scenarios[parseInt(e.target.value)]);
+            }
+        });
+
+        document.querySelectorAll('input[name="test-result"]').forEach(radio => {
+            radio.addEventListener('change', (e) => {
+                this.testResult = e.target.value;
+                this.updateAll();
+            });
+        });
+
+        this.setupUncertaintyControls();
+        this.setupBiomarkerControls();
+        this.setupDecisionControls();
+
+        document.getElementById('icon-count').addEventListener('change', (e) => {
+            this.iconCount = parseInt(e.target.value);
+            this.updateIconArray();
+        });
+        document.getElementById('icon-filter-btn').addEventListener('click', () => {
+            this.iconFilter = !this.iconFilter;
+            this.iconTransition = true;
+            this.updateIconArray();
+        });
+
+        this.setupSequenceControls();
     }
 
     updateAll() {
@@ -74,19 +135,318 @@ class MedicalTestCalculator {
         this.updateResult();
         this.updatePopulationChart();
         this.updateProbabilityChart();
+        this.updateUncertainty();
+        this.updateBiomarker();
+        this.updateDecision();
+        this.updateIconArray();
+        this.updateMetricsPanel();
         this.updateRectangleDiagram();
+        this.updateFrequencyTree();
+        this.updateOddsLine();
+        this.updateSequence();
         this.updateInsights();
     }
 
+    // The library is a plain JSON file next to this page, so instructors can
+    // add scenarios without touching the code. fetch() needs the page to be
+    // served over HTTP (GitHub Pages or a local server).
+    loadScenarios() {
+        const errorDiv = document.getElementById('scenario-error');
+        // Failing to fetch and a malformed file need different fixes, so
+        // each step throws its own message
+        fetch('scenarios.json')
+            .catch(() => {
+                throw new Error('Could not load the scenario library (scenarios.json). ' +
+                    'Open the page through a web server to use it.');
+            })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Could not load the scenario library (scenarios.json): HTTP ${response.status}`);
+                }
+                return response.text();
+            })
+            .then(text => {
+                let data;
+                try {
+                    data = JSON.parse(text);
+                } catch (err) {
+                    throw new Error(`scenarios.json is not valid JSON: ${err.message}`);
+                }
+                let scenarios, errors;
+                try {
+                    ({ scenarios, errors } = parseScenarios(data));
+                } catch (err) {
+                    throw new Error(`scenarios.json: ${err.message}`);
+                }
+                this.scenarios = scenarios;
+                const select = document.getElementById('scenario-select');
+                scenarios.forEach((scenario, i) => {
+                    const option = document.createElement('option');
+                    option.value = i;
+                    option.textContent = scenario.name;
+                    select.appendChild(option);
+                });
+                errorDiv.textContent = errors.length > 0 ? 'Skipped in scenarios.json: ' + errors.join('; ') : '';
+            })
+            .catch(err => {
+                errorDiv.textContent = err.message;
+            });
+    }
+
+    // Set the exact values of a scenario. The sliders move as close as
+    // their range and step allow; the labels show the exact values.
+    applyScenario(scenario) {
+        this.setBiomarkerMode(false);
+        this.scenario = scenario;
+        this.prevalence = scenario.prevalence;
+        this.sensitivity = scenario.sensitivity;
+        this.specificity = scenario.specificity;
+        document.getElementById('prevalence').value = scenario.prevalence;
+        document.getElementById('sensitivity').value = scenario.sensitivity;
+        document.getElementById('specificity').value = scenario.specificity;
+        this.updateAll();
+    }
+
+    clearScenario() {
+        this.scenario = null;
+        document.getElementById('scenario-select').value = '';
+    }
+
+    setupUncertaintyControls() {
+        document.getElementById('uncertain-mode').addEventListener('change', (e) => {
+            this.uncertain = e.target.checked;
+            if (this.uncertain) this.matchUncertainInputs();
+            this.updateUncertainty();
+        });
+        document.getElementById('uncertainty-match-btn').addEventListener('click', () => {
+            this.matchUncertainInputs();
+            this.updateUncertainty();
+        });
+
+        Object.entries(this.uncertainInputs).forEach(([name, input]) => {
+            document.getElementById(`uncertain-${name}-mode`).addEventListener('change', (e) => {
+                input.mode = e.target.value;
+                // Switching keeps the same distribution: x of n ↔ Beta(x + 1, n − x + 1)
+                if (input.mode === 'beta') {
+                    [input.a, input.b] = [input.a + 1, input.b - input.a + 1];
+                } else {
+                    [input.a, input.b] = [Math.max(0, Math.round(input.a - 1)), Math.max(1, Math.round(input.a + input.b - 2))];
+                }
+                document.getElementById(`uncertain-${name}-a`).value = input.a;
+                document.getElementById(`uncertain-${name}-b`).value = input.b;
+                this.updateUncertainty();
+            });
+            ['a', 'b'].forEach(field => {
+                document.getElementById(`uncertain-${name}-${field}`).addEventListener('input', (e) => {
+                    input[field] = parseFloat(e.target.value);
+                    this.updateUncertainty();
+                });
+            });
+        });
+
+        document.getElementById('uncertainty-draws').addEventListener('change', (e) => {
+            this.uncertaintyDraws = parseInt(e.target.value);
+            this.updateUncertainty();
+        });
+        const seedInput = document.getElementById('uncertainty-seed');
+        seedInput.addEventListener('change', (e) => {
+            // Anything but a whole number keeps the current seed
+            const seed = SeededRandom.parseSeed(e.target.value);
+            if (seed === null) {
+                e.target.value = this.uncertaintySeed;
+                return;
+            }
+            this.uncertaintySeed = seed;
+            this.updateUncertainty();
+        });
+        document.getElementById('uncertainty-new-seed-btn').addEventListener('click', () => {
+            this.uncertaintySeed = SeededRandom.randomSeed();
+            seedInput.value = this.uncertaintySeed;
+            this.updateUncertainty();
+        });
+    }
+
+    setupBiomarkerControls() {
+        document.getElementById('biomarker-mode').addEventListener('change', (e) => {
+            this.setBiomarkerMode(e.target.checked);
+            this.updateAll();
+        });
+
+        Object.entries(this.biomarkerClasses).forEach(([name, params]) => {
+            document.getElementById(`biomarker-${name}-shape`).addEventListener('change', (e) => {
+                params.shape = e.target.value;
+                this.applyThreshold();
+                this.updateAll();
+            });
+            ['mean', 'sd'].forEach(field => {
+                document.getElementById(`biomarker-${name}-${field}`).addEventListener('input', (e) => {
+                    params[field] = parseFloat(e.target.value);
+                    this.applyThreshold();
+                    this.updateAll();
+                });
+            });
+        });
+
+        document.getElementById('biomarker-threshold').addEventListener('input', (e) => {
+            this.threshold = parseFloat(e.target.value);
+            this.applyThreshold();
+            this.updateAll();
+        });
+    }
+
+    // In biomarker mode the sensitivity and specificity sliders only show
+    // the rates of the threshold
+    setBiomarkerMode(on) {
+        this.biomarker = on;
+        document.getElementById('biomarker-mode').checked = on;
+        document.getElementById('sensitivity').disabled = on;
+        document.getElementById('specificity').disabled = on;
+        if (on) {
+            this.clearScenario();
+            this.applyThreshold();
+        }
+    }
+
+    // Keep the threshold inside the plotted range and take the rates it gives
+    applyThreshold() {
+        const { healthy, diseased } = this.biomarkerClasses;
+        const [lo, hi] = biomarkerRange(healthy, diseased);
+        this.threshold = Math.min(hi, Math.max(lo, this.threshold));
+        const rates = thresholdRates(healthy, diseased, this.threshold);
+        this.sensitivity = rates.sensitivity;
+        this.specificity = rates.specificity;
+        document.getElementById('sensitivity').value = rates.sensitivity;
+        document.getElementById('specificity').value = rates.specificity;
+    }
+
+    setupDecisionControls() {
+        document.getElementById('decision-mode').addEventListener('change', (e) => {
+            this.decision = e.target.checked;
+            this.updateDecision();
+        });
+        Object.keys(this.utilities).forEach(name => {
+            document.getElementById(`decision-${name.replace(/_/g, '-')}`).addEventListener('input', (e) => {
+                this.utilities[name] = parseFloat(e.target.value);
+                this.updateDecision();
+            });
+        });
+        document.getElementById('decision-test-cost').addEventListener('input', (e) => {
+            this.testCost = parseFloat(e.target.value);
+            this.updateDecision();
+        });
+    }
+
+    // Move each uncertain input's mean to its slider value, keeping the
+    // study size (counts) or α + β (Beta), so that the point estimate of
+    // the panel agrees with the result above
+    matchUncertainInputs() {
+        Object.entries(this.uncertainInputs).forEach(([name, input]) => {
+            const value = this[name] / 100;
+            if (input.mode === 'counts') {
+                // The mean of Beta(x + 1, n − x + 1) is (x + 1) / (n + 2)
+                input.a = Math.min(input.b, Math.max(0, Math.round(value * (input.b + 2) - 1)));
+            } else {
+                const total = input.a + input.b;
+                const mean = Math.min(1 - 0.5 / total, Math.max(0.5 / total, value));
+                [input.a, input.b] = [+(mean * total).toPrecision(4), +((1 - mean) * total).toPrecision(4)];
+            }
+            document.getElementById(`uncertain-${name}-a`).value = input.a;
+            document.getElementById(`uncertain-${name}-b`).value = input.b;
+        });
+    }
+
+    // Beta distribution of an uncertain input, as a proportion
+    uncertainBeta(name) {
+        const input = this.uncertainInputs[name];
+        return input.mode === 'counts' ? betaFromCounts(input.a, input.b) : { alpha: input.a, beta: input.b };
+    }
+
+    setupSequenceControls() {
+        const container = document.getElementById('test-sequence');
+        // The rows are rebuilt when tests are added or removed, so their
+        // inputs are handled here, by the index and field they carry
+        const onEdit = (e) => {
+            const index = parseInt(e.target.dataset.index);
+            const field = e.target.dataset.field;
+            if (Number.isNaN(index) || !field) return;
+            const test = this.tests[index];
+            if (field === 'result') {
+                test.result = e.target.value;
+            } else {
+                const value = parseFloat(e.target.value);
+                if (Number.isNaN(value)) return;
+                const max = field === 'correlation' ? 1 : 100;
+                test[field] = Math.min(max, Math.max(0, value));
+            }
+            this.updateSequence();
+        };
+        container.addEventListener('input', onEdit);
+        container.addEventListener('change', onEdit);
+        container.addEventListener('click', (e) => {
+            const index = parseInt(e.target.dataset.remove);
+            if (Number.isNaN(index)) return;
+            this.tests.splice(index, 1);
+            this.tests[0].correlation = 0;
+            this.renderTestRows();
+            this.updateSequence();
+        });
+
+        document.getElementById('add-test-btn').addEventListener('click', () => {
+            this.tests.push({ sensitivity: 90, specificity: 99, result: 'positive', correlation: 0 });
+            this.renderTestRows();
+            this.updateSequence();
+        });
+        document.getElementById('repeat-test-btn').addEventListener('click', () => {
+            const last = this.tests[this.tests.length - 1];
+            this.tests.push(Object.assign({}, last, { correlation: 0.5 }));
+            this.renderTestRows();
+            this.updateSequence();
+        });
+
+        this.renderTestRows();
+    }
+
+    renderTestRows() {
+        const rows = this.tests.map((test, k) => {
+            const field = (name, label, min, max, step, disabled = false) =>
+                `<label style="font-weight: normal;">${label} ` +
+                `<input type="number" class="number-input" data-index="${k}" data-field="${name}" ` +
+                `min="${min}" max="${max}" step="${step}" value="${test[name]}"${disabled ? ' disabled' : ''}></label>`;
+            return '<div style="display: flex; flex-wrap: wrap; align-items: center; gap: 1rem; margin-bottom: 0.5rem;">' +
+                `<strong>Test ${k + 1}</strong>` +
+                field('sensitivity', 'Sensitivity %', 0, 100, 0.5) +
+                field('specificity', 'Specificity %', 0, 100, 0.5) +
+                `<label style="font-weight: normal;">Result <select class="inline-select" data-index="${k}" data-field="result">` +
+                `<option value="positive"${test.result === 'positive' ? ' selected' : ''}>Positive (+)</option>` +
+                `<option value="negative"${test.result === 'negative' ? ' selected' : ''}>Negative (−)</option>` +
+                '</select></label>' +
+                field('correlation', 'Error correlation with previous', 0, 1, 0.05, k === 0) +
+                (this.tests.length > 1 ? `<button class="btn-secondary" data-remove="${k}">✖ Remove</button>` : '') +
+                '</div>';
+        });
+        document.getElementById('test-sequence').innerHTML = rows.join('');
+    }
+
+    // A rate in percent with one decimal as on the sliders, up to three for
+    // exact scenario values and the rates of a biomarker threshold
+    formatRate(value) {
+        const rounded = +value.toFixed(3);
+        const decimals = (String(rounded).split('.')[1] || '').length;
+        return rounded.toFixed(Math.max(1, decimals)) + '%';
+    }
+
     updateControlLabels() {
-        document.getElementById('prevalence-value').textContent = this.prevalence.toFixed(1) + '%';
-        document.getElementById('sensitivity-value').textContent = this.sensitivity.toFixed(1) + '%';
-        document.getElementById('specificity-value').textContent = this.specificity.toFixed(1) + '%';
+        document.getElementById('prevalence-value').textContent = this.formatRate(this.prevalence);
+        document.getElementById('sensitivity-value').textContent = this.formatRate(this.sensitivity);
+        document.getElementById('specificity-value').textContent = this.formatRate(this.specificity);
     }
 
     updateResult() {
         const posterior = this.calculatePosterior();
-        document.getElementById('result-probability').textContent = (posterior * 100).toFixed(1) + '%';
+        document.getElementById('result-label').textContent = this.testResult;
+        // Two decimals for the small probabilities left after a negative test
+        document.getElementById('result-probability').textContent =
+            (posterior * 100).toFixed(posterior < 0.01 ? 2 : 1) + '%';
     }
 
     createVisualizations() {
@@ -105,16 +465,69 @@ class MedicalTestCalculator {
             .append('svg')
             .attr('width', 500)
             .attr('height', 400);
+
+        this.iconSvg = d3.select('#icon-array')
+            .append('svg')
+            .attr('width', 400)
+            .attr('height', 400);
+
+        this.uncertaintySvg = d3.select('#uncertainty-chart')
+            .append('svg')
+            .attr('width', 400)
+            .attr('height', 300);
+
+        this.biomarkerSvg = d3.select('#biomarker-chart')
+            .append('svg')
+            .attr('width', 400)
+            .attr('height', 300)
+            .style('cursor', 'ew-resize');
+        // Dragging anywhere on the chart moves the threshold, using the
+        // scale of the last redraw
+        this.biomarkerSvg.call(d3.drag()
+            .container(function () { return this; })
+            .on('start drag', (event) => {
+                if (!this.biomarkerValueAt) return;
+                this.threshold = this.biomarkerValueAt(event.x);
+                this.applyThreshold();
+                this.updateAll();
+            }));
+
+        this.rocSvg = d3.select('#roc-chart')
+            .append('svg')
+            .attr('width', 400)
+            .attr('height', 300);
+
+        this.decisionSvg = d3.select('#decision-chart')
+            .append('svg')
+            .attr('width', 400)
+            .attr('height', 300);
+
+        this.treeSvg = d3.select('#frequency-tree')
+            .append('svg')
+            .attr('width', 400)
+            .attr('height', 300);
+
+        this.oddsSvg = d3.select('#odds-line')
+            .append('svg')
+            .attr('width', 400)
+            .attr('height', 300);
+
+        this.sequenceSvg = d3.select('#sequence-chart')
+            .append('svg')
+            .attr('width', 400)
+            .attr('height', 300);
     }
 
     updatePopulationChart() {
         const stats = this.calculatePopulationStats();
         const data = [
-            { label: 'True Positives', value: stats.true_positives, color: '#3182ce' },
-            { label: 'False Positives', value: stats.false_positives, color: '#e53e3e' },
-            { label: 'False Negatives', value: stats.false_negatives, color: '#dd6b20' },
-            { label: 'True Negatives', value: stats.true_negatives, color: '#38a169' }
+            { label: 'True Positives', value: stats.true_positives, color: '#3182ce', result: 'positive' },
+            { label: 'False Positives', value: stats.false_positives, color: '#e53e3e', result: 'positive' },
+            { label: 'False Negatives', value: stats.false_negatives, color: '#dd6b20', result: 'negative' },
+            { label: 'True Negatives', value: stats.true_negatives, color: '#38a169', result: 'negative' }
         ];
+        // People with the other test result are faded out
+        const selected = d => d.result === this.testResult;
 
         const margin = { top: 20, right: 30, bottom: 70, left: 60 };
         const width = 400 - margin.left - margin.right;
@@ -144,7 +557,10 @@ class MedicalTestCalculator {
             .attr('y', d => y(d.value))
             .attr('width', x.bandwidth())
             .attr('height', d => height - y(d.value))
-            .attr('fill', d => d.color);
+            .attr('fill', d => d.color)
+            .attr('opacity', d => (selected(d) ? 1 : 0.25))
+            .attr('stroke', d => (selected(d) ? '#2d3748' : 'none'))
+            .attr('stroke-width', 2);
 
         // Value labels on bars
         g.selectAll('.bar-label')
@@ -172,9 +588,10 @@ class MedicalTestCalculator {
             .call(d3.axisLeft(y));
 
         // Update legend
+        const total = this.testResult === 'positive' ? stats.total_positives : stats.total_negatives;
         const legendHtml = data.map(d => 
             `<span style="color: ${d.color};">■</span> ${d.label}: ${d.value}`
-        ).join(' | ');
+        ).join(' | ') + `<br>Outlined: the ${total} people who test ${this.testResult}`;
         document.getElementById('population-legend').innerHTML = legendHtml;
     }
 
@@ -184,7 +601,7 @@ class MedicalTestCalculator {
         
         const data = [
             { label: 'Prior P(Disease)', value: prior, color: '#805ad5' },
-            { label: 'Posterior P(Disease|+)', value: posterior, color: '#3182ce' }
+            { label: `Posterior P(Disease|${this.testResult === 'positive' ? '+' : '−'})`, value: posterior, color: '#3182ce' }
         ];
 
         const margin = { top: 20, right: 30, bottom: 50, left: 60 };
@@ -237,6 +654,658 @@ class MedicalTestCalculator {
             .call(d3.axisLeft(y).tickFormat(d => (d * 100) + '%'));
     }
 
+    updateUncertainty() {
+        document.getElementById('uncertainty-panel').style.display = this.uncertain ? 'block' : 'none';
+        if (!this.uncertain) return;
+
+        const countLabels = {
+            prevalence: ['cases out of', 'people tested'],
+            sensitivity: ['positive tests out of', 'people with the disease'],
+            specificity: ['negative tests out of', 'healthy people']
+        };
+        const errorDiv = document.getElementById('uncertainty-error');
+        const inputs = {};
+        try {
+            Object.keys(this.uncertainInputs).forEach(name => {
+                const counts = this.uncertainInputs[name].mode === 'counts';
+                document.getElementById(`uncertain-${name}-a-label`).textContent = counts ? countLabels[name][0] : '= α,';
+                document.getElementById(`uncertain-${name}-b-label`).textContent = counts ? countLabels[name][1] : '= β';
+                document.getElementById(`uncertain-${name}-summary`).textContent = '';
+            });
+            Object.keys(this.uncertainInputs).forEach(name => {
+                inputs[name] = this.uncertainBeta(name);
+                checkBeta(inputs[name], name);
+                const { alpha, beta } = inputs[name];
+                const mean = alpha / (alpha + beta);
+                const sd = Math.sqrt(mean * (1 - mean) / (alpha + beta + 1));
+                document.getElementById(`uncertain-${name}-summary`).textContent =
+                    `${(mean * 100).toFixed(1)}% ± ${(sd * 100).toFixed(1)}%`;
+            });
+
+            // The simulation is only rerun when its inputs change, not on
+            // every slider move elsewhere on the page
+            const key = JSON.stringify([inputs, this.testResult, this.uncertaintyDraws, this.uncertaintySeed]);
+            if (key !== this.uncertaintyKey) {
+                this.uncertainty = posteriorUncertainty(inputs, this.testResult, this.uncertaintyDraws,
+                    new SeededRandom(this.uncertaintySeed));
+                this.uncertaintyKey = key;
+            }
+            errorDiv.textContent = '';
+        } catch (err) {
+            errorDiv.textContent = err.message;
+            this.uncertainty = null;
+            this.uncertaintyKey = null;
+        }
+
+        this.updateUncertaintyChart();
+        this.updateUncertaintyBreakdown();
+    }
+
+    updateBiomarker() {
+        document.getElementById('biomarker-panel').style.display = this.biomarker ? 'block' : 'none';
+        if (!this.biomarker) return;
+
+        const { healthy, diseased } = this.biomarkerClasses;
+        const [lo, hi] = biomarkerRange(healthy, diseased);
+        const slider = document.getElementById('biomarker-threshold');
+        slider.min = lo;
+        slider.max = hi;
+        slider.value = this.threshold;
+        document.getElementById('biomarker-threshold-value').textContent = this.threshold.toFixed(2);
+        Object.entries(this.biomarkerClasses).forEach(([name, params]) => {
+            document.getElementById(`biomarker-${name}-mean-value`).textContent = params.mean.toFixed(1);
+            document.getElementById(`biomarker-${name}-sd-value`).textContent = params.sd.toFixed(1);
+        });
+
+        this.updateBiomarkerChart(lo, hi);
+        const auc = this.updateRocChart();
+
+        const stats = this.calculatePopulationStats();
+        const ppv = calculatePosterior(this.prevalence, this.sensitivity, this.specificity, 'positive');
+        const npv = 1 - calculatePosterior(this.prevalence, this.sensitivity, this.specificity, 'negative');
+        document.getElementById('biomarker-info').innerHTML =
+            '<table style="width: 100%; margin-top: 0.5rem; border-collapse: collapse; text-align: left;">' +
+            '<tr><th>Threshold</th><th>Sensitivity</th><th>Specificity</th><th>AUC</th><th>PPV</th><th>NPV</th></tr>' +
+            `<tr><td>${this.threshold.toFixed(2)}</td><td>${this.sensitivity.toFixed(1)}%</td>` +
+            `<td>${this.specificity.toFixed(1)}%</td><td>${auc.toFixed(3)}</td>` +
+            `<td>${(ppv * 100).toFixed(1)}%</td><td>${(npv * 100).toFixed(1)}%</td></tr>` +
+            '</table>' +
+            `<p>Per 10,000 people at ${this.prevalence.toFixed(1)}% prevalence this threshold gives ` +
+            `<strong style="color: #e53e3e;">${stats.false_positives.toLocaleString()} false positives</strong> and ` +
+            `<strong style="color: #dd6b20;">${stats.false_negatives.toLocaleString()} false negatives</strong>. ` +
+            'Raising it trades false positives for false negatives; the AUC does not depend on the threshold.</p>' +
+            (Math.min(this.sensitivity, this.specificity) >= 50 ? '' :
+                '<p>The sensitivity and specificity sliders stop at 50%, so a rate below that leaves its slider ' +
+                'at the end of its range; the label above the slider shows the exact rate.</p>');
+    }
+
+    updateDecision() {
+        document.getElementById('decision-panel').style.display = this.decision ? 'block' : 'none';
+        if (!this.decision) return;
+
+        const errorDiv = document.getElementById('decision-error');
+        const infoDiv = document.getElementById('decision-info');
+        let decision;
+        try {
+            decision = decisionAnalysis(this.prevalence, this.sensitivity, this.specificity, this.utilities, this.testCost);
+            errorDiv.textContent = '';
+        } catch (err) {
+            errorDiv.textContent = err.message;
+            this.decisionSvg.selectAll('*').remove();
+            infoDiv.innerHTML = '';
+            return;
+        }
+        this.updateDecisionChart(decision);
+
+        const percent = (p) => (p * 100).toFixed(p < 0.01 ? 2 : 1) + '%';
+        const strategies = [
+            { key: 'treat_none', label: 'Treat no one' },
+            { key: 'treat_all', label: 'Treat everyone' },
+            { key: 'test', label: 'Test, treat if positive' }
+        ];
+        const rows = strategies.map(strategy => {
+            const style = strategy.key === decision.best ? ' style="background: #e6fffa; font-weight: bold;"' : '';
+            return `<tr${style}><td>${strategy.label}</td><td>${decision[strategy.key].toFixed(2)}</td></tr>`;
+        }).join('');
+        const ppv = calculatePosterior(this.prevalence, this.sensitivity, this.specificity, 'positive');
+        const afterNegative = calculatePosterior(this.prevalence, this.sensitivity, this.specificity, 'negative');
+        const range = decision.testing_range;
+        infoDiv.innerHTML =
+            `<strong>Expected utility at ${this.prevalence.toFixed(1)}% prevalence</strong>` +
+            '<table style="width: 100%; margin-top: 0.5rem; border-collapse: collapse; text-align: left;">' +
+            `<tr><th>Strategy</th><th>Expected utility</th></tr>${rows}</table>` +
+            `<p>Treatment threshold: treat when P(disease) is above <strong>${percent(decision.treatment_threshold)}</strong>, ` +
+            'the harm of treating a healthy patient divided by that harm plus the benefit of treating a sick one.</p>' +
+            `<p>A positive test raises P(disease) to ${percent(ppv)}, a negative one lowers it to ${percent(afterNegative)}.</p>` +
+            (range
+                ? `<p>Testing is worth doing for prevalences between <strong>${percent(range[0])}</strong> and ` +
+                  `<strong>${percent(range[1])}</strong> (shaded): below, treating no one is better; above, treating everyone.</p>`
+                : '<p>With these utilities testing never beats treating everyone or no one: the test cannot move enough ' +
+                  'patients across the treatment threshold to pay for itself.</p>');
+    }
+
+    // Expected utility of the three strategies against the prevalence, with
+    // the prevalences where testing is best shaded
+    updateDecisionChart(decision) {
+        const margin = { top: 20, right: 30, bottom: 50, left: 60 };
+        const width = 400 - margin.left - margin.right;
+        const height = 300 - margin.top - margin.bottom;
+
+        this.decisionSvg.selectAll('*').remove();
+        const g = this.decisionSvg.append('g')
+            .attr('transform', `translate(${margin.left},${margin.top})`);
+
+        // The expected utilities are linear in the prevalence, so the ends
+        // of each line are enough
+        const ends = [0, 100].map(prevalence =>
+            decisionAnalysis(prevalence, this.sensitivity, this.specificity, this.utilities, this.testCost));
+        const strategies = [
+            { key: 'treat_none', label: 'Treat no one', color: '#38a169' },
+            { key: 'treat_all', label: 'Treat everyone', color: '#e53e3e' },
+            { key: 'test', label: 'Test, treat if positive', color: '#805ad5' }
+        ];
+        const values = strategies.flatMap(strategy => ends.map(end => end[strategy.key]));
+        const [lo, hi] = d3.extent(values);
+        const pad = (hi - lo) * 0.05 || 1;
+
+        const x = d3.scaleLinear().domain([0, 1]).range([0, width]);
+        const y = d3.scaleLinear().domain([lo - pad, hi + pad]).range([height, 0]);
+
+        if (decision.testing_range) {
+            const [low, high] = decision.testing_range;
+            g.append('rect')
+                .attr('x', x(low))
+                .attr('y', 0)
+                .attr('width', x(high) - x(low))
+                .attr('height', height)
+                .attr('fill', '#805ad5')
+                .attr('opacity', 0.12);
+            g.append('text')
+                .attr('x', (x(low) + x(high)) / 2)
+                .attr('y', height - 8)
+                .attr('text-anchor', 'middle')
+                .style('font-size', '11px')
+                .style('fill', '#805ad5')
+                .text('testing worth it');
+        }
+
+        g.append('g')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(x).ticks(5).tickFormat(d3.format('.0%')));
+        g.append('g')
+            .call(d3.axisLeft(y).ticks(5));
+        g.append('text')
+            .attr('x', width / 2)
+            .attr('y', height + 40)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '12px')
+            .text('Prevalence (pre-test probability)');
+        g.append('text')
+            .attr('transform', 'rotate(-90)')
+            .attr('x', -height / 2)
+            .attr('y', -45)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '12px')
+            .text('Expected utility');
+
+        // Treating everyone and no one break even at the treatment threshold
+        const threshold = decision.treatment_threshold;
+        g.append('line')
+            .attr('x1', x(threshold))
+            .attr('x2', x(threshold))
+            .attr('y1', 0)
+            .attr('y2', height)
+            .attr('stroke', '#2d3748')
+            .attr('stroke-dasharray', '4,3');
+        g.append('text')
+            .attr('x', x(threshold) + 4)
+            .attr('y', 10)
+            .style('font-size', '11px')
+            .text(`treatment threshold ${(threshold * 100).toFixed(1)}%`);
+
+        const current = this.prevalence / 100;
+        g.append('line')
+            .attr('x1', x(current))
+            .attr('x2', x(current))
+            .attr('y1', 0)
+            .attr('y2', height)
+            .attr('stroke', '#a0aec0')
+            .attr('stroke-dasharray', '2,2');
+
+        strategies.forEach((strategy, i) => {
+            g.append('line')
+                .attr('x1', x(0))
+                .attr('y1', y(ends[0][strategy.key]))
+                .attr('x2', x(1))
+                .attr('y2', y(ends[1][strategy.key]))
+                .attr('stroke', strategy.color)
+                .attr('stroke-width', strategy.key === decision.best ? 3 : 2);
+            g.append('circle')
+                .attr('cx', x(current))
+                .attr('cy', y(decision[strategy.key]))
+                .attr('r', 5)
+                .attr('fill', strategy.color);
+            g.append('text')
+                .attr('x', 5)
+                .attr('y', height - 60 + i * 15)
+                .style('font-size', '11px')
+                .style('font-weight', strategy.key === decision.best ? 'bold' : 'normal')
+                .style('fill', strategy.color)
+                .text(strategy.label);
+        });
+    }
+
+    // The two class-conditional densities, shaded by outcome on either side
+    // of the threshold
+    updateBiomarkerChart(lo, hi) {
+        const margin = { top: 20, right: 30, bottom: 50, left: 60 };
+        const width = 400 - margin.left - margin.right;
+        const height = 300 - margin.top - margin.bottom;
+
+        this.biomarkerSvg.selectAll('*').remove();
+        const g = this.biomarkerSvg.append('g')
+            .attr('transform', `translate(${margin.left},${margin.top})`);
+
+        const healthy = biomarkerDistribution(this.biomarkerClasses.healthy);
+        const diseased = biomarkerDistribution(this.biomarkerClasses.diseased);
+        const curve = (pdf, from, to) => d3.range(101).map(i => {
+            const value = from + (to - from) * i / 100;
+            return [value, pdf(value)];
+        });
+        const peak = d3.max([...curve(healthy.pdf, lo, hi), ...curve(diseased.pdf, lo, hi)], d => d[1]);
+
+        const x = d3.scaleLinear().domain([lo, hi]).range([0, width]);
+        const y = d3.scaleLinear().domain([0, peak * 1.15]).range([height, 0]);
+        this.biomarkerValueAt = (px) => x.invert(px - margin.left);
+
+        g.append('g')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(x).ticks(6));
+        g.append('g')
+            .call(d3.axisLeft(y).ticks(5));
+        g.append('text')
+            .attr('x', width / 2)
+            .attr('y', height + 40)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '12px')
+            .text('Biomarker value');
+        g.append('text')
+            .attr('transform', 'rotate(-90)')
+            .attr('x', -height / 2)
+            .attr('y', -45)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '12px')
+            .text('Density');
+
+        const area = d3.area()
+            .x(d => x(d[0]))
+            .y0(height)
+            .y1(d => y(d[1]));
+        const t = this.threshold;
+        [
+            { points: curve(healthy.pdf, lo, t), color: '#38a169', opacity: 0.2 },
+            { points: curve(healthy.pdf, t, hi), color: '#e53e3e', opacity: 0.5 },
+            { points: curve(diseased.pdf, lo, t), color: '#dd6b20', opacity: 0.5 },
+            { points: curve(diseased.pdf, t, hi), color: '#3182ce', opacity: 0.2 }
+        ].forEach(region => {
+            g.append('path')
+                .datum(region.points)
+                .attr('d', area)
+                .attr('fill', region.color)
+                .attr('opacity', region.opacity);
+        });
+
+        const line = d3.line()
+            .x(d => x(d[0]))
+            .y(d => y(d[1]));
+        [
+            { pdf: healthy.pdf, color: '#38a169', label: 'Healthy' },
+            { pdf: diseased.pdf, color: '#3182ce', label: 'Disease' }
+        ].forEach((group, i) => {
+            g.append('path')
+                .datum(curve(group.pdf, lo, hi))
+                .attr('d', line)
+                .attr('fill', 'none')
+                .attr('stroke', group.color)
+                .attr('stroke-width', 2);
+            g.append('text')
+                .attr('x', width)
+                .attr('y', 10 + i * 16)
+                .attr('text-anchor', 'end')
+                .style('font-size', '11px')
+                .style('font-weight', 'bold')
+                .style('fill', group.color)
+                .text(group.label);
+        });
+
+        // The threshold, with a handle to drag
+        g.append('line')
+            .attr('x1', x(t))
+            .attr('x2', x(t))
+            .attr('y1', 0)
+            .attr('y2', height)
+            .attr('stroke', '#805ad5')
+            .attr('stroke-width', 3);
+        g.append('circle')
+            .attr('cx', x(t))
+            .attr('cy', 0)
+            .attr('r', 7)
+            .attr('fill', '#805ad5');
+        g.append('text')
+            .attr('x', x(t) + 10)
+            .attr('y', 4)
+            .style('font-size', '11px')
+            .style('fill', '#805ad5')
+            .text(`threshold ${t.toFixed(2)}`);
+    }
+
+    // ROC curve with the AUC and the operating point of the threshold;
+    // returns the AUC
+    updateRocChart() {
+        const margin = { top: 20, right: 30, bottom: 50, left: 60 };
+        const width = 400 - margin.left - margin.right;
+        const height = 300 - margin.top - margin.bottom;
+
+        this.rocSvg.selectAll('*').remove();
+        const g = this.rocSvg.append('g')
+            .attr('transform', `translate(${margin.left},${margin.top})`);
+
+        const { points, auc } = rocCurve(this.biomarkerClasses.healthy, this.biomarkerClasses.diseased);
+        const x = d3.scaleLinear().domain([0, 1]).range([0, width]);
+        const y = d3.scaleLinear().domain([0, 1]).range([height, 0]);
+
+        g.append('g')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(x).ticks(5).tickFormat(d3.format('.0%')));
+        g.append('g')
+            .call(d3.axisLeft(y).ticks(5).tickFormat(d3.format('.0%')));
+        g.append('text')
+            .attr('x', width / 2)
+            .attr('y', height + 40)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '12px')
+            .text('False positive rate (1 − specificity)');
+        g.append('text')
+            .attr('transform', 'rotate(-90)')
+            .attr('x', -height / 2)
+            .attr('y', -45)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '12px')
+            .text('True positive rate (sensitivity)');
+
+        // A test that ignores the biomarker lies on the diagonal
+        g.append('line')
+            .attr('x1', x(0))
+            .attr('y1', y(0))
+            .attr('x2', x(1))
+            .attr('y2', y(1))
+            .attr('stroke', '#a0aec0')
+            .attr('stroke-dasharray', '4,3');
+
+        g.append('path')
+            .datum(points)
+            .attr('d', d3.area()
+                .x(d => x(d.false_positive_rate))
+                .y0(height)
+                .y1(d => y(d.true_positive_rate)))
+            .attr('fill', '#805ad5')
+            .attr('opacity', 0.15);
+        g.append('path')
+            .datum(points)
+            .attr('d', d3.line()
+                .x(d => x(d.false_positive_rate))
+                .y(d => y(d.true_positive_rate)))
+            .attr('fill', 'none')
+            .attr('stroke', '#805ad5')
+            .attr('stroke-width', 2);
+        g.append('text')
+            .attr('x', x(0.95))
+            .attr('y', y(0.08))
+            .attr('text-anchor', 'end')
+            .style('font-size', '13px')
+            .style('font-weight', 'bold')
+            .style('fill', '#805ad5')
+            .text(`AUC = ${auc.toFixed(3)}`);
+
+        const fpr = 1 - this.specificity / 100;
+        const tpr = this.sensitivity / 100;
+        g.append('circle')
+            .attr('cx', x(fpr))
+            .attr('cy', y(tpr))
+            .attr('r', 6)
+            .attr('fill', '#e53e3e')
+            .attr('stroke', 'white')
+            .attr('stroke-width', 2);
+        g.append('text')
+            .attr('x', x(fpr) + 10)
+            .attr('y', y(tpr) + 15)
+            .style('font-size', '11px')
+            .text(`threshold ${this.threshold.toFixed(2)}`);
+
+        return auc;
+    }
+
+    // Histogram of the posterior draws with the 95% credible interval shaded
+    updateUncertaintyChart() {
+        const margin = { top: 20, right: 30, bottom: 50, left: 60 };
+        const width = 400 - margin.left - margin.right;
+        const height = 300 - margin.top - margin.bottom;
+
+        this.uncertaintySvg.selectAll('*').remove();
+        const info = document.getElementById('uncertainty-info');
+        const result = this.uncertainty;
+        if (!result || result.samples.length === 0) {
+            info.textContent = '';
+            return;
+        }
+
+        const g = this.uncertaintySvg.append('g')
+            .attr('transform', `translate(${margin.left},${margin.top})`);
+
+        const samples = result.samples;
+        const lo = sortedQuantile(samples, 0.001);
+        const hi = sortedQuantile(samples, 0.999);
+        const padding = (hi - lo) * 0.05 || 0.01;
+        const x = d3.scaleLinear()
+            .domain([Math.max(0, lo - padding), Math.min(1, hi + padding)])
+            .range([0, width]);
+
+        const bins = d3.bin()
+            .domain(x.domain())
+            .thresholds(x.ticks(50))(samples);
+        const density = bins.map(bin => ({
+            x0: bin.x0,
+            x1: bin.x1,
+            value: bin.x1 > bin.x0 ? bin.length / (samples.length * (bin.x1 - bin.x0)) : 0
+        }));
+        const y = d3.scaleLinear()
+            .domain([0, d3.max(density, d => d.value) * 1.1 || 1])
+            .range([height, 0]);
+
+        const [lower, upper] = result.interval;
+        g.selectAll('.bar')
+            .data(density)
+            .enter().append('rect')
+            .attr('class', 'bar')
+            .attr('x', d => x(d.x0))
+            .attr('y', d => y(d.value))
+            .attr('width', d => Math.max(0, x(d.x1) - x(d.x0) - 1))
+            .attr('height', d => height - y(d.value))
+            .attr('fill', '#3182ce')
+            .attr('opacity', d => (d.x1 > lower && d.x0 < upper ? 0.8 : 0.3));
+
+        const marker = (value, color, dash, label, row) => {
+            g.append('line')
+                .attr('x1', x(value))
+                .attr('x2', x(value))
+                .attr('y1', 0)
+                .attr('y2', height)
+                .attr('stroke', color)
+                .attr('stroke-width', 2)
+                .attr('stroke-dasharray', dash);
+            g.append('text')
+                .attr('x', x(value) + 4)
+                .attr('y', 12 + row * 14)
+                .style('font-size', '11px')
+                .style('fill', color)
+                .text(label);
+        };
+        marker(lower, '#805ad5', '3,3', '2.5%', 2);
+        marker(upper, '#805ad5', '3,3', '97.5%', 2);
+        marker(result.point_estimate, '#e53e3e', '6,3', 'point estimate', 0);
+        marker(result.mean, '#2d3748', null, 'mean', 1);
+
+        g.append('g')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(x).ticks(6).tickFormat(d => (d * 100).toFixed(1) + '%'));
+
+        g.append('g')
+            .call(d3.axisLeft(y).ticks(5));
+
+        g.append('text')
+            .attr('x', width / 2)
+            .attr('y', height + 40)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '12px')
+            .text(`P(Disease | ${this.testResult === 'positive' ? '+' : '−'})`);
+
+        const percent = (value) => (value * 100).toFixed(value < 0.01 ? 2 : 1) + '%';
+        info.innerHTML = `<strong>95% credible interval: ${percent(lower)} – ${percent(upper)}</strong><br>` +
+            `Monte Carlo mean ${percent(result.mean)} | point estimate at the input means ` +
+            `${percent(result.point_estimate)} (sliders: ${percent(this.calculatePosterior())}) | ` +
+            `${samples.length.toLocaleString('en-US')} draws`;
+    }
+
+    // Which input's uncertainty matters most: the posterior variance with
+    // only that input uncertain, as a share of the three
+    updateUncertaintyBreakdown() {
+        const container = document.getElementById('uncertainty-breakdown');
+        if (!this.uncertainty) {
+            container.innerHTML = '';
+            return;
+        }
+        const labels = { prevalence: 'Prevalence', sensitivity: 'Sensitivity', specificity: 'Specificity' };
+        const rows = this.uncertainty.contributions.map(c => {
+            const share = Number.isFinite(c.share) ? c.share : 0;
+            const { alpha, beta } = this.uncertainBeta(c.input);
+            return `<tr><td>${labels[c.input]}</td>` +
+                `<td>Beta(${alpha}, ${beta})</td>` +
+                `<td>± ${(Math.sqrt(c.variance) * 100).toFixed(2)}%</td>` +
+                '<td style="width: 35%;">' +
+                `<div style="background: #805ad5; height: 12px; width: ${(share * 100).toFixed(1)}%; display: inline-block;"></div> ` +
+                `${(share * 100).toFixed(0)}%</td></tr>`;
+        });
+        container.innerHTML =
+            '<h4>Where the Uncertainty Comes From</h4>' +
+            '<table style="width: 100%; margin-top: 0.5rem; border-collapse: collapse; text-align: left;">' +
+            '<tr><th>Input</th><th>Distribution</th><th>Posterior SD alone</th><th>Share</th></tr>' +
+            rows.join('') +
+            '</table>' +
+            '<p style="margin-top: 0.5rem; color: #666; font-size: 0.9rem;">Each row reruns the simulation with ' +
+            'only that input uncertain and the others at their means. A larger study of the input with the biggest ' +
+            'share narrows the credible interval the most.</p>';
+    }
+
+    // One dot per person, grouped TP, FP, FN, TN. Filtering keeps the
+    // people with the selected test result and packs them at the top, so the
+    // share of true positives among all positives can be seen at a glance.
+    updateIconArray() {
+        const stats = calculatePopulationStats(this.prevalence, this.sensitivity, this.specificity, this.iconCount);
+        const categories = [
+            { key: 'true_positives', label: 'True Positives', color: '#3182ce', result: 'positive' },
+            { key: 'false_positives', label: 'False Positives', color: '#e53e3e', result: 'positive' },
+            { key: 'false_negatives', label: 'False Negatives', color: '#dd6b20', result: 'negative' },
+            { key: 'true_negatives', label: 'True Negatives', color: '#38a169', result: 'negative' }
+        ];
+        const people = [];
+        categories.forEach(category => {
+            for (let i = 0; i < stats[category.key]; i++) people.push(category);
+        });
+
+        const size = 400;
+        const columns = Math.ceil(Math.sqrt(this.iconCount));
+        const cell = size / columns;
+        const shown = (d) => !this.iconFilter || d.result === this.testResult;
+        let rank = 0;
+        const data = people.map((category, i) => {
+            const slot = shown(category) ? rank++ : i;
+            return {
+                index: i,
+                category,
+                visible: shown(category),
+                x: (slot % columns + 0.5) * cell,
+                y: (Math.floor(slot / columns) + 0.5) * cell
+            };
+        });
+
+        const dots = this.iconSvg.selectAll('circle')
+            .data(data, d => d.index);
+        dots.exit().remove();
+        const merged = dots.enter().append('circle')
+            .attr('cx', d => d.x)
+            .attr('cy', d => d.y)
+            .merge(dots)
+            .attr('fill', d => d.category.color);
+
+        // Animate only when the filter is toggled; slider moves redraw at once
+        const duration = this.iconTransition ? 800 : 0;
+        this.iconTransition = false;
+        merged.interrupt()
+            .transition()
+            .duration(duration)
+            .attr('cx', d => d.x)
+            .attr('cy', d => d.y)
+            .attr('r', d => (d.visible ? cell * 0.4 : 0))
+            .attr('opacity', d => (d.visible ? 1 : 0));
+
+        const positives = this.testResult === 'positive';
+        document.getElementById('icon-filter-btn').textContent = this.iconFilter ?
+            '👥 Show Everyone' :
+            `🔍 Show Only ${positives ? 'Positive' : 'Negative'} Tests`;
+
+        const legend = categories.map(category =>
+            `<span style="color: ${category.color};">●</span> ${category.label}: ${stats[category.key]}`
+        ).join(' | ');
+        const total = positives ? stats.total_positives : stats.total_negatives;
+        const sick = positives ? stats.true_positives : stats.false_negatives;
+        document.getElementById('icon-array-info').innerHTML = legend + '<br>' +
+            `<strong>Of the ${total} people out of ${stats.total.toLocaleString('en-US')} who test ` +
+            `${this.testResult}, ${sick} ${sick === 1 ? 'has' : 'have'} the disease` +
+            (total > 0 ? ` (${(sick / total * 100).toFixed(1)}%)` : '') + '.</strong>';
+    }
+
+    updateMetricsPanel() {
+        const m = this.calculateTestMetrics();
+        const percent = (value) => (Number.isFinite(value) ? (value * 100).toFixed(1) + '%' : '–');
+        const ratio = (value) => {
+            if (value === Infinity) return '∞';
+            return Number.isFinite(value) ? value.toFixed(value < 1 ? 3 : 2) : '–';
+        };
+
+        const rows = [
+            { label: 'Positive predictive value (PPV)', value: percent(m.ppv), meaning: 'P(disease | +)', result: 'positive' },
+            { label: 'Negative predictive value (NPV)', value: percent(m.npv), meaning: 'P(healthy | −)', result: 'negative' },
+            { label: 'Positive likelihood ratio (LR+)', value: ratio(m.positive_lr), meaning: 'Sensitivity / (1 − specificity): a + multiplies the odds of disease by this', result: 'positive' },
+            { label: 'Negative likelihood ratio (LR−)', value: ratio(m.negative_lr), meaning: '(1 − sensitivity) / specificity: a − multiplies the odds of disease by this', result: 'negative' },
+            { label: 'Diagnostic odds ratio', value: ratio(m.diagnostic_odds_ratio), meaning: 'LR+ / LR−, does not depend on the prevalence' },
+            { label: 'Accuracy', value: percent(m.accuracy), meaning: 'Share of correct results at this prevalence' },
+            { label: "Youden's J", value: m.youden_j.toFixed(3), meaning: 'Sensitivity + specificity − 1: 0 is a useless test, 1 a perfect one' }
+        ];
+
+        // The measures that describe the selected result are highlighted
+        const rowsHtml = rows.map(row => {
+            const highlight = row.result === this.testResult ? ' style="background: #e6fffa; font-weight: bold;"' : '';
+            return `<tr${highlight}><td>${row.label}</td><td>${row.value}</td>` +
+                `<td style="color: #666;">${row.meaning}</td></tr>`;
+        }).join('');
+
+        document.getElementById('metrics-panel').innerHTML =
+            '<table style="width: 100%; margin-top: 0.5rem; border-collapse: collapse; text-align: left;">' +
+            '<tr><th>Measure</th><th>Value</th><th>Meaning</th></tr>' +
+            rowsHtml +
+            '</table>';
+    }
+
     updateRectangleDiagram() {
         const p_d = this.prevalence / 100;
         const sensitivity = this.sensitivity / 100;
@@ -258,6 +1327,11 @@ class MedicalTestCalculator {
         const diseased_width = p_d * rectWidth;
         const healthy_width = (1 - p_d) * rectWidth;
 
+        // The areas with the selected test result are outlined, the others faded
+        const opacity = (result) => (result === this.testResult ? 1 : 0.25);
+        const stroke = (result) => (result === this.testResult ? '#2d3748' : 'white');
+        const strokeWidth = (result) => (result === this.testResult ? 2 : 1);
+
         // True Positives (blue)
         g.append('rect')
             .attr('x', 0)
@@ -265,8 +1339,9 @@ class MedicalTestCalculator {
             .attr('width', diseased_width)
             .attr('height', sensitivity * rectHeight)
             .attr('fill', '#3182ce')
-            .attr('stroke', 'white')
-            .attr('stroke-width', 1);
+            .attr('opacity', opacity('positive'))
+            .attr('stroke', stroke('positive'))
+            .attr('stroke-width', strokeWidth('positive'));
 
         // False Negatives (orange)
         g.append('rect')
@@ -275,8 +1350,9 @@ class MedicalTestCalculator {
             .attr('width', diseased_width)
             .attr('height', (1 - sensitivity) * rectHeight)
             .attr('fill', '#dd6b20')
-            .attr('stroke', 'white')
-            .attr('stroke-width', 1);
+            .attr('opacity', opacity('negative'))
+            .attr('stroke', stroke('negative'))
+            .attr('stroke-width', strokeWidth('negative'));
 
         // False Positives (red)
         g.append('rect')
@@ -285,8 +1361,9 @@ class MedicalTestCalculator {
             .attr('width', healthy_width)
             .attr('height', (1 - specificity) * rectHeight)
             .attr('fill', '#e53e3e')
-            .attr('stroke', 'white')
-            .attr('stroke-width', 1);
+            .attr('opacity', opacity('positive'))
+            .attr('stroke', stroke('positive'))
+            .attr('stroke-width', strokeWidth('positive'));
 
         // True Negatives (green)
         g.append('rect')
@@ -295,8 +1372,9 @@ class MedicalTestCalculator {
             .attr('width', healthy_width)
             .attr('height', specificity * rectHeight)
             .attr('fill', '#38a169')
-            .attr('stroke', 'white')
-            .attr('stroke-width', 1);
+            .attr('opacity', opacity('negative'))
+            .attr('stroke', stroke('negative'))
+            .attr('stroke-width', strokeWidth('negative'));
 
         // Add labels
         const labelSize = 12;
@@ -337,24 +1415,400 @@ class MedicalTestCalculator {
             .text('Test -');
     }
 
+    // Step chart of P(disease) after each test, next to the same tests
+    // taken as conditionally independent when any errors are correlated
+    updateSequence() {
+        const stages = this.calculateSequence();
+        const correlated = this.tests.some(test => test.correlation > 0);
+        const independent = correlated ?
+            this.calculateSequence(this.tests.map(test => Object.assign({}, test, { correlation: 0 }))) :
+            null;
+
+        const prior = this.prevalence / 100;
+        const labels = ['Prior'].concat(this.tests.map((test, k) =>
+            `Test ${k + 1} ${test.result === 'positive' ? '+' : '−'}`));
+        const series = [{
+            label: correlated ? 'With error correlation' : 'Posterior',
+            color: '#3182ce',
+            dash: null,
+            values: [prior].concat(stages.map(stage => stage.posterior))
+        }];
+        if (independent) {
+            series.push({
+                label: 'If independent',
+                color: '#a0aec0',
+                dash: '5,4',
+                values: [prior].concat(independent.map(stage => stage.posterior))
+            });
+        }
+
+        const margin = { top: 20, right: 30, bottom: 50, left: 60 };
+        const width = 400 - margin.left - margin.right;
+        const height = 300 - margin.top - margin.bottom;
+
+        this.sequenceSvg.selectAll('*').remove();
+
+        const g = this.sequenceSvg.append('g')
+            .attr('transform', `translate(${margin.left},${margin.top})`);
+
+        const x = d3.scalePoint()
+            .domain(labels)
+            .range([0, width])
+            .padding(0.5);
+
+        const y = d3.scaleLinear()
+            .domain([0, 1])
+            .range([height, 0]);
+
+        const line = d3.line()
+            .defined(d => Number.isFinite(d.value))
+            .x(d => x(d.label))
+            .y(d => y(d.value))
+            .curve(d3.curveStepAfter);
+
+        // Independent first, so the actual posterior is drawn on top
+        series.slice().reverse().forEach(item => {
+            const points = item.values.map((value, k) => ({ label: labels[k], value }));
+            g.append('path')
+                .datum(points)
+                .attr('fill', 'none')
+                .attr('stroke', item.color)
+                .attr('stroke-width', 2)
+                .attr('stroke-dasharray', item.dash)
+                .attr('d', line);
+
+            g.selectAll(null)
+                .data(points.filter(d => Number.isFinite(d.value)))
+                .enter().append('circle')
+                .attr('cx', d => x(d.label))
+                .attr('cy', d => y(d.value))
+                .attr('r', 4)
+                .attr('fill', item.color);
+        });
+
+        // Value labels
+        g.selectAll('.stage-label')
+            .data(series[0].values.map((value, k) => ({ label: labels[k], value })))
+            .enter().append('text')
+            .attr('class', 'stage-label')
+            .attr('x', d => x(d.label))
+            .attr('y', d => y(Number.isFinite(d.value) ? d.value : 0) - 8)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '12px')
+            .style('font-weight', 'bold')
+            .text(d => (Number.isFinite(d.value) ? (d.value * 100).toFixed(1) + '%' : '–'));
+
+        if (independent) {
+            series.forEach((item, k) => {
+                g.append('line')
+                    .attr('x1', 0)
+                    .attr('x2', 20)
+                    .attr('y1', 6 + k * 15)
+                    .attr('y2', 6 + k * 15)
+                    .attr('stroke', item.color)
+                    .attr('stroke-width', 2)
+                    .attr('stroke-dasharray', item.dash);
+                g.append('text')
+                    .attr('x', 25)
+                    .attr('y', 10 + k * 15)
+                    .style('font-size', '11px')
+                    .text(item.label);
+            });
+        }
+
+        // Axes
+        g.append('g')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(x));
+
+        g.append('g')
+            .call(d3.axisLeft(y).tickFormat(d => (d * 100) + '%'));
+
+        g.append('text')
+            .attr('transform', 'rotate(-90)')
+            .attr('x', -height / 2)
+            .attr('y', -45)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '12px')
+            .text('P(Disease)');
+
+        const ratio = (value) => {
+            if (value === Infinity) return '∞';
+            return Number.isFinite(value) ? value.toFixed(value < 1 ? 3 : 2) : '–';
+        };
+        const percent = (value) => (Number.isFinite(value) ? (value * 100).toFixed(1) + '%' : '–');
+        const rows = stages.map((stage, k) =>
+            `<tr><td>${labels[k + 1]}</td><td>${ratio(stage.likelihood_ratio)}</td>` +
+            `<td><strong>${percent(stage.posterior)}</strong></td>` +
+            (independent ? `<td>${ratio(independent[k].likelihood_ratio)}</td><td>${percent(independent[k].posterior)}</td>` : '') +
+            '</tr>');
+        document.getElementById('sequence-table').innerHTML =
+            '<table style="width: 100%; margin-top: 0.5rem; border-collapse: collapse; text-align: left;">' +
+            '<tr><th>Test</th><th>LR</th><th>Posterior</th>' +
+            (independent ? '<th>LR if independent</th><th>Posterior if independent</th>' : '') + '</tr>' +
+            `<tr><td>Prior</td><td></td><td><strong>${percent(prior)}</strong></td>${independent ? '<td></td><td></td>' : ''}</tr>` +
+            rows.join('') +
+            '</table>' +
+            '<p style="margin-top: 0.5rem; color: #666; font-size: 0.9rem;">Posterior odds = prior odds × the ' +
+            'likelihood ratio of every test so far. With correlated errors a test\'s ratio is taken given the ' +
+            'previous result, and a repeat of the same test moves the odds much less.</p>' +
+            (stages.some(stage => Number.isNaN(stage.posterior)) ?
+                '<p style="color: #e53e3e; font-size: 0.9rem;">These results cannot occur together with these ' +
+                'sensitivities, specificities and error correlations.</p>' : '');
+    }
+
+    // Population → disease status → test result, with the two leaves of the
+    // selected result highlighted
+    updateFrequencyTree() {
+        const stats = this.calculatePopulationStats();
+        const format = (n) => n.toLocaleString('en-US');
+        const percent = (value) => (+value.toFixed(1)) + '%';
+
+        const nodes = {
+            root: { x: 200, y: 30, count: stats.total, label: 'people', color: '#805ad5' },
+            diseased: { x: 100, y: 135, count: stats.diseased, label: 'with disease', color: '#2d3748' },
+            healthy: { x: 300, y: 135, count: stats.healthy, label: 'healthy', color: '#2d3748' },
+            tp: { x: 50, y: 245, count: stats.true_positives, label: 'test +', color: '#3182ce', result: 'positive' },
+            fn: { x: 150, y: 245, count: stats.false_negatives, label: 'test −', color: '#dd6b20', result: 'negative' },
+            fp: { x: 250, y: 245, count: stats.false_positives, label: 'test +', color: '#e53e3e', result: 'positive' },
+            tn: { x: 350, y: 245, count: stats.true_negatives, label: 'test −', color: '#38a169', result: 'negative' }
+        };
+        const edges = [
+            { from: 'root', to: 'diseased', label: percent(this.prevalence) },
+            { from: 'root', to: 'healthy', label: percent(100 - this.prevalence) },
+            { from: 'diseased', to: 'tp', label: percent(this.sensitivity) },
+            { from: 'diseased', to: 'fn', label: percent(100 - this.sensitivity) },
+            { from: 'healthy', to: 'fp', label: percent(100 - this.specificity) },
+            { from: 'healthy', to: 'tn', label: percent(this.specificity) }
+        ];
+        const selected = (node) => node.result === this.testResult;
+        const boxWidth = 84;
+        const boxHeight = 38;
+
+        this.treeSvg.selectAll('*').remove();
+        const g = this.treeSvg.append('g');
+
+        edges.forEach(edge => {
+            const from = nodes[edge.from];
+            const to = nodes[edge.to];
+            g.append('line')
+                .attr('x1', from.x)
+                .attr('y1', from.y + boxHeight / 2)
+                .attr('x2', to.x)
+                .attr('y2', to.y - boxHeight / 2)
+                .attr('stroke', selected(to) ? '#2d3748' : '#a0aec0')
+                .attr('stroke-width', selected(to) ? 2.5 : 1.5);
+            g.append('text')
+                .attr('x', (from.x + to.x) / 2 + (to.x < from.x ? -6 : 6))
+                .attr('y', (from.y + to.y) / 2 + 4)
+                .attr('text-anchor', to.x < from.x ? 'end' : 'start')
+                .style('font-size', '11px')
+                .style('fill', '#4a5568')
+                .text(edge.label);
+        });
+
+        Object.values(nodes).forEach(node => {
+            const leaf = node.result !== undefined;
+            const highlight = !leaf || selected(node);
+            g.append('rect')
+                .attr('x', node.x - boxWidth / 2)
+                .attr('y', node.y - boxHeight / 2)
+                .attr('width', boxWidth)
+                .attr('height', boxHeight)
+                .attr('rx', 6)
+                .attr('fill', leaf ? node.color : 'white')
+                .attr('opacity', highlight ? 1 : 0.25)
+                .attr('stroke', leaf ? (selected(node) ? '#2d3748' : 'none') : node.color)
+                .attr('stroke-width', 2);
+            g.append('text')
+                .attr('x', node.x)
+                .attr('y', node.y - 3)
+                .attr('text-anchor', 'middle')
+                .style('font-size', '13px')
+                .style('font-weight', 'bold')
+                .style('fill', leaf && highlight ? 'white' : '#2d3748')
+                .text(format(node.count));
+            g.append('text')
+                .attr('x', node.x)
+                .attr('y', node.y + 12)
+                .attr('text-anchor', 'middle')
+                .style('font-size', '11px')
+                .style('fill', leaf && highlight ? 'white' : '#4a5568')
+                .text(node.label);
+        });
+
+        const positives = this.testResult === 'positive';
+        const sick = positives ? stats.true_positives : stats.false_negatives;
+        const other = positives ? stats.false_positives : stats.true_negatives;
+        const posterior = sick + other > 0 ? (sick / (sick + other) * 100).toFixed(1) + '%' : '–';
+        document.getElementById('frequency-tree-info').innerHTML =
+            `<strong>P(Disease | ${positives ? '+' : '−'}) = ${format(sick)} / (${format(sick)} + ${format(other)}) = ${posterior}</strong>` +
+            `<br>Only the highlighted branches end in a ${this.testResult} test: the other branches drop out.`;
+    }
+
+    // log10 posterior odds = log10 prior odds + log10 LR, drawn as a jump
+    // along a number line; the LR of the other result is shown faded
+    updateOddsLine() {
+        const odds = oddsForm(this.prevalence, this.sensitivity, this.specificity, this.testResult);
+        const other = oddsForm(this.prevalence, this.sensitivity, this.specificity,
+            this.testResult === 'positive' ? 'negative' : 'positive');
+
+        const margin = { top: 50, right: 30, bottom: 50, left: 30 };
+        const width = 400 - margin.left - margin.right;
+        const height = 300 - margin.top - margin.bottom;
+
+        this.oddsSvg.selectAll('*').remove();
+        const g = this.oddsSvg.append('g')
+            .attr('transform', `translate(${margin.left},${margin.top})`);
+
+        const finite = [odds.log_prior_odds, odds.log_posterior_odds, other.log_posterior_odds]
+            .filter(value => Number.isFinite(value));
+        const lo = Math.floor(Math.min(-2, ...finite));
+        const hi = Math.ceil(Math.max(2, ...finite));
+        const x = d3.scaleLinear().domain([lo, hi]).range([0, width]);
+        // Infinite log-odds (a perfect test) are drawn at the end of the line
+        const at = (value) => x(Math.min(hi, Math.max(lo, value)));
+        const axisY = height - 20;
+
+        // The log-odds axis, with the matching probabilities above it
+        g.append('g')
+            .attr('transform', `translate(0,${axisY})`)
+            .call(d3.axisBottom(x).ticks(hi - lo).tickFormat(d3.format('d')));
+        g.append('text')
+            .attr('x', width / 2)
+            .attr('y', axisY + 35)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '12px')
+            .text('log₁₀ odds of disease');
+        const probability = (logOdds) => 1 / (1 + Math.pow(10, -logOdds));
+        g.append('g')
+            .attr('transform', 'translate(0,0)')
+            .call(d3.axisTop(x).ticks(hi - lo).tickFormat(d => {
+                const p = probability(d) * 100;
+                return (p < 1 || p > 99 ? +p.toPrecision(2) : Math.round(p)) + '%';
+            }));
+        g.append('text')
+            .attr('x', width / 2)
+            .attr('y', -30)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '12px')
+            .text('P(Disease)');
+
+        const arrow = (from, to, y, color, dashed, label) => {
+            g.append('line')
+                .attr('x1', at(from))
+                .attr('x2', at(to))
+                .attr('y1', y)
+                .attr('y2', y)
+                .attr('stroke', color)
+                .attr('stroke-width', dashed ? 1.5 : 3)
+                .attr('stroke-dasharray', dashed ? '4,3' : null);
+            const direction = to >= from ? 1 : -1;
+            g.append('path')
+                .attr('d', `M${at(to)},${y} l${-8 * direction},-5 l0,10 z`)
+                .attr('fill', color)
+                .attr('opacity', dashed ? 0.5 : 1);
+            g.append('text')
+                .attr('x', (at(from) + at(to)) / 2)
+                .attr('y', y - 8)
+                .attr('text-anchor', 'middle')
+                .style('font-size', '11px')
+                .style('font-weight', dashed ? 'normal' : 'bold')
+                .style('fill', color)
+                .text(label);
+        };
+        const point = (value, y, color, label) => {
+            g.append('line')
+                .attr('x1', at(value))
+                .attr('x2', at(value))
+                .attr('y1', y)
+                .attr('y2', axisY)
+                .attr('stroke', color)
+                .attr('stroke-dasharray', '2,2');
+            g.append('circle')
+                .attr('cx', at(value))
+                .attr('cy', y)
+                .attr('r', 6)
+                .attr('fill', color);
+            g.append('text')
+                .attr('x', at(value))
+                .attr('y', y + 20)
+                .attr('text-anchor', 'middle')
+                .style('font-size', '11px')
+                .text(label);
+        };
+
+        // A perfect rate makes the log-LR infinite: the result is certain
+        const sign = (value) => {
+            if (Number.isNaN(value)) return '–';
+            return (value >= 0 ? '+' : '−') + (Number.isFinite(value) ? Math.abs(value).toFixed(2) : '∞');
+        };
+        const lrName = (result) => (result === 'positive' ? 'LR+' : 'LR−');
+        const otherResult = this.testResult === 'positive' ? 'negative' : 'positive';
+        arrow(odds.log_prior_odds, other.log_posterior_odds, 130, '#a0aec0', true,
+            `if ${otherResult}: log₁₀ ${lrName(otherResult)} ${sign(other.log_likelihood_ratio)}`);
+        arrow(odds.log_prior_odds, odds.log_posterior_odds, 60,
+            this.testResult === 'positive' ? '#3182ce' : '#38a169', false,
+            `log₁₀ ${lrName(this.testResult)} ${sign(odds.log_likelihood_ratio)}`);
+        point(odds.log_prior_odds, 95, '#805ad5', 'prior');
+        point(odds.log_posterior_odds, 30, '#e53e3e', 'posterior');
+
+        const formatOdds = (value) => {
+            if (!Number.isFinite(value)) return value > 0 ? '∞ : 1' : '–';
+            if (value === 0) return '0 : 1';
+            return value >= 1 ? `${+value.toPrecision(3)} : 1` : `1 : ${+(1 / value).toPrecision(3)}`;
+        };
+        const formatLog = (value) => (Number.isFinite(value) ? value.toFixed(2) : (value > 0 ? '∞' : '−∞'));
+        document.getElementById('odds-info').innerHTML =
+            '<table style="width: 100%; margin-top: 0.5rem; border-collapse: collapse; text-align: left;">' +
+            '<tr><th>Term</th><th>Odds</th><th>log₁₀</th></tr>' +
+            `<tr><td>Prior odds</td><td>${formatOdds(odds.prior_odds)}</td><td>${formatLog(odds.log_prior_odds)}</td></tr>` +
+            `<tr style="background: #e6fffa; font-weight: bold;"><td>× ${lrName(this.testResult)} (${this.testResult} result)</td>` +
+            `<td>${Number.isFinite(odds.likelihood_ratio) ? +odds.likelihood_ratio.toPrecision(3) : '∞'}</td>` +
+            `<td>${formatLog(odds.log_likelihood_ratio)}</td></tr>` +
+            `<tr><td>= Posterior odds</td><td>${formatOdds(odds.posterior_odds)}</td><td>${formatLog(odds.log_posterior_odds)}</td></tr>` +
+            '</table>' +
+            (Number.isFinite(odds.log_likelihood_ratio) || Number.isNaN(odds.log_likelihood_ratio) ? '' :
+                `<p>With ${this.testResult === 'positive' ? '100% specificity a positive result proves' : '100% sensitivity a negative result rules out'} ` +
+                'the disease whatever the prior odds, so the posterior sits at the end of the line.</p>');
+    }
+
     updateInsights() {
         const posterior = this.calculatePosterior();
         const stats = this.calculatePopulationStats();
         
         let insights = [];
-        
-        if (posterior < 0.5) {
-            insights.push(`🔍 <strong>Even with a positive test, you're more likely to be healthy than sick!</strong> This demonstrates the base rate fallacy.`);
-        }
-        
-        if (this.prevalence < 5) {
-            insights.push(`📊 <strong>Low base rate alert:</strong> With only ${this.prevalence}% prevalence, most positive tests are false positives.`);
+
+        if (this.scenario) {
+            const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+            insights.push(`📚 <strong>${escape(this.scenario.name)}</strong><br>${escape(this.scenario.narrative)}` +
+                `<br><span style="font-size: 0.85rem; color: #666;">Source: ${escape(this.scenario.source)}</span>`);
         }
         
-        insights.push(`🧮 <strong>Out of ${stats.total_positives} people who test positive, only ${stats.true_positives} actually have the disease.</strong>`);
-        
-        if (posterior > 0.9) {
-            insights.push(`✅ <strong>High confidence:</strong> With these parameters, a positive test gives ${(posterior * 100).toFixed(1)}% confidence.`);
+        if (this.testResult === 'positive') {
+            if (posterior < 0.5) {
+                insights.push(`🔍 <strong>Even with a positive test, you're more likely to be healthy than sick!</strong> This demonstrates the base rate fallacy.`);
+            }
+            
+            if (this.prevalence < 5) {
+                insights.push(`📊 <strong>Low base rate alert:</strong> With only ${this.formatRate(this.prevalence)} prevalence, most positive tests are false positives.`);
+            }
+            
+            insights.push(`🧮 <strong>Out of ${stats.total_positives} people who test positive, only ${stats.true_positives} actually have the disease.</strong>`);
+            
+            if (posterior > 0.9) {
+                insights.push(`✅ <strong>High confidence:</strong> With these parameters, a positive test gives ${(posterior * 100).toFixed(1)}% confidence.`);
+            }
+        } else {
+            insights.push(`📉 <strong>A negative test lowers the probability of disease from ${this.formatRate(this.prevalence)} to ${(posterior * 100).toFixed(2)}%.</strong>`);
+
+            insights.push(`🧮 <strong>Out of ${stats.total_negatives} people who test negative, ${stats.false_negatives} still have the disease.</strong>`);
+
+            if (posterior < 0.01) {
+                insights.push(`✅ <strong>Reassuring result:</strong> with a low base rate a negative test all but rules the disease out.`);
+            } else if (posterior > 0.05) {
+                insights.push(`⚠️ <strong>Not ruled out:</strong> with ${this.formatRate(this.prevalence)} prevalence and ${this.formatRate(this.sensitivity)} sensitivity, a negative result still leaves a ${(posterior * 100).toFixed(1)}% chance of disease.`);
+            }
         }
         
         insights.push(`🔄 <strong>Tip:</strong> Try adjusting the base rate slider to see how dramatically it affects the result!`);
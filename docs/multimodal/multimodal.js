@@ -0,0 +1,716 @@
+// Multimodal Distribution Explorer - Mode switching in Metropolis-Hastings
+// Based on notebook: 03_1d_mcmc_exercise.ipynb
+
+class MultimodalExplorer {
+    constructor() {
+        // Mixture parameters (up to three modes, placed symmetrically)
+        this.modeCount = 2;
+        this.separation = 4.0;
+        this.weights = [0.5, 0.5, 0.5];
+        this.widths = [0.6, 0.6, 0.6];
+
+        // Sampler parameters
+        this.proposalStd = 1.0;
+        this.startMode = 0;
+        this.animationSpeed = 3;
+        this.seed = 42;
+        this.rng = new SeededRandom(this.seed);
+
+        // A sample only counts as being in a mode once that mode's
+        // responsibility exceeds this value, so that wandering in the
+        // valley between two modes is not counted as a series of switches
+        this.assignmentThreshold = 0.9;
+
+        // Sampling state
+        this.currentPosition = 0.0;
+        this.proposedPosition = 0.0;
+        this.samples = [];
+        this.acceptedSamples = 0;
+        this.currentMode = 0;
+        this.modeCounts = [0, 0, 0];
+        this.switchSteps = [];
+        this.isRunning = false;
+        this.animationId = null;
+
+        // Width sweep results
+        this.sweepResults = null;
+        this.sweepStale = false;
+
+        // Chart dimensions
+        this.chartWidth = 400;
+        this.chartHeight = 250;
+        this.margin = { top: 20, right: 30, bottom: 40, left: 50 };
+        this.modeColors = ['#3182ce', '#e53e3e', '#38a169'];
+
+        this.setupControls();
+        this.createVisualizations();
+        this.resetSampling();
+    }
+
+    // Mixture components with normalised weights
+    components() {
+        const weights = this.weights.slice(0, this.modeCount);
+        const totalWeight = weights.reduce((a, b) => a + b, 0);
+        return weights.map((weight, i) => ({
+            mean: (i - (this.modeCount - 1) / 2) * this.separation,
+            std: this.widths[i],
+            weight: weight / totalWeight
+        }));
+    }
+
+    logComponentDensities(x) {
+        return this.components().map(c => Math.log(c.weight) + normalLogDensity(x, c.mean, c.std));
+    }
+
+    logTargetDensity(x) {
+        return logSumExp(this.logComponentDensities(x));
+    }
+
+    targetDensity(x) {
+        return Math.exp(this.logTargetDensity(x));
+    }
+
+    // Posterior probability that x was generated by each component
+    responsibilities(x) {
+        const logValues = this.logComponentDensities(x);
+        const logTotal = logSumExp(logValues);
+        return logValues.map(v => Math.exp(v - logTotal));
+    }
+
+    // Mode that x clearly belongs to, or null when it sits between modes
+    classify(x) {
+        const resp = this.responsibilities(x);
+        const best = resp.indexOf(Math.max(...resp));
+        return resp[best] >= this.assignmentThreshold ? best : null;
+    }
+
+    targetRange() {
+        const comps = this.components();
+        return [
+            Math.min(...comps.map(c => c.mean - 4 * c.std)),
+            Math.max(...comps.map(c => c.mean + 4 * c.std))
+        ];
+    }
+
+    // Largest drop in log-density between two neighbouring modes
+    logBarrier() {
+        const comps = this.components();
+        let barrier = 0;
+        for (let i = 0; i < comps.length - 1; i++) {
+            const a = comps[i].mean;
+            const b = comps[i + 1].mean;
+            let valley = Infinity;
+            for (let k = 0; k <= 100; k++) {
+                valley = Math.min(valley, this.logTargetDensity(a + (b - a) * k / 100));
+            }
+            const lowerPeak = Math.min(this.logTargetDensity(a), this.logTargetDensity(b));
+            barrier = Math.max(barrier, lowerPeak - valley);
+        }
+        return barrier;
+    }
+
+    setupControls() {
+        const controls = {
+            'separation': (val) => { this.separation = parseFloat(val); },
+            'proposal-std': (val) => { this.proposalStd = parseFloat(val); },
+            'animation-speed': (val) => {
+                this.animationSpeed = parseInt(val);
+                this.updateAnimationSpeedLabel();
+            }
+        };
+        for (let i = 0; i < 3; i++) {
+            controls[`weight-${i}`] = (val) => { this.weights[i] = parseFloat(val); };
+            controls[`width-${i}`] = (val) => { this.widths[i] = parseFloat(val); };
+        }
+
+        // Changing the target invalidates the chain and the sweep
+        const targetControls = ['separation', 'weight-0', 'weight-1', 'weight-2', 'width-0', 'width-1', 'width-2'];
+
+        Object.entries(controls).forEach(([id, handler]) => {
+            const element = document.getElementById(id);
+            element.addEventListener('input', (e) => {
+                handler(e.target.value);
+                if (targetControls.includes(id)) {
+                    this.sweepStale = true;
+                    this.resetSampling();
+                } else {
+                    this.updateAll();
+                }
+            });
+        });
+
+        document.getElementById('mode-count').addEventListener('change', (e) => {
+            this.modeCount = parseInt(e.target.value);
+            this.startMode = Math.min(this.startMode, this.modeCount - 1);
+            this.sweepStale = true;
+            this.updateModeControls();
+            this.resetSampling();
+        });
+
+        document.getElementById('start-mode').addEventListener('change', (e) => {
+            this.startMode = parseInt(e.target.value);
+            this.sweepStale = true;
+            this.resetSampling();
+        });
+
+        const seedInput = document.getElementById('seed');
+        seedInput.value = this.seed;
+        seedInput.addEventListener('change', (e) => {
+            // Anything but a whole number keeps the current seed
+            const seed = SeededRandom.parseSeed(e.target.value);
+            if (seed === null) {
+                e.target.value = this.seed;
+                return;
+            }
+            this.seed = seed;
+            this.resetSampling();
+        });
+        document.getElementById('new-seed-btn').addEventListener('click', () => {
+            this.seed = SeededRandom.randomSeed();
+            seedInput.value = this.seed;
+            this.resetSampling();
+        });
+
+        // Buttons
+        document.getElementById('start-btn').addEventListener('click', () => this.startSampling());
+        document.getElementById('pause-btn').addEventListener('click', () => this.pauseSampling());
+        document.getElementById('reset-btn').addEventListener('click', () => this.resetSampling());
+        document.getElementById('sweep-btn').addEventListener('click', () => this.runWidthSweep());
+
+        this.updateModeControls();
+        this.updateAnimationSpeedLabel();
+    }
+
+    // Show controls for the active modes only
+    updateModeControls() {
+        for (let i = 0; i < 3; i++) {
+            const visible = i < this.modeCount;
+            document.getElementById(`mode-${i}-controls`).style.display = visible ? 'block' : 'none';
+        }
+
+        const startSelect = document.getElementById('start-mode');
+        startSelect.innerHTML = '';
+        for (let i = 0; i < this.modeCount; i++) {
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = `Mode ${i + 1}`;
+            startSelect.appendChild(option);
+        }
+        startSelect.value = this.startMode;
+    }
+
+    updateAnimationSpeedLabel() {
+        const labels = ['Very Slow', 'Slow', 'Medium', 'Fast', 'Very Fast'];
+        document.getElementById('animation-speed-value').textContent = labels[this.animationSpeed - 1];
+    }
+
+    startSampling() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.animate();
+    }
+
+    pauseSampling() {
+        this.isRunning = false;
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+        }
+    }
+
+    resetSampling() {
+        this.pauseSampling();
+        this.rng.setSeed(this.seed);
+        this.currentPosition = this.components()[this.startMode].mean;
+        this.proposedPosition = this.currentPosition;
+        this.samples = [];
+        this.acceptedSamples = 0;
+        this.currentMode = this.startMode;
+        this.modeCounts = [0, 0, 0];
+        this.switchSteps = [];
+        this.updateAll();
+    }
+
+    // One Metropolis step plus mode bookkeeping
+    step() {
+        const result = metropolisStep(
+            x => this.logTargetDensity(x),
+            this.currentPosition,
+            gaussianProposal(this.proposalStd, this.rng),
+            this.rng
+        );
+        this.proposedPosition = result.proposed;
+        this.currentPosition = result.position;
+        if (result.accepted) {
+            this.acceptedSamples++;
+        }
+
+        const mode = this.classify(this.currentPosition);
+        if (mode !== null && mode !== this.currentMode) {
+            this.currentMode = mode;
+            this.switchSteps.push(this.samples.length);
+        }
+        this.modeCounts[this.currentMode]++;
+        this.samples.push(this.currentPosition);
+    }
+
+    animate() {
+        if (!this.isRunning) return;
+
+        // Faster speeds take several steps per frame: mode switches are rare events
+        const stepsPerFrame = [1, 5, 20, 100, 500][this.animationSpeed - 1];
+        for (let i = 0; i < stepsPerFrame; i++) {
+            this.step();
+        }
+
+        this.updateAll();
+
+        const delay = this.animationSpeed <= 2 ? (3 - this.animationSpeed) * 150 : 0;
+        setTimeout(() => {
+            this.animationId = requestAnimationFrame(() => this.animate());
+        }, delay);
+    }
+
+    // Run short chains from the starting mode for a range of proposal widths
+    // and record how often they escape it, together with the acceptance rate.
+    // The sweep has its own generator so that it never perturbs the chain.
+    // It runs 500,000 steps, so it waits for the button instead of holding up
+    // the page load.
+    runWidthSweep() {
+        const rng = new SeededRandom(this.seed);
+        const runs = 20;
+        const stepsPerRun = 1000;
+        const widths = d3.range(0, 25).map(i => 0.1 * Math.pow(100, i / 24));
+        const startMean = this.components()[this.startMode].mean;
+        const logDensity = x => this.logTargetDensity(x);
+
+        this.sweepResults = widths.map(width => {
+            const propose = gaussianProposal(width, rng);
+            let escaped = 0;
+            let accepted = 0;
+            for (let run = 0; run < runs; run++) {
+                let x = startMean;
+                let left = false;
+                for (let i = 0; i < stepsPerRun; i++) {
+                    const result = metropolisStep(logDensity, x, propose, rng);
+                    x = result.position;
+                    if (result.accepted) accepted++;
+                    if (!left) {
+                        const mode = this.classify(x);
+                        left = mode !== null && mode !== this.startMode;
+                    }
+                }
+                if (left) escaped++;
+            }
+            return {
+                width,
+                escapeFraction: escaped / runs,
+                acceptanceRate: accepted / (runs * stepsPerRun)
+            };
+        });
+        this.sweepSteps = stepsPerRun;
+        this.sweepStale = false;
+        document.getElementById('sweep-btn').textContent = '🔁 Rerun Sweep';
+        this.updateSweepChart();
+    }
+
+    updateAll() {
+        this.updateControlLabels();
+        this.updateStats();
+        this.updateTargetChart();
+        this.updateTraceChart();
+        this.updateModeChart();
+        this.updateSweepChart();
+        this.updateInsights();
+    }
+
+    updateControlLabels() {
+        document.getElementById('separation-value').textContent = this.separation.toFixed(1);
+        document.getElementById('proposal-std-value').textContent = this.proposalStd.toFixed(1);
+        for (let i = 0; i < 3; i++) {
+            document.getElementById(`weight-${i}-value`).textContent = this.weights[i].toFixed(2);
+            document.getElementById(`width-${i}-value`).textContent = this.widths[i].toFixed(1);
+        }
+    }
+
+    updateStats() {
+        document.getElementById('sample-count').textContent = this.samples.length;
+        const acceptanceRate = this.samples.length > 0 ?
+            (this.acceptedSamples / this.samples.length * 100).toFixed(1) : 0;
+        document.getElementById('acceptance-rate').textContent = acceptanceRate + '%';
+        document.getElementById('switch-count').textContent = this.switchSteps.length;
+        document.getElementById('current-mode').textContent = `Mode ${this.currentMode + 1}`;
+    }
+
+    createVisualizations() {
+        this.targetSvg = this.createSvg('#target-chart');
+        this.traceSvg = this.createSvg('#trace-chart');
+        this.modeSvg = this.createSvg('#mode-chart');
+        this.sweepSvg = this.createSvg('#sweep-chart');
+    }
+
+    createSvg(selector) {
+        return d3.select(selector)
+            .append('svg')
+            .attr('width', this.chartWidth)
+            .attr('height', this.chartHeight);
+    }
+
+    updateTargetChart() {
+        const svg = this.targetSvg;
+        const width = this.chartWidth - this.margin.left - this.margin.right;
+        const height = this.chartHeight - this.margin.top - this.margin.bottom;
+
+        svg.selectAll('*').remove();
+        const g = svg.append('g')
+            .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+
+        const xRange = this.targetRange();
+        const xScale = d3.scaleLinear().domain(xRange).range([0, width]);
+        const xs = d3.range(0, 201).map(i => xRange[0] + (xRange[1] - xRange[0]) * i / 200);
+        const targetData = xs.map(x => ({ x: x, y: this.targetDensity(x) }));
+        const yScale = d3.scaleLinear()
+            .domain([0, d3.max(targetData, d => d.y) * 1.1])
+            .range([height, 0]);
+
+        const line = d3.line()
+            .x(d => xScale(d.x))
+            .y(d => yScale(d.y))
+            .curve(d3.curveMonotoneX);
+
+        // Individual weighted components
+        this.components().forEach((c, i) => {
+            const componentData = xs.map(x => ({
+                x: x,
+                y: c.weight * Math.exp(normalLogDensity(x, c.mean, c.std))
+            }));
+            g.append('path')
+                .datum(componentData)
+                .attr('fill', this.modeColors[i])
+                .attr('fill-opacity', 0.1)
+                .attr('stroke', this.modeColors[i])
+                .attr('stroke-dasharray', '4,3')
+                .attr('stroke-width', 1)
+                .attr('d', line);
+        });
+
+        // Mixture density
+        g.append('path')
+            .datum(targetData)
+            .attr('fill', 'none')
+            .attr('stroke', '#4a5568')
+            .attr('stroke-width', 2)
+            .attr('d', line);
+
+        // Proposal reach: ±2 proposal std around the current position
+        const reach = [this.currentPosition - 2 * this.proposalStd, this.currentPosition + 2 * this.proposalStd];
+        g.append('rect')
+            .attr('x', Math.max(0, xScale(reach[0])))
+            .attr('y', height - 18)
+            .attr('width', Math.max(0, Math.min(width, xScale(reach[1])) - Math.max(0, xScale(reach[0]))))
+            .attr('height', 16)
+            .attr('fill', '#ff9500')
+            .attr('opacity', 0.3);
+
+        if (this.currentPosition >= xRange[0] && this.currentPosition <= xRange[1]) {
+            g.append('circle')
+                .attr('cx', xScale(this.currentPosition))
+                .attr('cy', height - 10)
+                .attr('r', 6)
+                .attr('fill', this.modeColors[this.currentMode])
+                .attr('stroke', 'white')
+                .attr('stroke-width', 2);
+        }
+
+        // Axes
+        g.append('g')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(xScale));
+
+        g.append('g')
+            .call(d3.axisLeft(yScale).ticks(5));
+
+        g.append('text')
+            .attr('x', width / 2)
+            .attr('y', height + 35)
+            .attr('text-anchor', 'middle')
+            .text('x  (orange band: current position ± 2 proposal std)');
+    }
+
+    updateTraceChart() {
+        const svg = this.traceSvg;
+        const width = this.chartWidth - this.margin.left - this.margin.right;
+        const height = this.chartHeight - this.margin.top - this.margin.bottom;
+
+        svg.selectAll('*').remove();
+        if (this.samples.length === 0) return;
+
+        const g = svg.append('g')
+            .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+
+        const n = this.samples.length;
+        const xScale = d3.scaleLinear()
+            .domain([0, Math.max(n, 100)])
+            .range([0, width]);
+        const yScale = d3.scaleLinear()
+            .domain(this.targetRange())
+            .range([height, 0]);
+
+        // Mode centres
+        this.components().forEach((c, i) => {
+            g.append('line')
+                .attr('x1', 0)
+                .attr('x2', width)
+                .attr('y1', yScale(c.mean))
+                .attr('y2', yScale(c.mean))
+                .attr('stroke', this.modeColors[i])
+                .attr('stroke-dasharray', '4,3')
+                .attr('opacity', 0.6);
+        });
+
+        // Thin long chains to at most ~1000 plotted points
+        const stride = Math.max(1, Math.ceil(n / 1000));
+        const plotted = [];
+        for (let i = 0; i < n; i += stride) {
+            plotted.push([i, this.samples[i]]);
+        }
+        plotted.push([n - 1, this.samples[n - 1]]);
+
+        g.append('path')
+            .datum(plotted)
+            .attr('fill', 'none')
+            .attr('stroke', '#38a169')
+            .attr('stroke-width', 1)
+            .attr('d', d3.line().x(d => xScale(d[0])).y(d => yScale(d[1])));
+
+        // Mode switch markers
+        g.selectAll('.switch-marker')
+            .data(this.switchSteps)
+            .enter().append('line')
+            .attr('class', 'switch-marker')
+            .attr('x1', d => xScale(d))
+            .attr('x2', d => xScale(d))
+            .attr('y1', 0)
+            .attr('y2', 8)
+            .attr('stroke', '#e53e3e')
+            .attr('stroke-width', 1.5);
+
+        // Axes
+        g.append('g')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(xScale).ticks(5));
+
+        g.append('g')
+            .call(d3.axisLeft(yScale));
+
+        g.append('text')
+            .attr('x', width / 2)
+            .attr('y', height + 35)
+            .attr('text-anchor', 'middle')
+            .text('Sample Number (red ticks: mode switches)');
+    }
+
+    updateModeChart() {
+        const svg = this.modeSvg;
+        const width = this.chartWidth - this.margin.left - this.margin.right;
+        const height = this.chartHeight - this.margin.top - this.margin.bottom;
+
+        svg.selectAll('*').remove();
+        const g = svg.append('g')
+            .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+
+        const n = this.samples.length;
+        const data = this.components().map((c, i) => ({
+            mode: `Mode ${i + 1}`,
+            index: i,
+            observed: n > 0 ? this.modeCounts[i] / n : 0,
+            expected: c.weight
+        }));
+
+        const x0 = d3.scaleBand()
+            .domain(data.map(d => d.mode))
+            .range([0, width])
+            .padding(0.2);
+        const x1 = d3.scaleBand()
+            .domain(['observed', 'expected'])
+            .range([0, x0.bandwidth()])
+            .padding(0.05);
+        const yScale = d3.scaleLinear().domain([0, 1]).range([height, 0]);
+
+        const groups = g.selectAll('.mode-group')
+            .data(data)
+            .enter().append('g')
+            .attr('class', 'mode-group')
+            .attr('transform', d => `translate(${x0(d.mode)},0)`);
+
+        groups.append('rect')
+            .attr('x', x1('observed'))
+            .attr('y', d => yScale(d.observed))
+            .attr('width', x1.bandwidth())
+            .attr('height', d => height - yScale(d.observed))
+            .attr('fill', d => this.modeColors[d.index]);
+
+        groups.append('rect')
+            .attr('x', x1('expected'))
+            .attr('y', d => yScale(d.expected))
+            .attr('width', x1.bandwidth())
+            .attr('height', d => height - yScale(d.expected))
+            .attr('fill', 'white')
+            .attr('stroke', d => this.modeColors[d.index])
+            .attr('stroke-width', 2)
+            .attr('stroke-dasharray', '4,3');
+
+        groups.append('text')
+            .attr('x', x1('observed') + x1.bandwidth() / 2)
+            .attr('y', d => yScale(d.observed) - 5)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '11px')
+            .style('font-weight', 'bold')
+            .text(d => (d.observed * 100).toFixed(0) + '%');
+
+        groups.append('text')
+            .attr('x', x1('expected') + x1.bandwidth() / 2)
+            .attr('y', d => yScale(d.expected) - 5)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '11px')
+            .text(d => (d.expected * 100).toFixed(0) + '%');
+
+        // Axes
+        g.append('g')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(x0));
+
+        g.append('g')
+            .call(d3.axisLeft(yScale).tickFormat(d => (d * 100) + '%'));
+
+        g.append('text')
+            .attr('x', width / 2)
+            .attr('y', height + 35)
+            .attr('text-anchor', 'middle')
+            .text('Filled: time in mode | Dashed: true weight');
+    }
+
+    updateSweepChart() {
+        const svg = this.sweepSvg;
+        const width = this.chartWidth - this.margin.left - this.margin.right;
+        const height = this.chartHeight - this.margin.top - this.margin.bottom;
+
+        svg.selectAll('*').remove();
+        if (!this.sweepResults) {
+            svg.append('text')
+                .attr('x', this.chartWidth / 2)
+                .attr('y', this.chartHeight / 2)
+                .attr('text-anchor', 'middle')
+                .style('font-size', '13px')
+                .style('fill', '#666')
+                .text('Press "Run Sweep" to compare proposal widths');
+            return;
+        }
+
+        const g = svg.append('g')
+            .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+
+        const xScale = d3.scaleLog()
+            .domain(d3.extent(this.sweepResults, d => d.width))
+            .range([0, width]);
+        const yScale = d3.scaleLinear().domain([0, 1]).range([height, 0]);
+
+        const series = [
+            { key: 'escapeFraction', color: '#e53e3e', dash: null, label: 'Left starting mode' },
+            { key: 'acceptanceRate', color: '#4299e1', dash: '5,4', label: 'Acceptance rate' }
+        ];
+
+        series.forEach(s => {
+            g.append('path')
+                .datum(this.sweepResults)
+                .attr('fill', 'none')
+                .attr('stroke', s.color)
+                .attr('stroke-width', 2)
+                .attr('stroke-dasharray', s.dash)
+                .attr('d', d3.line().x(d => xScale(d.width)).y(d => yScale(d[s.key])));
+        });
+
+        // Current proposal width
+        const clamped = Math.min(Math.max(this.proposalStd, xScale.domain()[0]), xScale.domain()[1]);
+        g.append('line')
+            .attr('x1', xScale(clamped))
+            .attr('x2', xScale(clamped))
+            .attr('y1', 0)
+            .attr('y2', height)
+            .attr('stroke', '#ff9500')
+            .attr('stroke-width', 2);
+
+        // Legend
+        series.forEach((s, i) => {
+            g.append('line')
+                .attr('x1', 5)
+                .attr('x2', 25)
+                .attr('y1', 8 + i * 16)
+                .attr('y2', 8 + i * 16)
+                .attr('stroke', s.color)
+                .attr('stroke-width', 2)
+                .attr('stroke-dasharray', s.dash);
+            g.append('text')
+                .attr('x', 30)
+                .attr('y', 12 + i * 16)
+                .style('font-size', '11px')
+                .text(s.label);
+        });
+
+        if (this.sweepStale) {
+            g.append('text')
+                .attr('x', width / 2)
+                .attr('y', height / 2)
+                .attr('text-anchor', 'middle')
+                .style('font-size', '13px')
+                .style('fill', '#e53e3e')
+                .text('Target changed - rerun the sweep');
+        }
+
+        // Axes
+        g.append('g')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(xScale).ticks(5, '~g'));
+
+        g.append('g')
+            .call(d3.axisLeft(yScale).tickFormat(d => (d * 100) + '%'));
+
+        g.append('text')
+            .attr('x', width / 2)
+            .attr('y', height + 35)
+            .attr('text-anchor', 'middle')
+            .text(`Proposal Std Dev (runs of ${this.sweepSteps} steps)`);
+    }
+
+    updateInsights() {
+        const n = this.samples.length;
+        const barrier = this.logBarrier();
+        const insights = [];
+
+        insights.push(`⛰️ <strong>Density barrier:</strong> between the modes the target drops to ` +
+            `${barrier > 50 ? 'effectively zero' : `1/${Math.exp(barrier).toFixed(0)}`} of the lower peak. ` +
+            `A small step into the valley is accepted with at most that probability.`);
+
+        if (this.proposalStd < this.separation / 4) {
+            insights.push(`🐢 <strong>Proposal std ${this.proposalStd.toFixed(1)} is small compared to the mode separation ` +
+                `${this.separation.toFixed(1)}:</strong> the chain has to cross the valley in many small, mostly rejected steps.`);
+        } else if (this.proposalStd > 2 * this.separation) {
+            insights.push(`🎯 <strong>Proposal std is much larger than the separation:</strong> jumps between modes are possible, ` +
+                `but most proposals land far out in the tails and are rejected.`);
+        }
+
+        if (n >= 500 && this.switchSteps.length === 0) {
+            insights.push(`🔒 <strong>The chain has not left Mode ${this.startMode + 1} in ${n} steps.</strong> ` +
+                `Its histogram looks converged, yet it has never seen the other mode${this.modeCount > 2 ? 's' : ''}.`);
+        } else if (this.switchSteps.length > 0) {
+            insights.push(`🔀 <strong>${this.switchSteps.length} mode switches in ${n} steps</strong> ` +
+                `(one every ${(n / this.switchSteps.length).toFixed(0)} steps on average).`);
+        }
+
+        document.getElementById('insights').innerHTML = insights.join('<br><br>');
+    }
+}
+
+// Initialize when page loads
+document.addEventListener('DOMContentLoaded', function() {
+    new MultimodalExplorer();
+});
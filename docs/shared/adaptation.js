@@ -0,0 +1,47 @@
+// Adaptive tuning of the random-walk proposal scale during warm-up
+// Adapting forever would break the Markov property, so the scale is only
+// changed during a fixed warm-up period and then frozen.
+
+class ScaleAdapter {
+    // method: 'robbins-monro' or 'variance'
+    constructor(method, initialScale, targetAcceptance = 0.44) {
+        this.method = method;
+        this.scale = initialScale;
+        this.logScale = Math.log(initialScale);
+        this.targetAcceptance = targetAcceptance;
+
+        // Welford running moments of the chain positions
+        this.count = 0;
+        this.mean = 0;
+        this.m2 = 0;
+    }
+
+    // Update after iteration t (1-based) with the acceptance probability of
+    // that step and the resulting position; returns the new scale
+    update(t, acceptProbability, position) {
+        if (this.method === 'robbins-monro') {
+            // log s ← log s + γ_t (α_t − α*), with γ_t = t^(−0.6) so that
+            // Σγ = ∞ and Σγ² < ∞ (the Robbins-Monro conditions)
+            const gain = Math.pow(t, -0.6);
+            this.logScale += gain * (acceptProbability - this.targetAcceptance);
+            this.logScale = Math.min(Math.max(this.logScale, Math.log(1e-3)), Math.log(1e3));
+            this.scale = Math.exp(this.logScale);
+        } else {
+            this.count++;
+            const delta = position - this.mean;
+            this.mean += delta / this.count;
+            this.m2 += delta * (position - this.mean);
+            // Optimal 1D Gaussian random-walk scale is ≈ 2.38 × target std
+            // (Gelman, Roberts & Gilks 1996); wait for a few samples first
+            if (this.count > 20) {
+                const std = Math.sqrt(this.m2 / (this.count - 1));
+                this.scale = Math.max(2.38 * std, 1e-3);
+            }
+        }
+        return this.scale;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ScaleAdapter };
+}
@@ -0,0 +1,76 @@
+// Sampler dispatch and batch runner shared by the page and its Web Worker
+// `settings` describes the sampler as plain data, so that it can be posted
+// to a worker: { samplerType, proposalType, proposalParams, stepSize,
+// leapfrogSteps, sliceWidth }.
+
+if (typeof module !== 'undefined' && module.exports) {
+    var { metropolisStep } = require('./metropolis.js');
+    var { logHastingsCorrection } = require('./proposals.js');
+    var { malaStep, hmcStep, sliceStep } = require('./samplers.js');
+}
+
+// PROPOSAL_KERNELS is a global const in the browser and cannot be redeclared
+// with `var`, so it is looked up under a name of its own
+const kernelLibrary = typeof PROPOSAL_KERNELS !== 'undefined' ?
+    PROPOSAL_KERNELS : require('./proposals.js').PROPOSAL_KERNELS;
+
+// One iteration of the sampler described by `settings`, starting from `from`
+function samplerStep(settings, logDensity, from, rng = Math) {
+    switch (settings.samplerType) {
+        case 'mala':
+            return malaStep(logDensity, from, settings.stepSize, rng);
+        case 'hmc':
+            return hmcStep(logDensity, from, settings.stepSize, settings.leapfrogSteps, rng);
+        case 'slice':
+            return sliceStep(logDensity, from, settings.sliceWidth, rng);
+        default: {
+            const kernel = kernelLibrary[settings.proposalType];
+            const params = settings.proposalParams;
+            return metropolisStep(
+                logDensity,
+                from,
+                (x) => kernel.sample(x, params, rng),
+                rng,
+                (x, xNew) => logHastingsCorrection(kernel, x, xNew, params)
+            );
+        }
+    }
+}
+
+// Run `steps` iterations without keeping per-step details. With an
+// `adaptation` of { adapter, warmupLength, iteration } the proposal scale is
+// tuned while the iteration count is within the warm-up, as in the
+// step-by-step animation. Returns the new positions and the proposals as
+// Float64Arrays, and the accept flags as a Uint8Array.
+function runChainBatch(settings, logDensity, start, steps, rng = Math, adaptation = null) {
+    const samples = new Float64Array(steps);
+    const proposals = new Float64Array(steps);
+    const acceptedFlags = new Uint8Array(steps);
+    const scaleHistory = [];
+    let position = start;
+    let accepted = 0;
+
+    for (let i = 0; i < steps; i++) {
+        const step = samplerStep(settings, logDensity, position, rng);
+        position = step.position;
+        samples[i] = position;
+        proposals[i] = step.proposed;
+        if (step.accepted) {
+            acceptedFlags[i] = 1;
+            accepted++;
+        }
+
+        if (adaptation && ++adaptation.iteration <= adaptation.warmupLength) {
+            scaleHistory.push(settings.proposalParams.scale);
+            const acceptProbability = Math.min(1, Math.exp(step.logRatio));
+            settings.proposalParams.scale =
+                adaptation.adapter.update(adaptation.iteration, acceptProbability, position);
+        }
+    }
+
+    return { samples, proposals, acceptedFlags, accepted, position, scaleHistory };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { samplerStep, runChainBatch };
+}
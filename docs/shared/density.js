@@ -0,0 +1,137 @@
+// Histogram densities, kernel density estimates and distances to a target
+// Everything works on binned counts, so that the cost does not grow with
+// the length of the chain: samples are binned once as they arrive.
+
+// Probability of each of `bins` equal bins over [lo, hi] under `density`,
+// by the midpoint rule on `subdivisions` points per bin (which avoids the
+// end points, where e.g. a Beta density may be infinite). Normalised over
+// the range, so the probabilities sum to one.
+function binProbabilities(density, lo, hi, bins, subdivisions = 8) {
+    const width = (hi - lo) / (bins * subdivisions);
+    const probabilities = new Float64Array(bins);
+    let total = 0;
+    for (let i = 0; i < bins; i++) {
+        let sum = 0;
+        for (let j = 0; j < subdivisions; j++) {
+            const value = density(lo + (i * subdivisions + j + 0.5) * width);
+            if (Number.isFinite(value)) sum += value;
+        }
+        probabilities[i] = sum;
+        total += sum;
+    }
+    if (total > 0) {
+        for (let i = 0; i < bins; i++) probabilities[i] /= total;
+    }
+    return probabilities;
+}
+
+// Silverman's rule of thumb h = 0.9 min(s, IQR/1.34) n^(-1/5), with the
+// standard deviation and quartiles taken from the binned counts
+function silvermanBandwidth(counts, lo, hi) {
+    const bins = counts.length;
+    const binWidth = (hi - lo) / bins;
+    let n = 0, sum = 0, sumSquares = 0;
+    for (let i = 0; i < bins; i++) {
+        const x = lo + (i + 0.5) * binWidth;
+        n += counts[i];
+        sum += counts[i] * x;
+        sumSquares += counts[i] * x * x;
+    }
+    if (n < 2) return binWidth;
+    const mean = sum / n;
+    const sd = Math.sqrt(Math.max(0, sumSquares / n - mean * mean));
+
+    const quantile = (q) => {
+        let cumulative = 0;
+        for (let i = 0; i < bins; i++) {
+            if (cumulative + counts[i] >= q * n) {
+                const within = counts[i] > 0 ? (q * n - cumulative) / counts[i] : 0;
+                return lo + (i + within) * binWidth;
+            }
+            cumulative += counts[i];
+        }
+        return hi;
+    };
+    const iqr = quantile(0.75) - quantile(0.25);
+    const spread = iqr > 0 ? Math.min(sd, iqr / 1.34) : sd;
+    return Math.max(0.9 * spread * Math.pow(n, -0.2), binWidth / 2);
+}
+
+// Gaussian kernel density estimate from binned counts (each bin's samples
+// placed at its centre), evaluated at the bin centres. `total` is the
+// number of samples including any outside [lo, hi].
+function binnedKde(counts, lo, hi, bandwidth, total) {
+    const bins = counts.length;
+    const binWidth = (hi - lo) / bins;
+    const reach = Math.ceil(4 * bandwidth / binWidth);
+    const norm = 1 / (total * bandwidth * Math.sqrt(2 * Math.PI));
+
+    // Kernel weights by bin offset, truncated at 4h
+    const kernel = new Float64Array(reach + 1);
+    for (let d = 0; d <= reach; d++) {
+        const z = d * binWidth / bandwidth;
+        kernel[d] = Math.exp(-0.5 * z * z);
+    }
+
+    const result = [];
+    for (let j = 0; j < bins; j++) {
+        let sum = 0;
+        const from = Math.max(0, j - reach);
+        const to = Math.min(bins - 1, j + reach);
+        for (let i = from; i <= to; i++) {
+            if (counts[i] > 0) sum += counts[i] * kernel[Math.abs(i - j)];
+        }
+        result.push({ x: lo + (j + 0.5) * binWidth, y: sum * norm });
+    }
+    return result;
+}
+
+// Kolmogorov-Smirnov distance sup |F_n(x) − F(x)|, evaluated at the bin
+// edges. Like the divergences below, both sides are conditioned on the
+// range: F_n is taken over the samples inside it and F from the target's
+// bin probabilities, which are normalised over it. Mixing the two (a total
+// including the samples outside) would leave a floor at the target's mass
+// outside the range, large for heavy tails.
+function binnedKsDistance(counts, probabilities) {
+    let inside = 0;
+    for (let i = 0; i < counts.length; i++) inside += counts[i];
+    if (inside === 0) return NaN;
+    let empirical = 0;
+    let cdf = 0;
+    let distance = 0;
+    for (let i = 0; i < counts.length; i++) {
+        empirical += counts[i];
+        cdf += probabilities[i];
+        distance = Math.max(distance, Math.abs(empirical / inside - cdf));
+    }
+    return distance;
+}
+
+// Total variation ½ Σ |p̂ − p| and Kullback-Leibler divergence Σ p̂ log(p̂/p)
+// between the histogram of the samples inside the range and the target's
+// bin probabilities. Bins where the target has no mass are floored at
+// 1e-12, so that an impossible sample gives a large but finite KL.
+function binnedDivergences(counts, probabilities) {
+    let inside = 0;
+    for (let i = 0; i < counts.length; i++) inside += counts[i];
+    if (inside === 0) return { tv: NaN, kl: NaN };
+
+    let tv = 0;
+    let kl = 0;
+    for (let i = 0; i < counts.length; i++) {
+        const p = counts[i] / inside;
+        tv += Math.abs(p - probabilities[i]);
+        if (p > 0) kl += p * Math.log(p / Math.max(probabilities[i], 1e-12));
+    }
+    return { tv: tv / 2, kl: Math.max(kl, 0) };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        binProbabilities,
+        silvermanBandwidth,
+        binnedKde,
+        binnedKsDistance,
+        binnedDivergences
+    };
+}
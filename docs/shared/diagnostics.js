@@ -0,0 +1,232 @@
+// MCMC convergence diagnostics shared by the demos
+// Definitions follow Gelman et al., Bayesian Data Analysis (3rd ed.), ch. 11,
+// and Geweke (1992).
+
+function mean(values) {
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) sum += values[i];
+    return sum / values.length;
+}
+
+// Unbiased sample variance
+function variance(values) {
+    const m = mean(values);
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) sum += (values[i] - m) * (values[i] - m);
+    return sum / (values.length - 1);
+}
+
+// In-place iterative radix-2 FFT on separate real/imaginary arrays
+function fft(re, im, inverse = false) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let len = 2; len <= n; len <<= 1) {
+        const angle = (inverse ? 2 : -2) * Math.PI / len;
+        const wRe = Math.cos(angle);
+        const wIm = Math.sin(angle);
+        for (let i = 0; i < n; i += len) {
+            let curRe = 1;
+            let curIm = 0;
+            for (let k = 0; k < len / 2; k++) {
+                const aRe = re[i + k];
+                const aIm = im[i + k];
+                const bRe = re[i + k + len / 2] * curRe - im[i + k + len / 2] * curIm;
+                const bIm = re[i + k + len / 2] * curIm + im[i + k + len / 2] * curRe;
+                re[i + k] = aRe + bRe;
+                im[i + k] = aIm + bIm;
+                re[i + k + len / 2] = aRe - bRe;
+                im[i + k + len / 2] = aIm - bIm;
+                const nextRe = curRe * wRe - curIm * wIm;
+                curIm = curRe * wIm + curIm * wRe;
+                curRe = nextRe;
+            }
+        }
+    }
+}
+
+// Autocorrelation ρ_0..ρ_maxLag using the biased (1/n) autocovariance,
+// computed through an FFT so that long chains stay cheap
+function autocorrelation(values, maxLag = values.length - 1) {
+    const n = values.length;
+    maxLag = Math.min(maxLag, n - 1);
+    const m = mean(values);
+
+    let size = 1;
+    while (size < 2 * n) size <<= 1;
+    const re = new Float64Array(size);
+    const im = new Float64Array(size);
+    for (let i = 0; i < n; i++) re[i] = values[i] - m;
+
+    fft(re, im);
+    for (let i = 0; i < size; i++) {
+        re[i] = re[i] * re[i] + im[i] * im[i];
+        im[i] = 0;
+    }
+    fft(re, im, true);
+
+    const c0 = re[0];
+    const rho = [];
+    for (let lag = 0; lag <= maxLag; lag++) {
+        rho.push(c0 > 0 ? re[lag] / c0 : (lag === 0 ? 1 : 0));
+    }
+    return rho;
+}
+
+// Integrated autocorrelation time τ = 1 + 2 Σ ρ_t, truncated with Geyer's
+// initial monotone sequence: sums of adjacent pairs ρ_{2k} + ρ_{2k+1} are
+// accumulated while positive and forced to be non-increasing.
+// Pass `rho` when the autocorrelation has already been computed.
+function integratedAutocorrTime(values, rho = null) {
+    const n = values.length;
+    if (n < 4) return 1;
+    rho = rho || autocorrelation(values);
+
+    let tau = -1;
+    let previousPair = Infinity;
+    for (let k = 0; 2 * k + 1 < n; k++) {
+        let pair = rho[2 * k] + rho[2 * k + 1];
+        if (pair <= 0) break;
+        pair = Math.min(pair, previousPair);
+        tau += 2 * pair;
+        previousPair = pair;
+    }
+    return Math.max(tau, 1 / Math.log10(n));
+}
+
+// Sokal's automatic window: τ(M) = 1 + 2 Σ_{t=1..M} ρ_t with the smallest
+// M ≥ c·τ(M), trading the bias of a short window against the noise of a
+// long one. Returns the estimate and the window M.
+function sokalAutocorrTime(values, rho = null, c = 5) {
+    const n = values.length;
+    if (n < 4) return { tau: 1, window: 0 };
+    rho = rho || autocorrelation(values);
+
+    let tau = 1;
+    for (let m = 1; m < rho.length; m++) {
+        tau += 2 * rho[m];
+        if (m >= c * tau) return { tau: Math.max(tau, 1 / Math.log10(n)), window: m };
+    }
+    return { tau: Math.max(tau, 1 / Math.log10(n)), window: rho.length - 1 };
+}
+
+function effectiveSampleSize(values) {
+    if (values.length < 4) return values.length;
+    return values.length / integratedAutocorrTime(values);
+}
+
+// Running mean, variance and fourth central moment of values[start..k) at
+// `points` evenly spaced k, in a single pass. Power sums are taken about the
+// first value to limit cancellation.
+function runningMoments(values, points, start = 0) {
+    const n = values.length - start;
+    const result = [];
+    if (n < 2) return result;
+
+    const shift = values[start];
+    let s1 = 0, s2 = 0, s3 = 0, s4 = 0;
+    let next = 1;
+    for (let k = 1; k <= n; k++) {
+        const d = values[start + k - 1] - shift;
+        const d2 = d * d;
+        s1 += d;
+        s2 += d2;
+        s3 += d2 * d;
+        s4 += d2 * d2;
+
+        if (k >= 2 && k >= Math.round(next * n / points)) {
+            const m = s1 / k;
+            const e2 = s2 / k;
+            const variance = e2 - m * m;
+            const fourth = s4 / k - 4 * m * s3 / k + 6 * m * m * e2 - 3 * m * m * m * m;
+            result.push({
+                count: k,
+                mean: m + shift,
+                variance: Math.max(variance, 0) * k / (k - 1),
+                fourthMoment: Math.max(fourth, 0)
+            });
+            while (next <= points && Math.round(next * n / points) <= k) next++;
+        }
+    }
+    return result;
+}
+
+// Acceptance rate over the last `window` iterations, at `points` evenly
+// spaced iteration counts k: the fraction of accepted flags in
+// flags[max(0, k − window)..k). Early points average over fewer than
+// `window` iterations.
+function windowedAcceptanceRate(flags, window, points) {
+    const n = flags.length;
+    const result = [];
+    let sum = 0;
+    let next = 1;
+    for (let k = 1; k <= n; k++) {
+        if (flags[k - 1]) sum++;
+        if (k > window && flags[k - 1 - window]) sum--;
+
+        if (k >= Math.round(next * n / points)) {
+            result.push({ count: k, rate: sum / Math.min(k, window) });
+            while (next <= points && Math.round(next * n / points) <= k) next++;
+        }
+    }
+    return result;
+}
+
+// Split-R̂ (BDA3, eq. 11.4): each chain is cut in half, then the between-
+// and within-chain variances of the 2K half-chains are compared
+function splitRHat(chains) {
+    const n = Math.floor(Math.min(...chains.map(c => c.length)) / 2);
+    if (n < 2) return NaN;
+
+    const halves = [];
+    chains.forEach(chain => {
+        halves.push(chain.slice(0, n));
+        halves.push(chain.slice(n, 2 * n));
+    });
+
+    const halfMeans = halves.map(mean);
+    const between = n * variance(halfMeans);
+    const within = mean(halves.map(variance));
+    if (within === 0) return NaN;
+
+    const pooled = (n - 1) / n * within + between / n;
+    return Math.sqrt(pooled / within);
+}
+
+// Geweke z-score comparing the mean of the first `first` fraction of the
+// chain with the mean of the last `last` fraction. Each variance is the
+// spectral density at frequency zero, estimated as s² τ / n.
+function gewekeZ(values, first = 0.1, last = 0.5) {
+    const n = values.length;
+    const a = values.slice(0, Math.floor(first * n));
+    const b = values.slice(n - Math.floor(last * n));
+    if (a.length < 4 || b.length < 4) return NaN;
+
+    const varianceOfMean = (segment) =>
+        variance(segment) * integratedAutocorrTime(segment) / segment.length;
+    const denominator = Math.sqrt(varianceOfMean(a) + varianceOfMean(b));
+    if (denominator === 0) return NaN;
+    return (mean(a) - mean(b)) / denominator;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        mean,
+        variance,
+        autocorrelation,
+        integratedAutocorrTime,
+        sokalAutocorrTime,
+        effectiveSampleSize,
+        runningMoments,
+        windowedAcceptanceRate,
+        splitRHat,
+        gewekeZ
+    };
+}
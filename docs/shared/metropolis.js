@@ -0,0 +1,54 @@
+// Metropolis-Hastings building blocks shared by the MCMC demos
+// Based on notebook: 03_1d_mcmc_exercise.ipynb
+//
+// Every random draw goes through an `rng` object with a random() method
+// (see random.js): a SeededRandom for reproducible runs, or Math as an
+// unseeded fallback.
+
+if (typeof module !== 'undefined' && module.exports) {
+    var { randomNormal } = require('./random.js');
+}
+
+// Gaussian random-walk proposal centred on the current position
+function gaussianProposal(std, rng = Math) {
+    return (current) => current + std * randomNormal(rng);
+}
+
+// Log of the Metropolis acceptance ratio π(proposed)/π(current).
+// A chain started outside the support accepts any move with positive density.
+function metropolisLogRatio(logDensity, current, proposed) {
+    const logProposed = logDensity(proposed);
+    if (logProposed === -Infinity) return -Infinity;
+    const logCurrent = logDensity(current);
+    if (logCurrent === -Infinity) return 0;
+    return logProposed - logCurrent;
+}
+
+// One Metropolis-Hastings iteration: propose, then accept with probability
+// min(1, π(x')q(x|x') / π(x)q(x'|x)), compared in log space.
+// `logCorrection(current, proposed)` returns log q(x|x') − log q(x'|x) and
+// may be omitted for symmetric proposals.
+function metropolisStep(logDensity, current, propose, rng = Math, logCorrection = null) {
+    const proposed = propose(current);
+    const logTargetRatio = metropolisLogRatio(logDensity, current, proposed);
+    let logHastings = logCorrection ? logCorrection(current, proposed) : 0;
+    if (Number.isNaN(logHastings)) logHastings = -Infinity;
+    const logRatio = logTargetRatio === -Infinity ? -Infinity : logTargetRatio + logHastings;
+    // Accept when u < ratio, i.e. log u < log ratio; u is returned so that
+    // the decision can be shown afterwards
+    const u = rng.random();
+    const accepted = Math.log(u) < logRatio;
+    return {
+        proposed,
+        logTargetRatio,
+        logHastings,
+        logRatio,
+        u,
+        accepted,
+        position: accepted ? proposed : current
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { gaussianProposal, metropolisLogRatio, metropolisStep };
+}
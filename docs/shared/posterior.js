@@ -0,0 +1,345 @@
+// Bayesian posteriors from user data for the MCMC demo's inference mode
+// A model is a likelihood for a single parameter θ, a prior on θ and a
+// dataset; the chain samples the unnormalised log-posterior
+// log p(θ | data) = log p(θ) + log p(data | θ) + const.
+
+if (typeof module !== 'undefined' && module.exports) {
+    var { logGamma, normalLogDensity } = require('./targets.js');
+    var { randomNormal } = require('./random.js');
+}
+
+// Each prior provides:
+//   label       - name shown in the selector
+//   params      - slider specification for its parameters
+//   logDensity  - normalised log p(θ | params)
+//   moments     - exact { mean, variance }, used for conjugate posteriors
+//   describe    - the distribution as a formula, e.g. "Beta(3, 4)"; given
+//                 for the families that are conjugate posteriors
+const POSTERIOR_PRIORS = {
+    normal: {
+        label: 'Normal',
+        params: [
+            { id: 'mean', label: 'Prior Mean', min: -10, max: 10, step: 0.1, value: 0 },
+            { id: 'std', label: 'Prior Std Dev', min: 0.1, max: 10, step: 0.1, value: 2 }
+        ],
+        logDensity: (theta, p) => normalLogDensity(theta, p.mean, p.std),
+        moments: (p) => ({ mean: p.mean, variance: p.std * p.std }),
+        describe: (p) => `N(${formatNumber(p.mean)}, ${formatNumber(p.std)}²)`
+    },
+
+    laplace: {
+        label: 'Laplace',
+        params: [
+            { id: 'loc', label: 'Prior Location', min: -10, max: 10, step: 0.1, value: 0 },
+            { id: 'scale', label: 'Prior Scale b', min: 0.1, max: 5, step: 0.1, value: 1 }
+        ],
+        logDensity: (theta, p) => -Math.abs(theta - p.loc) / p.scale - Math.log(2 * p.scale),
+        moments: (p) => ({ mean: p.loc, variance: 2 * p.scale * p.scale })
+    },
+
+    beta: {
+        label: 'Beta',
+        params: [
+            { id: 'alpha', label: 'Prior α', min: 0.5, max: 20, step: 0.5, value: 1 },
+            { id: 'beta', label: 'Prior β', min: 0.5, max: 20, step: 0.5, value: 1 }
+        ],
+        logDensity: (theta, p) => {
+            if (theta <= 0 || theta >= 1) return -Infinity;
+            return logGamma(p.alpha + p.beta) - logGamma(p.alpha) - logGamma(p.beta) +
+                   (p.alpha - 1) * Math.log(theta) + (p.beta - 1) * Math.log1p(-theta);
+        },
+        moments: (p) => {
+            const total = p.alpha + p.beta;
+            return { mean: p.alpha / total, variance: p.alpha * p.beta / (total * total * (total + 1)) };
+        },
+        describe: (p) => `Beta(${formatNumber(p.alpha)}, ${formatNumber(p.beta)})`
+    },
+
+    // Normal on the log-odds scale, logit θ ~ N(m, s²)
+    logitNormal: {
+        label: 'Logit-normal',
+        params: [
+            { id: 'mean', label: 'Prior Mean of logit θ', min: -5, max: 5, step: 0.1, value: 0 },
+            { id: 'std', label: 'Prior Std Dev of logit θ', min: 0.1, max: 5, step: 0.1, value: 1.5 }
+        ],
+        logDensity: (theta, p) => {
+            if (theta <= 0 || theta >= 1) return -Infinity;
+            return normalLogDensity(Math.log(theta / (1 - theta)), p.mean, p.std) -
+                   Math.log(theta) - Math.log1p(-theta);
+        }
+    },
+
+    gamma: {
+        label: 'Gamma',
+        params: [
+            { id: 'shape', label: 'Prior Shape k', min: 0.5, max: 20, step: 0.5, value: 2 },
+            { id: 'rate', label: 'Prior Rate β', min: 0.1, max: 5, step: 0.1, value: 0.5 }
+        ],
+        logDensity: (theta, p) => {
+            if (theta <= 0) return -Infinity;
+            return p.shape * Math.log(p.rate) - logGamma(p.shape) +
+                   (p.shape - 1) * Math.log(theta) - p.rate * theta;
+        },
+        moments: (p) => ({ mean: p.shape / p.rate, variance: p.shape / (p.rate * p.rate) }),
+        describe: (p) => `Gamma(${formatNumber(p.shape)}, rate ${formatNumber(p.rate)})`
+    },
+
+    // log θ ~ N(m, s²)
+    logNormal: {
+        label: 'Log-normal',
+        params: [
+            { id: 'mean', label: 'Prior Mean of log θ', min: -3, max: 4, step: 0.1, value: 1 },
+            { id: 'std', label: 'Prior Std Dev of log θ', min: 0.1, max: 3, step: 0.1, value: 1 }
+        ],
+        logDensity: (theta, p) => {
+            if (theta <= 0) return -Infinity;
+            return normalLogDensity(Math.log(theta), p.mean, p.std) - Math.log(theta);
+        }
+    }
+};
+
+// Each likelihood provides:
+//   label           - name shown in the selector
+//   parameter       - name of θ in labels
+//   params          - sliders for fixed, known parameters (e.g. σ)
+//   support         - [lo, hi] of θ
+//   priors          - keys of the allowed priors; the first is the default
+//   trueValue       - slider for the θ used to generate data
+//   validate        - throws on a data value the model cannot produce
+//   logLikelihood   - log p(data | θ, params), up to a constant in θ
+//   generate        - draws `count` observations given θ
+//   conjugate       - optional: prior key and posterior(data, params,
+//                     priorParams) returning that prior family's parameters
+const POSTERIOR_LIKELIHOODS = {
+    normal: {
+        label: 'Normal (known σ)',
+        parameter: 'μ',
+        params: [
+            { id: 'sigma', label: 'Known Std Dev σ', min: 0.1, max: 5, step: 0.1, value: 1 }
+        ],
+        support: [-Infinity, Infinity],
+        priors: ['normal', 'laplace'],
+        trueValue: { min: -5, max: 5, step: 0.1, value: 1 },
+        validate: () => {},
+        logLikelihood: (theta, data, p) => {
+            let sum = 0;
+            data.forEach(y => { sum += normalLogDensity(y, theta, p.sigma); });
+            return sum;
+        },
+        generate: (theta, count, p, rng) =>
+            Array.from({ length: count }, () => Number((theta + p.sigma * randomNormal(rng)).toFixed(2))),
+        // Precisions add: 1/s² = 1/s₀² + n/σ²
+        conjugate: {
+            prior: 'normal',
+            posterior: (data, p, prior) => {
+                const precision = 1 / (prior.std * prior.std) + data.length / (p.sigma * p.sigma);
+                const sum = data.reduce((a, b) => a + b, 0);
+                const mean = (prior.mean / (prior.std * prior.std) + sum / (p.sigma * p.sigma)) / precision;
+                return { mean, std: Math.sqrt(1 / precision) };
+            }
+        }
+    },
+
+    bernoulli: {
+        label: 'Bernoulli',
+        parameter: 'θ',
+        params: [],
+        support: [0, 1],
+        priors: ['beta', 'logitNormal'],
+        trueValue: { min: 0.01, max: 0.99, step: 0.01, value: 0.3 },
+        validate: (y) => {
+            if (y !== 0 && y !== 1) throw new Error('must be 0 or 1');
+        },
+        logLikelihood: (theta, data) => {
+            if (theta <= 0 || theta >= 1) return -Infinity;
+            const successes = data.reduce((a, b) => a + b, 0);
+            return successes * Math.log(theta) + (data.length - successes) * Math.log1p(-theta);
+        },
+        generate: (theta, count, p, rng) =>
+            Array.from({ length: count }, () => (rng.random() < theta ? 1 : 0)),
+        conjugate: {
+            prior: 'beta',
+            posterior: (data, p, prior) => {
+                const successes = data.reduce((a, b) => a + b, 0);
+                return { alpha: prior.alpha + successes, beta: prior.beta + data.length - successes };
+            }
+        }
+    },
+
+    poisson: {
+        label: 'Poisson',
+        parameter: 'λ',
+        params: [],
+        support: [0, Infinity],
+        priors: ['gamma', 'logNormal'],
+        trueValue: { min: 0.1, max: 20, step: 0.1, value: 3 },
+        validate: (y) => {
+            if (!Number.isInteger(y) || y < 0) throw new Error('must be a non-negative integer');
+        },
+        // The log y! terms do not depend on λ and are dropped
+        logLikelihood: (theta, data) => {
+            if (theta <= 0) return -Infinity;
+            const total = data.reduce((a, b) => a + b, 0);
+            return total * Math.log(theta) - data.length * theta;
+        },
+        // Knuth's multiplication method; fine for the small rates used here
+        generate: (theta, count, p, rng) => Array.from({ length: count }, () => {
+            const limit = Math.exp(-theta);
+            let k = 0;
+            let product = rng.random();
+            while (product > limit) {
+                k++;
+                product *= rng.random();
+            }
+            return k;
+        }),
+        conjugate: {
+            prior: 'gamma',
+            posterior: (data, p, prior) => ({
+                shape: prior.shape + data.reduce((a, b) => a + b, 0),
+                rate: prior.rate + data.length
+            })
+        }
+    }
+};
+
+// Up to four significant digits, without trailing zeros
+function formatNumber(value) {
+    return String(Number(value.toPrecision(4)));
+}
+
+// Throw unless observation i (0-based) is a value the likelihood can produce
+function checkObservation(likelihood, value, i) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`Observation ${i + 1} ("${value}") is not a number`);
+    }
+    try {
+        likelihood.validate(value);
+    } catch (error) {
+        throw new Error(`Observation ${i + 1} (${value}) ${error.message} for a ${likelihood.label} likelihood`);
+    }
+}
+
+// Parse typed data: numbers separated by commas, spaces or new lines.
+// Errors name the offending entry.
+function parseObservations(text, likelihood) {
+    const tokens = text.split(/[\s,;]+/).filter(token => token !== '');
+    if (tokens.length === 0) throw new Error('Enter at least one observation');
+    return tokens.map((token, i) => {
+        const value = Number(token);
+        checkObservation(POSTERIOR_LIKELIHOODS[likelihood], Number.isFinite(value) ? value : token, i);
+        return value;
+    });
+}
+
+// Build a posterior from plain settings:
+//   { likelihood, likelihoodParams, prior, priorParams, data }
+// The plot range covers the posterior and the likelihood; `moments` is exact for conjugate pairs and numerical otherwise.
+function posteriorModel(settings) {
+    const likelihood = POSTERIOR_LIKELIHOODS[settings.likelihood];
+    const prior = POSTERIOR_PRIORS[settings.prior];
+    if (!likelihood) throw new Error(`Unknown likelihood "${settings.likelihood}"`);
+    if (!prior || !likelihood.priors.includes(settings.prior)) {
+        throw new Error(`Prior "${settings.prior}" cannot be used with a ${likelihood.label} likelihood`);
+    }
+    const data = settings.data;
+    if (!Array.isArray(data) || data.length === 0) throw new Error('The posterior needs at least one observation');
+    data.forEach((value, i) => checkObservation(likelihood, value, i));
+    const logPrior = theta => prior.logDensity(theta, settings.priorParams);
+    const logLikelihood = theta => likelihood.logLikelihood(theta, data, settings.likelihoodParams);
+
+    let conjugate = null;
+    if (likelihood.conjugate && likelihood.conjugate.prior === settings.prior) {
+        const params = likelihood.conjugate.posterior(data, settings.likelihoodParams, settings.priorParams);
+        conjugate = {
+            prior: settings.prior,
+            params,
+            logDensity: theta => prior.logDensity(theta, params),
+            moments: prior.moments(params)
+        };
+    }
+
+    const range = posteriorRange(likelihood.support, [logLikelihood, theta => logPrior(theta) + logLikelihood(theta)]);
+    const model = {
+        settings,
+        logPrior,
+        logLikelihood,
+        logPosterior: theta => logPrior(theta) + logLikelihood(theta),
+        conjugate,
+        range
+    };
+    model.moments = conjugate ? conjugate.moments : gridMoments(model.logPosterior, range);
+    return model;
+}
+
+// Smallest interval, padded by 10%, holding every point where any of the
+// log-densities is within 12 of its maximum (e^-12 ≈ 6e-6 of the peak).
+// The densities are scanned on a coarse grid first, then on a finer one.
+function posteriorRange(support, logDensities) {
+    let lo = Number.isFinite(support[0]) ? support[0] : -1000;
+    let hi = Number.isFinite(support[1]) ? support[1] : 1000;
+    // Positive parameters may be small, so the scale is logarithmic there
+    const logScale = support[0] === 0 && !Number.isFinite(support[1]);
+    if (logScale) {
+        lo = 1e-6;
+        hi = 1e4;
+    }
+    for (let pass = 0; pass < 3; pass++) {
+        const points = 2000;
+        const grid = d => (logScale ? lo * Math.pow(hi / lo, d / points) : lo + (hi - lo) * d / points);
+        let newLo = Infinity;
+        let newHi = -Infinity;
+        logDensities.forEach(logDensity => {
+            const values = [];
+            for (let i = 0; i <= points; i++) values.push(logDensity(grid(i)));
+            const max = Math.max(...values);
+            values.forEach((value, i) => {
+                if (value > max - 12) {
+                    newLo = Math.min(newLo, grid(Math.max(i - 1, 0)));
+                    newHi = Math.max(newHi, grid(Math.min(i + 1, points)));
+                }
+            });
+        });
+        if (!(newHi > newLo)) break;
+        lo = newLo;
+        hi = newHi;
+    }
+    const padding = 0.1 * (hi - lo);
+    return [
+        Math.max(Number.isFinite(support[0]) ? support[0] : -Infinity, lo - padding),
+        Math.min(Number.isFinite(support[1]) ? support[1] : Infinity, hi + padding)
+    ];
+}
+
+// Mean and variance of an unnormalised log-density over `range`
+function gridMoments(logDensity, range, points = 4000) {
+    const dx = (range[1] - range[0]) / points;
+    const xs = [];
+    const logValues = [];
+    for (let i = 0; i < points; i++) {
+        xs.push(range[0] + (i + 0.5) * dx);
+        logValues.push(logDensity(xs[i]));
+    }
+    const max = Math.max(...logValues);
+    let total = 0, sum = 0, sumSquares = 0;
+    xs.forEach((x, i) => {
+        const weight = Math.exp(logValues[i] - max);
+        total += weight;
+        sum += weight * x;
+        sumSquares += weight * x * x;
+    });
+    const mean = sum / total;
+    return { mean, variance: sumSquares / total - mean * mean };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        POSTERIOR_PRIORS,
+        POSTERIOR_LIKELIHOODS,
+        formatNumber,
+        parseObservations,
+        posteriorModel,
+        posteriorRange,
+        gridMoments
+    };
+}
@@ -0,0 +1,105 @@
+// Proposal kernel library for Metropolis-Hastings
+// Each kernel provides:
+//   label      - name shown in the selector
+//   symmetric  - whether q(x'|x) = q(x|x'), i.e. no Hastings correction
+//   sample     - draw x' ~ q(·|x)
+//   logDensity - log q(x'|x), used for the correction and the proposal chart
+//   range      - x' interval containing most of q(·|x), for plotting
+//   positiveOnly - optional: the kernel only suits targets on x > 0
+// The scale parameter `p.scale` is the proposal standard deviation wherever
+// that exists (Cauchy: the scale γ; log-normal: the std of log x').
+
+if (typeof module !== 'undefined' && module.exports) {
+    var { randomNormal } = require('./random.js');
+    var { normalLogDensity } = require('./targets.js');
+}
+
+const PROPOSAL_KERNELS = {
+    gaussian: {
+        label: 'Gaussian random walk',
+        symmetric: true,
+        sample: (x, p, rng) => x + p.scale * randomNormal(rng),
+        logDensity: (xNew, x, p) => normalLogDensity(xNew, x, p.scale),
+        range: (x, p) => [x - 4 * p.scale, x + 4 * p.scale]
+    },
+
+    uniform: {
+        label: 'Uniform random walk',
+        symmetric: true,
+        // Half-width √3·s gives standard deviation s
+        sample: (x, p, rng) => x + p.scale * Math.sqrt(3) * (2 * rng.random() - 1),
+        logDensity: (xNew, x, p) => {
+            const halfWidth = p.scale * Math.sqrt(3);
+            return Math.abs(xNew - x) <= halfWidth ? -Math.log(2 * halfWidth) : -Infinity;
+        },
+        range: (x, p) => [x - 2.5 * p.scale, x + 2.5 * p.scale]
+    },
+
+    laplace: {
+        label: 'Laplace random walk',
+        symmetric: true,
+        // Scale b = s/√2 gives standard deviation s
+        sample: (x, p, rng) => {
+            const b = p.scale / Math.SQRT2;
+            const u = rng.random() - 0.5;
+            return x - b * Math.sign(u) * Math.log(1 - 2 * Math.abs(u));
+        },
+        logDensity: (xNew, x, p) => {
+            const b = p.scale / Math.SQRT2;
+            return -Math.abs(xNew - x) / b - Math.log(2 * b);
+        },
+        range: (x, p) => [x - 4 * p.scale, x + 4 * p.scale]
+    },
+
+    cauchy: {
+        label: 'Cauchy random walk',
+        symmetric: true,
+        sample: (x, p, rng) => x + p.scale * Math.tan(Math.PI * (rng.random() - 0.5)),
+        logDensity: (xNew, x, p) => {
+            const z = (xNew - x) / p.scale;
+            return -Math.log(Math.PI * p.scale * (1 + z * z));
+        },
+        range: (x, p) => [x - 8 * p.scale, x + 8 * p.scale]
+    },
+
+    // x' = x·exp(s·z): moves are proportional to |x|, so q is asymmetric and
+    // the Hastings correction q(x|x')/q(x'|x) = |x'|/|x|. The sign of x never
+    // changes, so it suits positive targets such as Gamma and Beta only.
+    lognormal: {
+        label: 'Log-normal multiplicative',
+        symmetric: false,
+        positiveOnly: true,
+        sample: (x, p, rng) => x * Math.exp(p.scale * randomNormal(rng)),
+        logDensity: (xNew, x, p) => {
+            if (x === 0 || xNew / x <= 0) return -Infinity;
+            return normalLogDensity(Math.log(xNew / x), 0, p.scale) - Math.log(Math.abs(xNew));
+        },
+        range: (x, p) => {
+            const lo = x * Math.exp(-3 * p.scale);
+            const hi = x * Math.exp(3 * p.scale);
+            return [Math.min(lo, hi), Math.max(lo, hi)];
+        }
+    },
+
+    // x' ~ N(loc, scale²) regardless of x; the correction is q(x)/q(x')
+    independence: {
+        label: 'Independence sampler',
+        symmetric: false,
+        sample: (x, p, rng) => p.independenceLoc + p.independenceScale * randomNormal(rng),
+        logDensity: (xNew, x, p) => normalLogDensity(xNew, p.independenceLoc, p.independenceScale),
+        range: (x, p) => [
+            p.independenceLoc - 4 * p.independenceScale,
+            p.independenceLoc + 4 * p.independenceScale
+        ]
+    }
+};
+
+// log q(x|x') − log q(x'|x) for a kernel, 0 for symmetric kernels
+function logHastingsCorrection(kernel, current, proposed, params) {
+    if (kernel.symmetric) return 0;
+    return kernel.logDensity(current, proposed, params) - kernel.logDensity(proposed, current, params);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PROPOSAL_KERNELS, logHastingsCorrection };
+}
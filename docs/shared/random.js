@@ -0,0 +1,118 @@
+// Seedable pseudo-random number generator shared by the demos
+// xoshiro128** (Blackman & Vigna) seeded through splitmix32. Given the same
+// seed the sequence is identical in every browser, so a run can be replayed
+// exactly ("look at step 137") and tested deterministically.
+
+class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.setSeed(seed);
+    }
+
+    // A fresh 32-bit seed for the "new seed" buttons
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    // A seed typed into a seed field: a whole number (wrapped to 32 bits),
+    // or null for anything else
+    static parseSeed(text) {
+        const value = Number(String(text).trim());
+        return String(text).trim() !== '' && Number.isInteger(value) ? value >>> 0 : null;
+    }
+
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+
+        // Expand the 32-bit seed into 128 bits of state with splitmix32
+        let s = this.seed;
+        const splitmix32 = () => {
+            s = (s + 0x9e3779b9) | 0;
+            let z = s;
+            z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+            z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+            return (z ^ (z >>> 16)) >>> 0;
+        };
+        this.state = new Uint32Array([splitmix32(), splitmix32(), splitmix32(), splitmix32()]);
+    }
+
+    // Snapshot of the generator, e.g. to continue the same stream in a worker
+    getState() {
+        return Array.from(this.state);
+    }
+
+    setState(state) {
+        this.state = Uint32Array.from(state);
+    }
+
+    // Next raw 32-bit output
+    nextUint32() {
+        const s = this.state;
+        const result = Math.imul(rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+        const t = s[1] << 9;
+
+        s[2] ^= s[0];
+        s[3] ^= s[1];
+        s[1] ^= s[2];
+        s[0] ^= s[3];
+        s[2] ^= t;
+        s[3] = rotl(s[3], 11);
+
+        return result;
+    }
+
+    // Uniform draw in [0, 1), a drop-in replacement for Math.random()
+    random() {
+        return this.nextUint32() / 4294967296;
+    }
+
+    uniform(a, b) {
+        return a + (b - a) * this.random();
+    }
+}
+
+// Standard normal draw (Box-Muller transform) from any object with a
+// random() method: a SeededRandom, or Math as an unseeded fallback
+function randomNormal(rng = Math) {
+    let u = 0;
+    while (u === 0) u = rng.random();
+    const v = rng.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Gamma(shape, 1) draw by Marsaglia and Tsang's squeeze method; shapes
+// below 1 are boosted to shape + 1 and scaled by U^(1/shape)
+function randomGamma(shape, rng = Math) {
+    if (shape < 1) {
+        let u = 0;
+        while (u === 0) u = rng.random();
+        return randomGamma(shape + 1, rng) * Math.pow(u, 1 / shape);
+    }
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    for (;;) {
+        let x, v;
+        do {
+            x = randomNormal(rng);
+            v = 1 + c * x;
+        } while (v <= 0);
+        v = v * v * v;
+        const u = rng.random();
+        if (u < 1 - 0.0331 * x * x * x * x) return d * v;
+        if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+    }
+}
+
+// Beta(alpha, beta) draw as X / (X + Y) with X ~ Gamma(alpha), Y ~ Gamma(beta)
+function randomBeta(alpha, beta, rng = Math) {
+    const x = randomGamma(alpha, rng);
+    const y = randomGamma(beta, rng);
+    return x / (x + y);
+}
+
+function rotl(x, k) {
+    return (x << k) | (x >>> (32 - k));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SeededRandom, randomNormal, randomGamma, randomBeta };
+}
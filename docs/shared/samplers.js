@@ -0,0 +1,134 @@
+// Gradient-based and auxiliary-variable samplers for 1D targets
+// Every step returns the same fields as metropolisStep (proposed, accepted,
+// position, logRatio and, except for slice sampling, the uniform draw u)
+// plus sampler-specific details for the visualisations.
+
+if (typeof module !== 'undefined' && module.exports) {
+    var { randomNormal } = require('./random.js');
+    var { normalLogDensity } = require('./targets.js');
+    var { metropolisLogRatio } = require('./metropolis.js');
+}
+
+// Central-difference derivative of the log-density, so that every target
+// (including user-typed expressions) can be used without hand-coded gradients
+function numericalGradient(logDensity, x) {
+    const h = 1e-5 * Math.max(1, Math.abs(x));
+    const forward = logDensity(x + h);
+    const backward = logDensity(x - h);
+    if (!Number.isFinite(forward) || !Number.isFinite(backward)) return 0;
+    return (forward - backward) / (2 * h);
+}
+
+// Metropolis-adjusted Langevin algorithm: a Gaussian proposal centred on a
+// gradient step, x' ~ N(x + ε²/2 ∇log π(x), ε²), with Hastings correction
+function malaStep(logDensity, x, stepSize, rng = Math) {
+    const drift = (z) => z + 0.5 * stepSize * stepSize * numericalGradient(logDensity, z);
+    const proposed = drift(x) + stepSize * randomNormal(rng);
+
+    const logTargetRatio = metropolisLogRatio(logDensity, x, proposed);
+    let logHastings = 0;
+    if (logTargetRatio !== -Infinity) {
+        logHastings = normalLogDensity(x, drift(proposed), stepSize) -
+                      normalLogDensity(proposed, drift(x), stepSize);
+    }
+    const logRatio = logTargetRatio === -Infinity ? -Infinity : logTargetRatio + logHastings;
+    const u = rng.random();
+    const accepted = Math.log(u) < logRatio;
+
+    return {
+        proposed,
+        logTargetRatio,
+        logHastings,
+        logRatio,
+        u,
+        accepted,
+        position: accepted ? proposed : x,
+        proposalMean: drift(x)
+    };
+}
+
+// Hamiltonian Monte Carlo with H(x, p) = −log π(x) + p²/2: draw a momentum,
+// follow the leapfrog integrator for `leapfrogSteps` steps of size ε, then
+// accept the end point with probability min(1, exp(H_start − H_end))
+function hmcStep(logDensity, x, stepSize, leapfrogSteps, rng = Math) {
+    const gradient = (z) => numericalGradient(logDensity, z);
+    const energy = (z, p) => -logDensity(z) + 0.5 * p * p;
+
+    const p0 = randomNormal(rng);
+    let xNew = x;
+    let p = p0;
+    const trajectory = [{ x: xNew, p: p }];
+
+    p += 0.5 * stepSize * gradient(xNew);
+    for (let i = 0; i < leapfrogSteps; i++) {
+        xNew += stepSize * p;
+        if (!Number.isFinite(logDensity(xNew))) {
+            // Left the support: the trajectory diverges and is rejected
+            trajectory.push({ x: xNew, p: p });
+            break;
+        }
+        const halfStep = i === leapfrogSteps - 1 ? 0.5 : 1;
+        p += halfStep * stepSize * gradient(xNew);
+        trajectory.push({ x: xNew, p: p });
+    }
+
+    const startEnergy = energy(x, p0);
+    const endEnergy = energy(xNew, p);
+    let logRatio = startEnergy - endEnergy;
+    if (Number.isNaN(logRatio)) logRatio = -Infinity;
+    const u = rng.random();
+    const accepted = Math.log(u) < logRatio;
+
+    return {
+        proposed: xNew,
+        logRatio,
+        u,
+        accepted,
+        position: accepted ? xNew : x,
+        trajectory,
+        startEnergy,
+        endEnergy
+    };
+}
+
+// Slice sampling (Neal, 2003): draw a level log y = log π(x) − Exponential(1)
+// under the density, grow an interval of width w around x until both ends are
+// outside the slice ("stepping out"), then sample uniformly inside it,
+// shrinking the interval towards x after every rejected point
+function sliceStep(logDensity, x, width, rng = Math, maxSteps = 50) {
+    const logLevel = logDensity(x) + Math.log(1 - rng.random());
+
+    let left = x - width * rng.random();
+    let right = left + width;
+    let steps = maxSteps;
+    while (steps-- > 0 && logDensity(left) > logLevel) left -= width;
+    steps = maxSteps;
+    while (steps-- > 0 && logDensity(right) > logLevel) right += width;
+
+    const steppedOut = [left, right];
+    const shrinks = [];
+    for (let i = 0; i < 200; i++) {
+        const candidate = left + (right - left) * rng.random();
+        shrinks.push({ left, right, candidate });
+        if (logDensity(candidate) > logLevel) {
+            return {
+                proposed: candidate,
+                logRatio: 0,
+                accepted: true,
+                position: candidate,
+                logLevel,
+                steppedOut,
+                shrinks
+            };
+        }
+        if (candidate < x) left = candidate;
+        else right = candidate;
+    }
+
+    // Numerical safety net: the interval collapsed onto x
+    return { proposed: x, logRatio: 0, accepted: true, position: x, logLevel, steppedOut, shrinks };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { numericalGradient, malaStep, hmcStep, sliceStep };
+}
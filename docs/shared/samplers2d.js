@@ -0,0 +1,68 @@
+// Samplers for two-dimensional targets
+// Points are [x, y] arrays and `logDensity` takes a point. The random-walk
+// and component-wise samplers are built on the 1D metropolisStep, which
+// never looks inside the positions it compares.
+
+if (typeof module !== 'undefined' && module.exports) {
+    var { randomNormal } = require('./random.js');
+    var { metropolisStep } = require('./metropolis.js');
+}
+
+// Lower-triangular Cholesky factor L of the proposal covariance
+// [[sx², ρ sx sy], [ρ sx sy, sy²]], so that L z has that covariance
+function proposalFactor(sx, sy, rho) {
+    return [[sx, 0], [rho * sy, sy * Math.sqrt(1 - rho * rho)]];
+}
+
+// Full-vector random walk: propose x' = x + L z with z ~ N(0, I) and
+// accept with the Metropolis ratio (the proposal is symmetric)
+function randomWalkStep2d(logDensity, point, factor, rng = Math) {
+    const propose = ([x, y]) => {
+        const z1 = randomNormal(rng);
+        const z2 = randomNormal(rng);
+        return [x + factor[0][0] * z1, y + factor[1][0] * z1 + factor[1][1] * z2];
+    };
+    return metropolisStep(logDensity, point, propose, rng);
+}
+
+// Metropolis-within-Gibbs: a 1D random-walk Metropolis update of x given y,
+// then of y given the new x. Returns the sweep's end point and both moves.
+function componentwiseStep2d(logDensity, point, scales, rng = Math) {
+    const moves = [];
+    let position = point;
+    [0, 1].forEach(axis => {
+        const conditional = (value) => logDensity(axis === 0 ? [value, position[1]] : [position[0], value]);
+        const step = metropolisStep(conditional, position[axis], (value) => value + scales[axis] * randomNormal(rng), rng);
+        const from = position;
+        position = axis === 0 ? [step.position, position[1]] : [position[0], step.position];
+        moves.push({
+            axis,
+            from,
+            proposed: axis === 0 ? [step.proposed, from[1]] : [from[0], step.proposed],
+            accepted: step.accepted,
+            logRatio: step.logRatio,
+            position
+        });
+    });
+    return { moves, position, accepted: moves.some(move => move.accepted) };
+}
+
+// Exact Gibbs sampling: draw x from π(x | y), then y from π(y | x). Every
+// draw is accepted. `conditional(axis, other)` returns { mean, std } of
+// the Gaussian full conditional.
+function gibbsStep2d(conditional, point, rng = Math) {
+    const moves = [];
+    let position = point;
+    [0, 1].forEach(axis => {
+        const { mean, std } = conditional(axis, position[1 - axis]);
+        const value = mean + std * randomNormal(rng);
+        const from = position;
+        position = axis === 0 ? [value, position[1]] : [position[0], value];
+        moves.push({ axis, from, proposed: position, accepted: true, logRatio: 0, position });
+    });
+    return { moves, position, accepted: true };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { proposalFactor, randomWalkStep2d, componentwiseStep2d, gibbsStep2d };
+}
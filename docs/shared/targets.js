@@ -0,0 +1,234 @@
+// Target distribution library shared by the MCMC demos
+// Every target is defined through its log-density so that narrow or far-out
+// targets never underflow to 0/0 in the acceptance step.
+
+const LOG_SQRT_2PI = 0.5 * Math.log(2 * Math.PI);
+
+// Lanczos approximation of log Γ(z), accurate to ~1e-15 for z > 0
+function logGamma(z) {
+    const g = 7;
+    const coefficients = [
+        0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+        771.32342877765313, -176.61502916214059, 12.507343278686905,
+        -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+    ];
+
+    if (z < 0.5) {
+        // Reflection formula
+        return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * z))) - logGamma(1 - z);
+    }
+
+    z -= 1;
+    let a = coefficients[0];
+    const t = z + g + 0.5;
+    for (let i = 1; i < g + 2; i++) {
+        a += coefficients[i] / (z + i);
+    }
+    return LOG_SQRT_2PI + (z + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+// log(exp(a) + exp(b)) without overflow/underflow
+function logSumExp(values) {
+    const max = Math.max(...values);
+    if (max === -Infinity) return -Infinity;
+    return max + Math.log(values.reduce((sum, v) => sum + Math.exp(v - max), 0));
+}
+
+function normalLogDensity(x, mean, std) {
+    const z = (x - mean) / std;
+    return -0.5 * z * z - Math.log(std) - LOG_SQRT_2PI;
+}
+
+// Compile a user-typed log-density expression in x, e.g. "-x*x/2 - abs(x)".
+// Math functions and constants can be used without the "Math." prefix.
+function compileLogDensity(expression) {
+    const fn = new Function('x', `with (Math) { return (${expression}); }`);
+    const probe = fn(0.5);
+    if (typeof probe !== 'number') {
+        throw new Error('Expression must evaluate to a number');
+    }
+    return (x) => {
+        const value = fn(x);
+        return Number.isNaN(value) ? -Infinity : value;
+    };
+}
+
+// Each target provides:
+//   label       - name shown in the selector
+//   params      - slider specification for its parameters
+//   logDensity  - log π(x | params), possibly unnormalised
+//   normalised  - whether logDensity integrates to one
+//   range       - x interval used for plotting
+//   start       - a point of positive density to initialise the chain
+//   positive    - optional: true if the density is zero for x ≤ 0
+//   moments     - optional exact { mean, variance }; NaN if undefined and
+//                 Infinity if infinite. Targets without it are integrated
+//                 numerically over their plot range.
+const MCMC_TARGETS = {
+    gaussian: {
+        label: 'Gaussian',
+        params: [
+            { id: 'mean', label: 'Mean', min: -3, max: 3, step: 0.1, value: 0 },
+            { id: 'std', label: 'Std Dev', min: 0.1, max: 3, step: 0.1, value: 1 }
+        ],
+        normalised: true,
+        logDensity: (x, p) => normalLogDensity(x, p.mean, p.std),
+        range: (p) => [p.mean - 4 * p.std, p.mean + 4 * p.std],
+        start: (p) => p.mean,
+        moments: (p) => ({ mean: p.mean, variance: p.std * p.std })
+    },
+
+    mixture: {
+        label: 'Gaussian Mixture',
+        params: [
+            { id: 'mean1', label: 'Mean 1', min: -6, max: 6, step: 0.1, value: -2 },
+            { id: 'std1', label: 'Std Dev 1', min: 0.1, max: 3, step: 0.1, value: 0.6 },
+            { id: 'mean2', label: 'Mean 2', min: -6, max: 6, step: 0.1, value: 2 },
+            { id: 'std2', label: 'Std Dev 2', min: 0.1, max: 3, step: 0.1, value: 1 },
+            { id: 'weight', label: 'Weight of Mode 1', min: 0.05, max: 0.95, step: 0.05, value: 0.3 }
+        ],
+        normalised: true,
+        logDensity: (x, p) => logSumExp([
+            Math.log(p.weight) + normalLogDensity(x, p.mean1, p.std1),
+            Math.log(1 - p.weight) + normalLogDensity(x, p.mean2, p.std2)
+        ]),
+        range: (p) => [
+            Math.min(p.mean1 - 4 * p.std1, p.mean2 - 4 * p.std2),
+            Math.max(p.mean1 + 4 * p.std1, p.mean2 + 4 * p.std2)
+        ],
+        start: (p) => p.mean1,
+        moments: (p) => {
+            const mean = p.weight * p.mean1 + (1 - p.weight) * p.mean2;
+            const secondMoment = p.weight * (p.std1 * p.std1 + p.mean1 * p.mean1) +
+                                 (1 - p.weight) * (p.std2 * p.std2 + p.mean2 * p.mean2);
+            return { mean, variance: secondMoment - mean * mean };
+        }
+    },
+
+    studentT: {
+        label: 'Student-t',
+        params: [
+            { id: 'loc', label: 'Location', min: -3, max: 3, step: 0.1, value: 0 },
+            { id: 'scale', label: 'Scale', min: 0.1, max: 3, step: 0.1, value: 1 },
+            { id: 'nu', label: 'Degrees of Freedom ν', min: 0.5, max: 30, step: 0.5, value: 3 }
+        ],
+        normalised: true,
+        logDensity: (x, p) => {
+            const z = (x - p.loc) / p.scale;
+            return logGamma((p.nu + 1) / 2) - logGamma(p.nu / 2) -
+                   0.5 * Math.log(p.nu * Math.PI) - Math.log(p.scale) -
+                   (p.nu + 1) / 2 * Math.log1p(z * z / p.nu);
+        },
+        range: (p) => [p.loc - 8 * p.scale, p.loc + 8 * p.scale],
+        start: (p) => p.loc,
+        // Heavy tails: no mean for ν ≤ 1, infinite variance for ν ≤ 2
+        moments: (p) => ({
+            mean: p.nu > 1 ? p.loc : NaN,
+            variance: p.nu > 2 ? p.scale * p.scale * p.nu / (p.nu - 2) : (p.nu > 1 ? Infinity : NaN)
+        })
+    },
+
+    gamma: {
+        label: 'Gamma',
+        params: [
+            { id: 'shape', label: 'Shape k', min: 0.5, max: 10, step: 0.1, value: 2 },
+            { id: 'rate', label: 'Rate β', min: 0.1, max: 5, step: 0.1, value: 1 }
+        ],
+        normalised: true,
+        logDensity: (x, p) => {
+            if (x <= 0) return -Infinity;
+            return p.shape * Math.log(p.rate) - logGamma(p.shape) +
+                   (p.shape - 1) * Math.log(x) - p.rate * x;
+        },
+        positive: true,
+        range: (p) => [0, (p.shape + 5 * Math.sqrt(p.shape)) / p.rate],
+        start: (p) => p.shape / p.rate,
+        moments: (p) => ({ mean: p.shape / p.rate, variance: p.shape / (p.rate * p.rate) })
+    },
+
+    beta: {
+        label: 'Beta',
+        params: [
+            { id: 'alpha', label: 'α', min: 0.5, max: 20, step: 0.5, value: 2 },
+            { id: 'beta', label: 'β', min: 0.5, max: 20, step: 0.5, value: 5 }
+        ],
+        normalised: true,
+        logDensity: (x, p) => {
+            if (x <= 0 || x >= 1) return -Infinity;
+            return logGamma(p.alpha + p.beta) - logGamma(p.alpha) - logGamma(p.beta) +
+                   (p.alpha - 1) * Math.log(x) + (p.beta - 1) * Math.log1p(-x);
+        },
+        positive: true,
+        range: () => [0, 1],
+        start: (p) => p.alpha / (p.alpha + p.beta),
+        moments: (p) => {
+            const total = p.alpha + p.beta;
+            return {
+                mean: p.alpha / total,
+                variance: p.alpha * p.beta / (total * total * (total + 1))
+            };
+        }
+    },
+
+    laplace: {
+        label: 'Laplace',
+        params: [
+            { id: 'loc', label: 'Location', min: -3, max: 3, step: 0.1, value: 0 },
+            { id: 'scale', label: 'Scale b', min: 0.1, max: 3, step: 0.1, value: 1 }
+        ],
+        normalised: true,
+        logDensity: (x, p) => -Math.abs(x - p.loc) / p.scale - Math.log(2 * p.scale),
+        range: (p) => [p.loc - 7 * p.scale, p.loc + 7 * p.scale],
+        start: (p) => p.loc,
+        moments: (p) => ({ mean: p.loc, variance: 2 * p.scale * p.scale })
+    },
+
+    // A Gaussian bent by a quadratic term: log π(x) = −(x − b(x² − 1))² / (2σ²).
+    // b = 0 recovers N(0, σ²); larger b gives a skewed, two-horned density.
+    banana: {
+        label: 'Banana (unnormalised)',
+        params: [
+            { id: 'curvature', label: 'Curvature b', min: 0, max: 1, step: 0.05, value: 0.4 },
+            { id: 'sigma', label: 'Width σ', min: 0.1, max: 2, step: 0.1, value: 0.5 }
+        ],
+        normalised: false,
+        logDensity: (x, p) => {
+            const u = x - p.curvature * (x * x - 1);
+            return -0.5 * u * u / (p.sigma * p.sigma);
+        },
+        range: (p) => p.curvature > 0.05 ?
+            [-3, 1 / p.curvature + 2] :
+            [-4 * p.sigma - 1, 4 * p.sigma + 1],
+        start: () => 0
+    },
+
+    // The posterior of a single parameter given the user's data (see
+    // posterior.js); p.model is set by the UI from the chosen model
+    posterior: {
+        label: 'Posterior from data',
+        params: [],
+        normalised: false,
+        logDensity: (x, p) => p.model.logPosterior(x),
+        range: (p) => p.model.range,
+        start: (p) => p.model.moments.mean,
+        moments: (p) => p.model.moments
+    },
+
+    custom: {
+        label: 'Custom log-density',
+        params: [
+            { id: 'xmin', label: 'Plot Range Min', min: -20, max: 0, step: 0.5, value: -5 },
+            { id: 'xmax', label: 'Plot Range Max', min: 0, max: 20, step: 0.5, value: 5 }
+        ],
+        normalised: false,
+        expression: '-0.5 * x * x',
+        // p.compiled is set by the UI from the typed expression
+        logDensity: (x, p) => p.compiled(x),
+        range: (p) => [p.xmin, p.xmax],
+        start: (p) => (p.xmin + p.xmax) / 2
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LOG_SQRT_2PI, logGamma, logSumExp, normalLogDensity, compileLogDensity, MCMC_TARGETS };
+}
@@ -0,0 +1,102 @@
+// Two-dimensional target distributions for the 2D MCMC demo
+// Like targets.js, every target is defined through its (possibly
+// unnormalised) log-density.
+
+// Each target provides:
+//   label        - name shown in the selector
+//   params       - slider specification for its parameters
+//   logDensity   - log π(x, y | params), possibly unnormalised
+//   range        - { x: [lo, hi], y: [lo, hi] } used for plotting
+//   start        - a point [x, y] of positive density to initialise the chain
+//   moments      - optional exact { mean: [mx, my],
+//                  covariance: [[sxx, sxy], [sxy, syy]] }
+//   conditional  - (Gaussian only) the exact full conditional of one
+//                  coordinate given the other, as { mean, std }, for Gibbs
+//                  sampling; `axis` is 0 for x | y and 1 for y | x
+const MCMC_TARGETS_2D = {
+    gaussian: {
+        label: 'Correlated Gaussian',
+        params: [
+            { id: 'sigmaX', label: 'Std Dev σx', min: 0.2, max: 3, step: 0.1, value: 1 },
+            { id: 'sigmaY', label: 'Std Dev σy', min: 0.2, max: 3, step: 0.1, value: 1 },
+            { id: 'rho', label: 'Correlation ρ', min: -0.99, max: 0.99, step: 0.01, value: 0.9 }
+        ],
+        logDensity: (x, y, p) => {
+            const u = x / p.sigmaX;
+            const v = y / p.sigmaY;
+            const oneMinusRho2 = 1 - p.rho * p.rho;
+            return -0.5 * (u * u - 2 * p.rho * u * v + v * v) / oneMinusRho2 -
+                Math.log(2 * Math.PI * p.sigmaX * p.sigmaY * Math.sqrt(oneMinusRho2));
+        },
+        range: (p) => ({ x: [-4 * p.sigmaX, 4 * p.sigmaX], y: [-4 * p.sigmaY, 4 * p.sigmaY] }),
+        // Far out along the ridge, so the chain has to travel along it
+        start: (p) => [-3 * p.sigmaX, -3 * p.sigmaY * (Math.sign(p.rho) || 1)],
+        moments: (p) => ({
+            mean: [0, 0],
+            covariance: [
+                [p.sigmaX * p.sigmaX, p.rho * p.sigmaX * p.sigmaY],
+                [p.rho * p.sigmaX * p.sigmaY, p.sigmaY * p.sigmaY]
+            ]
+        }),
+        conditional: (axis, other, p) => {
+            const [own, given] = axis === 0 ? [p.sigmaX, p.sigmaY] : [p.sigmaY, p.sigmaX];
+            return {
+                mean: p.rho * own / given * other,
+                std: own * Math.sqrt(1 - p.rho * p.rho)
+            };
+        }
+    },
+
+    // Twisted Gaussian (Haario et al., 1999): x ~ N(0, σ²) and
+    // y | x ~ N(b(x² − σ²), 1), a Rosenbrock-like curved ridge
+    banana: {
+        label: 'Banana (Rosenbrock-like)',
+        params: [
+            { id: 'sigma', label: 'Width σ', min: 0.5, max: 3, step: 0.1, value: 1.5 },
+            { id: 'curvature', label: 'Curvature b', min: 0, max: 1.5, step: 0.05, value: 0.5 }
+        ],
+        logDensity: (x, y, p) => {
+            const u = y - p.curvature * (x * x - p.sigma * p.sigma);
+            return -0.5 * x * x / (p.sigma * p.sigma) - 0.5 * u * u - Math.log(2 * Math.PI * p.sigma);
+        },
+        range: (p) => {
+            const s2 = p.sigma * p.sigma;
+            return {
+                x: [-3.5 * p.sigma, 3.5 * p.sigma],
+                y: [-p.curvature * s2 - 3.5, p.curvature * 8 * s2 + 3.5]
+            };
+        },
+        start: (p) => [-3 * p.sigma, 0],
+        // Var(y) = 1 + b² Var(x²) = 1 + 2 b² σ⁴; x and y are uncorrelated
+        moments: (p) => ({
+            mean: [0, 0],
+            covariance: [
+                [p.sigma * p.sigma, 0],
+                [0, 1 + 2 * Math.pow(p.curvature * p.sigma * p.sigma, 2)]
+            ]
+        })
+    },
+
+    // A ring of radius R: the mass is spread around a circle, so every
+    // straight line between two typical points leaves the high-density region
+    donut: {
+        label: 'Donut (ring)',
+        params: [
+            { id: 'radius', label: 'Radius R', min: 0.5, max: 4, step: 0.1, value: 2 },
+            { id: 'width', label: 'Ring Width w', min: 0.05, max: 1, step: 0.05, value: 0.25 }
+        ],
+        logDensity: (x, y, p) => {
+            const r = Math.sqrt(x * x + y * y);
+            return -0.5 * Math.pow((r - p.radius) / p.width, 2);
+        },
+        range: (p) => {
+            const extent = p.radius + 4 * p.width;
+            return { x: [-extent, extent], y: [-extent, extent] };
+        },
+        start: (p) => [p.radius, 0]
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MCMC_TARGETS_2D };
+}
@@ -0,0 +1,94 @@
+// Parallel tempering (replica exchange) for the 1D MCMC demo
+// Replica k samples the tempered density π(x)^(1/T_k). T_0 = 1 is the cold
+// chain, whose samples follow π itself; hot replicas see a flattened target
+// and cross between modes easily, and accepted swaps hand their positions
+// down the ladder to the cold chain.
+
+if (typeof module !== 'undefined' && module.exports) {
+    var { samplerStep } = require('./chain.js');
+}
+
+// Geometric ladder 1 = T_0 < ... < T_(n-1) = maxTemperature; for many
+// targets it gives similar swap rates between all neighbours
+function temperatureLadder(count, maxTemperature) {
+    if (count === 1) return [1];
+    return Array.from({ length: count }, (_, k) => Math.pow(maxTemperature, k / (count - 1)));
+}
+
+// Sampler settings for a replica at temperature T. Around a mode π^(1/T)
+// is √T times wider than π, so every step size grows by √T.
+function temperedSettings(settings, temperature) {
+    const factor = Math.sqrt(temperature);
+    return Object.assign({}, settings, {
+        proposalParams: Object.assign({}, settings.proposalParams, {
+            scale: settings.proposalParams.scale * factor
+        }),
+        stepSize: settings.stepSize * factor,
+        sliceWidth: settings.sliceWidth * factor
+    });
+}
+
+// Log acceptance ratio for exchanging the states xi and xj of the replicas
+// at temperatures Ti and Tj: (1/Ti − 1/Tj)(log π(xj) − log π(xi))
+function swapLogRatio(logDensity, xi, xj, Ti, Tj) {
+    const logRatio = (1 / Ti - 1 / Tj) * (logDensity(xj) - logDensity(xi));
+    return Number.isNaN(logRatio) ? -Infinity : logRatio;
+}
+
+// One iteration: every replica makes one move of the sampler on its own
+// tempered density, then a swap is proposed between a random pair of
+// neighbours (k, k + 1) and accepted when u < min(1, e^logRatio).
+// Returns each replica's move, the swap and the positions after both.
+function temperingStep(settings, logDensity, positions, temperatures, rng = Math) {
+    const moves = positions.map((x, k) => {
+        const temperature = temperatures[k];
+        return samplerStep(temperedSettings(settings, temperature), y => logDensity(y) / temperature, x, rng);
+    });
+    const after = moves.map(move => move.position);
+
+    let swap = null;
+    if (after.length > 1) {
+        const pair = Math.floor(rng.random() * (after.length - 1));
+        const logRatio = swapLogRatio(logDensity, after[pair], after[pair + 1],
+            temperatures[pair], temperatures[pair + 1]);
+        const u = rng.random();
+        const accepted = Math.log(u) < logRatio;
+        swap = { pair, from: [after[pair], after[pair + 1]], logRatio, u, accepted };
+        if (accepted) [after[pair], after[pair + 1]] = [after[pair + 1], after[pair]];
+    }
+    return { moves, swap, positions: after };
+}
+
+// Run `steps` tempering iterations without per-step details, as
+// runChainBatch does for a single chain. Returns the cold chain's
+// positions, proposals and accept flags as typed arrays, its last
+// `position` and the last `positions` of the whole ladder. Swap attempts
+// and acceptances per neighbouring pair are added to `swapCounts`
+// ({ attempted, accepted }, arrays of length n − 1).
+function runTemperingBatch(settings, logDensity, positions, temperatures, steps, rng = Math, swapCounts = null) {
+    const samples = new Float64Array(steps);
+    const proposals = new Float64Array(steps);
+    const acceptedFlags = new Uint8Array(steps);
+    let accepted = 0;
+
+    for (let i = 0; i < steps; i++) {
+        const step = temperingStep(settings, logDensity, positions, temperatures, rng);
+        positions = step.positions;
+        samples[i] = positions[0];
+        proposals[i] = step.moves[0].proposed;
+        if (step.moves[0].accepted) {
+            acceptedFlags[i] = 1;
+            accepted++;
+        }
+        if (step.swap && swapCounts) {
+            swapCounts.attempted[step.swap.pair]++;
+            if (step.swap.accepted) swapCounts.accepted[step.swap.pair]++;
+        }
+    }
+
+    return { samples, proposals, acceptedFlags, accepted, position: positions[0], positions };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { temperatureLadder, temperedSettings, swapLogRatio, temperingStep, runTemperingBatch };
+}
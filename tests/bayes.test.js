@@ -0,0 +1,310 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    calculatePosterior,
+    calculateTestMetrics,
+    oddsForm,
+    pairedPositiveProbability,
+    sequentialPosteriors,
+    betaFromCounts,
+    posteriorUncertainty,
+    decisionAnalysis,
+    normalCdf,
+    biomarkerDistribution,
+    thresholdRates,
+    rocCurve,
+    parseScenarios,
+    calculatePopulationStats
+} = require('../docs/medical-test/bayes.js');
+const { SeededRandom, randomBeta } = require('../docs/shared/random.js');
+const scenarioFile = require('../docs/medical-test/scenarios.json');
+
+test('posterior for the default rare-disease example', () => {
+    // 0.95·0.01 / (0.95·0.01 + 0.05·0.99) = 0.0095 / 0.059
+    assert.ok(Math.abs(calculatePosterior(1, 95, 95) - 0.0095 / 0.059) < 1e-12);
+});
+
+test('posterior with 50% prevalence', () => {
+    // 0.9·0.5 / (0.9·0.5 + 0.2·0.5) = 0.45 / 0.55
+    assert.ok(Math.abs(calculatePosterior(50, 90, 80) - 9 / 11) < 1e-12);
+});
+
+test('100% specificity makes every positive a true positive', () => {
+    assert.strictEqual(calculatePosterior(0.1, 60, 100), 1);
+    assert.strictEqual(calculatePosterior(50, 100, 100), 1);
+});
+
+test('0% sensitivity makes every positive a false positive', () => {
+    assert.strictEqual(calculatePosterior(10, 0, 90), 0);
+});
+
+test('posterior is undefined when a positive result is impossible', () => {
+    assert.ok(Number.isNaN(calculatePosterior(0, 95, 100)));
+});
+
+test('posterior after a negative result for the default example', () => {
+    // 0.05·0.01 / (0.05·0.01 + 0.95·0.99) = 0.0005 / 0.941
+    assert.ok(Math.abs(calculatePosterior(1, 95, 95, 'negative') - 0.0005 / 0.941) < 1e-12);
+    // 100% sensitivity rules the disease out
+    assert.strictEqual(calculatePosterior(20, 100, 70, 'negative'), 0);
+});
+
+test('test metrics for the default example', () => {
+    const metrics = calculateTestMetrics(1, 95, 95);
+    assert.ok(Math.abs(metrics.ppv - 0.0095 / 0.059) < 1e-12);
+    assert.ok(Math.abs(metrics.npv - 0.9405 / 0.941) < 1e-12);
+    assert.ok(Math.abs(metrics.positive_lr - 19) < 1e-9);
+    assert.ok(Math.abs(metrics.negative_lr - 1 / 19) < 1e-12);
+    assert.ok(Math.abs(metrics.diagnostic_odds_ratio - 361) < 1e-9);
+    assert.ok(Math.abs(metrics.accuracy - 0.95) < 1e-12);
+    assert.ok(Math.abs(metrics.youden_j - 0.9) < 1e-12);
+});
+
+test('a perfect test has infinite likelihood ratio and DOR', () => {
+    const metrics = calculateTestMetrics(5, 100, 100);
+    assert.strictEqual(metrics.positive_lr, Infinity);
+    assert.strictEqual(metrics.negative_lr, 0);
+    assert.strictEqual(metrics.diagnostic_odds_ratio, Infinity);
+    assert.strictEqual(metrics.youden_j, 1);
+});
+
+test('posterior odds are prior odds times the likelihood ratio', () => {
+    const [prevalence, sensitivity, specificity] = [12, 83, 71];
+    const metrics = calculateTestMetrics(prevalence, sensitivity, specificity);
+    const priorOdds = 0.12 / 0.88;
+    const odds = (p) => p / (1 - p);
+    assert.ok(Math.abs(odds(metrics.ppv) - priorOdds * metrics.positive_lr) < 1e-12);
+    assert.ok(Math.abs(odds(1 - metrics.npv) - priorOdds * metrics.negative_lr) < 1e-12);
+});
+
+test('odds form: log prior odds plus log LR gives the log posterior odds', () => {
+    ['positive', 'negative'].forEach(result => {
+        const odds = oddsForm(1, 95, 95, result);
+        assert.ok(Math.abs(odds.prior_odds - 1 / 99) < 1e-15);
+        assert.ok(Math.abs(odds.log_prior_odds + odds.log_likelihood_ratio - odds.log_posterior_odds) < 1e-12);
+        const posterior = calculatePosterior(1, 95, 95, result);
+        assert.ok(Math.abs(odds.posterior_odds - posterior / (1 - posterior)) < 1e-12);
+    });
+    assert.ok(Math.abs(oddsForm(1, 95, 95, 'negative').likelihood_ratio - 1 / 19) < 1e-12);
+});
+
+test('independent tests chain: each posterior is the next prior', () => {
+    const tests = [
+        { sensitivity: 95, specificity: 95, result: 'positive', correlation: 0 },
+        { sensitivity: 90, specificity: 99, result: 'positive', correlation: 0 },
+        { sensitivity: 80, specificity: 70, result: 'negative', correlation: 0 }
+    ];
+    let prior = 1;
+    sequentialPosteriors(1, tests).forEach((stage, k) => {
+        const { sensitivity, specificity, result } = tests[k];
+        const expected = calculatePosterior(prior, sensitivity, specificity, result);
+        assert.ok(Math.abs(stage.posterior - expected) < 1e-12);
+        prior = expected * 100;
+    });
+});
+
+test('repeating a test with correlated errors adds less evidence', () => {
+    const repeat = (correlation) => sequentialPosteriors(1, [
+        { sensitivity: 95, specificity: 95, result: 'positive', correlation: 0 },
+        { sensitivity: 95, specificity: 95, result: 'positive', correlation }
+    ]);
+    const [independent, correlated, identical] = [0, 0.5, 1].map(repeat);
+    assert.ok(Math.abs(independent[1].likelihood_ratio - 19) < 1e-9);
+    assert.ok(correlated[1].likelihood_ratio > 1 && correlated[1].likelihood_ratio < 19);
+    assert.ok(correlated[1].posterior < independent[1].posterior);
+    // A perfectly correlated repeat only reproduces the first result
+    assert.ok(Math.abs(identical[1].likelihood_ratio - 1) < 1e-12);
+    assert.ok(Math.abs(identical[1].posterior - identical[0].posterior) < 1e-12);
+});
+
+test('correlated pairs keep each test\'s marginal probabilities', () => {
+    [[0.95, 0.9, 0.3], [0.2, 0.7, 0.8], [0.6, 0.6, 1]].forEach(([p1, p2, rho]) => {
+        const both = pairedPositiveProbability(p1, p2, rho);
+        const cells = [both, p1 - both, p2 - both, 1 - p1 - p2 + both];
+        cells.forEach(cell => assert.ok(cell >= -1e-15));
+        assert.ok(Math.abs(cells.reduce((a, b) => a + b, 0) - 1) < 1e-12);
+    });
+    // Correlations beyond what the marginals allow are clamped
+    assert.strictEqual(pairedPositiveProbability(0.9, 0.5, 1), 0.5);
+});
+
+test('Beta draws have the right mean and variance', () => {
+    const rng = new SeededRandom(3);
+    [[2, 5], [0.5, 0.5], [191, 11]].forEach(([alpha, beta]) => {
+        const draws = Array.from({ length: 50000 }, () => randomBeta(alpha, beta, rng));
+        const mean = draws.reduce((a, b) => a + b, 0) / draws.length;
+        const variance = draws.reduce((a, x) => a + (x - mean) ** 2, 0) / (draws.length - 1);
+        const total = alpha + beta;
+        const exactVariance = alpha * beta / (total * total * (total + 1));
+        assert.ok(Math.abs(mean - alpha / total) < 4 * Math.sqrt(exactVariance / draws.length));
+        assert.ok(Math.abs(variance / exactVariance - 1) < 0.03);
+    });
+});
+
+test('study counts give a Beta with a uniform prior and bad counts are rejected', () => {
+    assert.deepStrictEqual(betaFromCounts(190, 200), { alpha: 191, beta: 11 });
+    assert.throws(() => betaFromCounts(201, 200), /not a valid count/);
+    assert.throws(() => betaFromCounts(1.5, 10), /not a valid count/);
+    assert.throws(() => posteriorUncertainty({
+        prevalence: { alpha: 0, beta: 1 }, sensitivity: { alpha: 1, beta: 1 }, specificity: { alpha: 1, beta: 1 }
+    }), /prevalence: Beta parameters must be positive/);
+});
+
+test('Monte Carlo posterior: precise inputs reproduce the point estimate', () => {
+    const precise = posteriorUncertainty({
+        prevalence: { alpha: 1e6, beta: 99e6 },
+        sensitivity: { alpha: 95e6, beta: 5e6 },
+        specificity: { alpha: 95e6, beta: 5e6 }
+    }, 'positive', 2000, new SeededRandom(1));
+    const exact = calculatePosterior(1, 95, 95);
+    assert.ok(Math.abs(precise.point_estimate - exact) < 1e-12);
+    assert.ok(precise.interval[0] > exact - 0.002 && precise.interval[1] < exact + 0.002);
+});
+
+test('Monte Carlo posterior: interval and the uncertainty breakdown', () => {
+    const result = posteriorUncertainty({
+        prevalence: betaFromCounts(3, 300),
+        sensitivity: betaFromCounts(1900, 2000),
+        specificity: betaFromCounts(19000, 20000)
+    }, 'positive', 5000, new SeededRandom(2));
+    assert.ok(result.interval[0] < result.point_estimate && result.point_estimate < result.interval[1]);
+    const shares = result.contributions.map(c => c.share);
+    assert.ok(Math.abs(shares.reduce((a, b) => a + b, 0) - 1) < 1e-12);
+    // Three cases in 300 people make the prevalence the dominant source
+    assert.strictEqual(result.contributions[0].input, 'prevalence');
+    assert.ok(shares[0] > 0.8, `prevalence share ${shares[0]}`);
+});
+
+test('expected utilities of the three strategies and the treatment threshold', () => {
+    const utilities = { treat_diseased: 80, no_treat_diseased: 20, treat_healthy: 90, no_treat_healthy: 100 };
+    // Benefit 60, harm 10: treat above P(disease) = 10 / 70
+    const result = decisionAnalysis(10, 95, 95, utilities, 0.5);
+    assert.ok(Math.abs(result.treatment_threshold - 1 / 7) < 1e-12);
+    assert.ok(Math.abs(result.treat_all - (0.1 * 80 + 0.9 * 90)) < 1e-12);
+    assert.ok(Math.abs(result.treat_none - (0.1 * 20 + 0.9 * 100)) < 1e-12);
+    assert.ok(Math.abs(result.test - (0.1 * (0.95 * 80 + 0.05 * 20) + 0.9 * (0.05 * 90 + 0.95 * 100) - 0.5)) < 1e-12);
+    assert.strictEqual(result.best, 'test');
+
+    // Testing beats treating no one above ((1 − spec)·harm + cost) / (sens·benefit + (1 − spec)·harm)
+    // and treating everyone below (spec·harm − cost) / ((1 − sens)·benefit + spec·harm)
+    const [low, high] = result.testing_range;
+    assert.ok(Math.abs(low - 1 / 57.5) < 1e-12);
+    assert.ok(Math.abs(high - 9 / 12.5) < 1e-12);
+    assert.strictEqual(decisionAnalysis(1, 95, 95, utilities, 0.5).best, 'treat_none');
+    assert.strictEqual(decisionAnalysis(90, 95, 95, utilities, 0.5).best, 'treat_all');
+});
+
+test('an expensive or useless test is never worth doing', () => {
+    const utilities = { treat_diseased: 80, no_treat_diseased: 20, treat_healthy: 90, no_treat_healthy: 100 };
+    assert.strictEqual(decisionAnalysis(10, 95, 95, utilities, 20).testing_range, null);
+    // A test with sensitivity = 1 − specificity carries no information
+    assert.strictEqual(decisionAnalysis(10, 60, 40, utilities).testing_range, null);
+    assert.throws(() => decisionAnalysis(10, 95, 95, { ...utilities, treat_diseased: 10 }), /better than no treatment/);
+    assert.throws(() => decisionAnalysis(10, 95, 95, { ...utilities, treat_healthy: NaN }), /treat healthy must be a number/);
+});
+
+test('a threshold between two normal classes trades sensitivity for specificity', () => {
+    assert.ok(Math.abs(normalCdf(0) - 0.5) < 1e-7);
+    assert.ok(Math.abs(normalCdf(1.96) - 0.9750021) < 1e-6);
+    assert.ok(Math.abs(normalCdf(-1) - 0.1586553) < 1e-6);
+
+    const healthy = { shape: 'normal', mean: 4, sd: 1 };
+    const diseased = { shape: 'normal', mean: 7, sd: 2 };
+    // At 6: specificity Φ(2), sensitivity 1 − Φ(−0.5) = Φ(0.5)
+    const rates = thresholdRates(healthy, diseased, 6);
+    assert.ok(Math.abs(rates.specificity - 97.72499) < 1e-4);
+    assert.ok(Math.abs(rates.sensitivity - 69.14625) < 1e-4);
+    const higher = thresholdRates(healthy, diseased, 6.5);
+    assert.ok(higher.specificity > rates.specificity && higher.sensitivity < rates.sensitivity);
+
+    // AUC = P(diseased > healthy) = Φ(3 / √5), and the curve climbs from (0, 0) to (1, 1)
+    const { points, auc } = rocCurve(healthy, diseased);
+    assert.ok(Math.abs(auc - normalCdf(3 / Math.sqrt(5))) < 1e-4, `AUC ${auc}`);
+    assert.deepStrictEqual([points[0].false_positive_rate, points[0].true_positive_rate], [0, 0]);
+    for (let i = 1; i < points.length; i++) {
+        assert.ok(points[i].false_positive_rate >= points[i - 1].false_positive_rate);
+        assert.ok(points[i].true_positive_rate >= points[i - 1].true_positive_rate);
+    }
+    assert.strictEqual(rocCurve(healthy, healthy).auc.toFixed(6), '0.500000');
+});
+
+test('a log-normal biomarker has the requested mean and spread', () => {
+    const { pdf, cdf } = biomarkerDistribution({ shape: 'lognormal', mean: 5, sd: 3 });
+    // Midpoint rule on (0, 100]
+    let [mass, mean, square] = [0, 0, 0];
+    const dx = 0.001;
+    for (let x = dx / 2; x < 100; x += dx) {
+        mass += pdf(x) * dx;
+        mean += x * pdf(x) * dx;
+        square += x * x * pdf(x) * dx;
+    }
+    assert.ok(Math.abs(mass - 1) < 1e-4);
+    assert.ok(Math.abs(mean - 5) < 1e-3);
+    assert.ok(Math.abs(Math.sqrt(square - mean * mean) - 3) < 1e-2);
+    assert.strictEqual(cdf(0), 0);
+    assert.ok(cdf(5) > 0.5, 'right skew puts the median below the mean');
+
+    assert.throws(() => biomarkerDistribution({ shape: 'normal', mean: 1, sd: 0 }), /spread must be positive/);
+    assert.throws(() => biomarkerDistribution({ shape: 'lognormal', mean: 0, sd: 1 }), /positive mean/);
+});
+
+test('every scenario in the library is valid', () => {
+    const { scenarios, errors } = parseScenarios(scenarioFile);
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(scenarios.length, scenarioFile.length);
+});
+
+test('invalid scenarios are reported and left out', () => {
+    const good = { name: 'Test', prevalence: 2, sensitivity: 90, specificity: 80, source: 'A study', narrative: 'A story' };
+    const { scenarios, errors } = parseScenarios([
+        good,
+        Object.assign({}, good, { name: 'Zero', prevalence: 0 }),
+        Object.assign({}, good, { name: 'Text', sensitivity: '90', source: '' }),
+        null
+    ]);
+    assert.deepStrictEqual(scenarios, [good]);
+    assert.strictEqual(errors.length, 3);
+    assert.match(errors[0], /Scenario 2 \(Zero\): prevalence must be a number strictly between 0 and 100/);
+    assert.match(errors[1], /Scenario 3 \(Text\): sensitivity must be .*, missing source/);
+    assert.strictEqual(errors[2], 'Scenario 4: not an object');
+    assert.throws(() => parseScenarios({ scenarios: [] }), /must hold an array/);
+});
+
+test('population counts for the default example', () => {
+    assert.deepStrictEqual(calculatePopulationStats(1, 95, 95), {
+        total: 10000,
+        diseased: 100,
+        healthy: 9900,
+        true_positives: 95,
+        false_negatives: 5,
+        true_negatives: 9405,
+        false_positives: 495,
+        total_positives: 590,
+        total_negatives: 9410
+    });
+});
+
+test('population counts with 100% specificity have no false positives', () => {
+    const stats = calculatePopulationStats(2.5, 80, 100);
+    assert.strictEqual(stats.diseased, 250);
+    assert.strictEqual(stats.true_positives, 200);
+    assert.strictEqual(stats.false_positives, 0);
+    assert.strictEqual(stats.true_negatives, 9750);
+});
+
+test('population counts always add up to the total', () => {
+    [[0.1, 50, 50], [7.3, 99, 51], [33.3, 67, 83], [50, 100, 100]].forEach(([prevalence, sensitivity, specificity]) => {
+        const stats = calculatePopulationStats(prevalence, sensitivity, specificity, 1234);
+        assert.strictEqual(stats.diseased + stats.healthy, 1234);
+        assert.strictEqual(stats.total_positives + stats.total_negatives, 1234);
+        assert.strictEqual(stats.true_positives + stats.false_negatives, stats.diseased);
+        assert.strictEqual(stats.true_negatives + stats.false_positives, stats.healthy);
+    });
+});
+
+test('population proportions approach the posterior for a large population', () => {
+    const stats = calculatePopulationStats(3, 85, 92, 1e8);
+    const posterior = calculatePosterior(3, 85, 92);
+    assert.ok(Math.abs(stats.true_positives / stats.total_positives - posterior) < 1e-6);
+});
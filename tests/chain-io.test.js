@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { chainToCsv, chainToJson, parseChainFile } = require('../docs/mcmc-1d/chain-io.js');
+
+const chain = {
+    samples: [0.5, 0.5, -1.25, 3e-7],
+    proposals: [0.5, 2.75, -1.25, 3e-7],
+    accepted: [true, false, true, true],
+    settings: {
+        seed: 42,
+        sampler: { samplerType: 'metropolis', proposalType: 'gaussian', proposalParams: { scale: 0.5 } },
+        target: { type: 'gaussian', params: { mean: 0, std: 1 } }
+    }
+};
+
+test('CSV export round-trips samples, proposals, flags and settings', () => {
+    const parsed = parseChainFile(chainToCsv(chain), 'chain.csv');
+    assert.strictEqual(parsed.columns.length, 1);
+    assert.deepStrictEqual(parsed.columns[0].values, chain.samples);
+    assert.deepStrictEqual(parsed.proposals, chain.proposals);
+    assert.deepStrictEqual(parsed.accepted, chain.accepted);
+    assert.deepStrictEqual(parsed.settings, chain.settings);
+});
+
+test('JSON export round-trips samples, proposals, flags and settings', () => {
+    const parsed = parseChainFile(chainToJson(chain), 'chain.json');
+    assert.deepStrictEqual(parsed.columns[0].values, chain.samples);
+    assert.deepStrictEqual(parsed.proposals, chain.proposals);
+    assert.deepStrictEqual(parsed.accepted, chain.accepted);
+    assert.deepStrictEqual(parsed.settings, chain.settings);
+});
+
+test('CSV export is readable without the comment lines', () => {
+    const rows = chainToCsv(chain).trim().split('\n').filter(line => !line.startsWith('#'));
+    assert.strictEqual(rows[0], 'iteration,sample,proposal,accepted');
+    assert.strictEqual(rows[2], '2,0.5,2.75,0');
+});
+
+test('a CSV with one chain per column and a pandas index column', () => {
+    const text = ',chain_a,chain_b\n0,1.5,2\n1,1.7,2.5\n2,1.6,\n';
+    const parsed = parseChainFile(text, 'draws.csv');
+    assert.deepStrictEqual(parsed.columns.map(c => c.name), ['chain_a', 'chain_b']);
+    assert.deepStrictEqual(parsed.columns[0].values, [1.5, 1.7, 1.6]);
+    // Chains of different lengths leave empty cells at the end
+    assert.deepStrictEqual(parsed.columns[1].values, [2, 2.5]);
+    assert.strictEqual(parsed.proposals, null);
+});
+
+test('a headerless CSV and plain JSON arrays', () => {
+    assert.deepStrictEqual(parseChainFile('1\n2\n3\n', 'x.txt').columns, [{ name: 'Column 1', values: [1, 2, 3] }]);
+    assert.deepStrictEqual(parseChainFile('[1, 2, 3]', 'x.json').columns[0].values, [1, 2, 3]);
+    const chains = parseChainFile('[[1, 2, 3], [4, 5, 6]]', 'x.json').columns;
+    assert.deepStrictEqual(chains.map(c => c.name), ['Chain 1', 'Chain 2']);
+});
+
+test('malformed files are rejected with a message pointing at the problem', () => {
+    const rejects = (text, filename, pattern) => assert.throws(() => parseChainFile(text, filename), pattern);
+    rejects('', 'x.csv', /empty/);
+    rejects('a,b\n1,2\n3\n', 'x.csv', /Line 3: expected 2 values, found 1/);
+    rejects('a\n1\nfoo\n', 'x.csv', /Line 3, column "a": "foo" is not a number/);
+    rejects('a,b\n1,2\n,3\n4,5\n', 'x.csv', /Column "a" has an empty cell at line 3/);
+    rejects('a\n1\n', 'x.csv', /at least two draws/);
+    rejects('{"samples": [1, 2,', 'x.json', /Not valid JSON/);
+    rejects('{"draws": [1, 2]}', 'x.json', /no "samples" array/);
+    rejects('[1, "two", 3]', 'x.json', /draw 2: "two" is not a number/);
+    rejects('{"samples": [1, 2, 3], "proposals": [1, 2]}', 'x.json', /2 proposals for 3 samples/);
+});
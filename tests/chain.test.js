@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { SeededRandom } = require('../docs/shared/random.js');
+const { ScaleAdapter } = require('../docs/shared/adaptation.js');
+const { samplerStep, runChainBatch } = require('../docs/shared/chain.js');
+
+const logDensity = (x) => -0.5 * x * x;
+
+function metropolisSettings(scale) {
+    return { samplerType: 'metropolis', proposalType: 'gaussian', proposalParams: { scale } };
+}
+
+test('a batch matches the same number of single steps', () => {
+    const batch = runChainBatch(metropolisSettings(1), logDensity, 0, 500, new SeededRandom(3));
+
+    const rng = new SeededRandom(3);
+    let x = 0;
+    let accepted = 0;
+    for (let i = 0; i < 500; i++) {
+        const step = samplerStep(metropolisSettings(1), logDensity, x, rng);
+        assert.strictEqual(batch.samples[i], step.position);
+        assert.strictEqual(batch.proposals[i], step.proposed);
+        assert.strictEqual(batch.acceptedFlags[i], step.accepted ? 1 : 0);
+        if (step.accepted) accepted++;
+        x = step.position;
+    }
+    assert.strictEqual(batch.accepted, accepted);
+    assert.strictEqual(batch.position, x);
+});
+
+test('splitting a run into batches does not change the chain', () => {
+    const whole = runChainBatch(metropolisSettings(1), logDensity, 0, 1000, new SeededRandom(9));
+
+    const rng = new SeededRandom(9);
+    const first = runChainBatch(metropolisSettings(1), logDensity, 0, 400, rng);
+    // Continue from a copied generator state, as the worker does
+    const copy = new SeededRandom(0);
+    copy.setState(rng.getState());
+    const second = runChainBatch(metropolisSettings(1), logDensity, first.position, 600, copy);
+
+    assert.deepStrictEqual([...first.samples, ...second.samples], [...whole.samples]);
+});
+
+test('the proposal scale adapts during warm-up and is frozen afterwards', () => {
+    const settings = metropolisSettings(0.1);
+    const adaptation = { adapter: new ScaleAdapter('robbins-monro', 0.1), warmupLength: 2000, iteration: 0 };
+
+    const warmup = runChainBatch(settings, logDensity, 0, 2000, new SeededRandom(5), adaptation);
+    assert.strictEqual(warmup.scaleHistory.length, 2000);
+    // The optimal random-walk scale for a standard normal target is ≈ 2.4
+    assert.ok(settings.proposalParams.scale > 1.5 && settings.proposalParams.scale < 3.5);
+
+    const frozenScale = settings.proposalParams.scale;
+    const after = runChainBatch(settings, logDensity, warmup.position, 1000, new SeededRandom(6), adaptation);
+    assert.strictEqual(after.scaleHistory.length, 0);
+    assert.strictEqual(settings.proposalParams.scale, frozenScale);
+    assert.strictEqual(adaptation.iteration, 3000);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { SeededRandom, randomNormal } = require('../docs/shared/random.js');
+const {
+    binProbabilities,
+    silvermanBandwidth,
+    binnedKde,
+    binnedKsDistance,
+    binnedDivergences
+} = require('../docs/shared/density.js');
+const { numericalCdf, ksStatistic } = require('./helpers.js');
+
+const normalDensity = x => Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+const normalCdf = numericalCdf(x => -0.5 * x * x, [-10, 10]);
+
+function normalSample(count, seed) {
+    const rng = new SeededRandom(seed);
+    return Array.from({ length: count }, () => randomNormal(rng));
+}
+
+function bin(values, lo, hi, bins) {
+    const counts = new Array(bins).fill(0);
+    values.forEach(x => {
+        const i = Math.floor((x - lo) / (hi - lo) * bins);
+        if (i >= 0 && i < bins) counts[i]++;
+    });
+    return { counts };
+}
+
+test('bin probabilities sum to one and match the normal CDF', () => {
+    const probabilities = binProbabilities(normalDensity, -4, 4, 8);
+    assert.ok(Math.abs(probabilities.reduce((a, b) => a + b, 0) - 1) < 1e-12);
+    // P(0 < X < 1), renormalised over [-4, 4]
+    const expected = (normalCdf(1) - 0.5) / (normalCdf(4) - normalCdf(-4));
+    assert.ok(Math.abs(probabilities[4] - expected) < 1e-3);
+});
+
+test('bin probabilities ignore an infinite density at the edge', () => {
+    const probabilities = binProbabilities(x => 0.5 / Math.sqrt(x), 0, 1, 4);
+    assert.ok(probabilities.every(Number.isFinite));
+    // P(X < 1/4) = √(1/4) for the Beta(1/2, 1) density
+    assert.ok(Math.abs(probabilities[0] - 0.5) < 0.05);
+});
+
+test('the binned KS distance is close to the exact statistic', () => {
+    const values = normalSample(5000, 3);
+    const { counts } = bin(values, -4, 4, 400);
+    const binned = binnedKsDistance(counts, binProbabilities(normalDensity, -4, 4, 400));
+    const exact = ksStatistic(values, normalCdf);
+    assert.ok(Math.abs(binned - exact) < 0.005, `binned ${binned} vs exact ${exact}`);
+});
+
+test('the binned KS distance of exact heavy-tailed draws shrinks towards zero', () => {
+    // Cauchy draws: about 8% fall outside [-8, 8]
+    const rng = new SeededRandom(5);
+    const values = Array.from({ length: 20000 }, () => Math.tan(Math.PI * (rng.random() - 0.5)));
+    const cauchyDensity = x => 1 / (Math.PI * (1 + x * x));
+    const binned = binnedKsDistance(bin(values, -8, 8, 400).counts, binProbabilities(cauchyDensity, -8, 8, 400));
+    assert.ok(binned < 0.015, `KS ${binned}`);
+});
+
+test('TV and KL shrink as the sample grows and vanish for an exact match', () => {
+    const probabilities = binProbabilities(normalDensity, -4, 4, 40);
+    const small = binnedDivergences(bin(normalSample(200, 1), -4, 4, 40).counts, probabilities);
+    const large = binnedDivergences(bin(normalSample(50000, 1), -4, 4, 40).counts, probabilities);
+    assert.ok(large.tv < small.tv / 4);
+    assert.ok(large.kl < small.kl / 10);
+
+    const exact = binnedDivergences(Array.from(probabilities, p => p * 1e6), probabilities);
+    assert.ok(exact.tv < 1e-12 && exact.kl < 1e-12);
+});
+
+test('a sample outside the target support gives a large KL', () => {
+    const probabilities = [0.5, 0.5, 0];
+    assert.ok(binnedDivergences([5, 4, 1], probabilities).kl > 1);
+});
+
+test('the KDE integrates to one and follows the density', () => {
+    const values = normalSample(20000, 5);
+    const { counts } = bin(values, -5, 5, 400);
+    const h = silvermanBandwidth(counts, -5, 5);
+    // Silverman's rule for a standard normal: 0.9 × 1 × n^(-1/5) ≈ 0.124
+    assert.ok(Math.abs(h - 0.9 * Math.pow(20000, -0.2)) < 0.01);
+
+    const kde = binnedKde(counts, -5, 5, h, values.length);
+    const integral = kde.reduce((sum, d) => sum + d.y, 0) * 10 / 400;
+    assert.ok(Math.abs(integral - 1) < 0.01);
+    const atZero = kde.find(d => Math.abs(d.x) < 0.02).y;
+    assert.ok(Math.abs(atZero - normalDensity(0)) < 0.03);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { SeededRandom, randomNormal } = require('../docs/shared/random.js');
+const { MCMC_TARGETS } = require('../docs/shared/targets.js');
+const {
+    autocorrelation,
+    integratedAutocorrTime,
+    sokalAutocorrTime,
+    runningMoments,
+    windowedAcceptanceRate
+} = require('../docs/shared/diagnostics.js');
+const { targetParams } = require('./helpers.js');
+
+// AR(1) chain x_t = φ x_{t-1} + ε_t, whose exact τ is (1 + φ) / (1 − φ)
+function ar1(phi, count, seed) {
+    const rng = new SeededRandom(seed);
+    const values = new Float64Array(count);
+    let x = 0;
+    for (let i = 0; i < count; i++) {
+        x = phi * x + randomNormal(rng);
+        values[i] = x;
+    }
+    return values;
+}
+
+test('Geyer and Sokal estimates recover the τ of an AR(1) chain', () => {
+    const values = ar1(0.8, 50000, 4);
+    const rho = autocorrelation(values);
+    const exact = 1.8 / 0.2;
+
+    const geyer = integratedAutocorrTime(values, rho);
+    const sokal = sokalAutocorrTime(values, rho);
+    assert.ok(Math.abs(geyer / exact - 1) < 0.15, `Geyer τ ${geyer.toFixed(2)}`);
+    assert.ok(Math.abs(sokal.tau / exact - 1) < 0.15, `Sokal τ ${sokal.tau.toFixed(2)}`);
+    assert.ok(sokal.window >= 5 * sokal.tau);
+});
+
+test('independent draws have τ close to 1', () => {
+    const values = ar1(0, 20000, 8);
+    assert.ok(Math.abs(sokalAutocorrTime(values).tau - 1) < 0.1);
+    assert.ok(Math.abs(integratedAutocorrTime(values) - 1) < 0.1);
+});
+
+test('running moments match direct computation', () => {
+    const values = ar1(0.5, 1000, 2).map(x => x + 100);
+    const start = 100;
+    const moments = runningMoments(values, 20, start);
+    assert.strictEqual(moments.length, 20);
+    assert.strictEqual(moments[moments.length - 1].count, 900);
+
+    moments.forEach(({ count, mean, variance, fourthMoment }) => {
+        const xs = values.slice(start, start + count);
+        const m = xs.reduce((a, b) => a + b, 0) / count;
+        const v = xs.reduce((a, x) => a + (x - m) ** 2, 0) / (count - 1);
+        const m4 = xs.reduce((a, x) => a + (x - m) ** 4, 0) / count;
+        assert.ok(Math.abs(mean - m) < 1e-9);
+        assert.ok(Math.abs(variance - v) < 1e-9);
+        assert.ok(Math.abs(fourthMoment - m4) < 1e-8);
+    });
+});
+
+test('the windowed acceptance rate averages the last `window` flags', () => {
+    const rng = new SeededRandom(4);
+    // Accept with probability 0.8 for 600 iterations, then 0.2
+    const flags = Array.from({ length: 1000 }, (_, i) => rng.random() < (i < 600 ? 0.8 : 0.2));
+    const rates = windowedAcceptanceRate(flags, 50, 40);
+    assert.strictEqual(rates.length, 40);
+    assert.strictEqual(rates[rates.length - 1].count, 1000);
+
+    rates.forEach(({ count, rate }) => {
+        const recent = flags.slice(Math.max(0, count - 50), count);
+        assert.strictEqual(rate, recent.filter(flag => flag).length / recent.length);
+    });
+    // The rate tracks the change in the acceptance probability
+    assert.ok(rates.find(r => r.count === 575).rate > 0.6);
+    assert.ok(rates[rates.length - 1].rate < 0.4);
+});
+
+['gaussian', 'mixture', 'studentT', 'gamma', 'beta', 'laplace'].forEach(type => {
+    test(`exact moments of the ${MCMC_TARGETS[type].label} target match numerical integration`, () => {
+        const target = MCMC_TARGETS[type];
+        // ν = 3 has a finite variance, but its tails are too heavy to integrate
+        const params = targetParams(type, type === 'studentT' ? { nu: 6 } : {});
+        // The plotting range cuts off the tails, so integrate well beyond it
+        const [lo, hi] = target.range(params);
+        const from = lo - 20 * (hi - lo);
+        const to = hi + 20 * (hi - lo);
+        const steps = 200000;
+        const dx = (to - from) / steps;
+        let z = 0, s1 = 0, s2 = 0;
+        for (let i = 0; i < steps; i++) {
+            const x = from + (i + 0.5) * dx;
+            const p = Math.exp(target.logDensity(x, params));
+            if (!(p > 0)) continue;
+            z += p;
+            s1 += p * x;
+            s2 += p * x * x;
+        }
+        const mean = s1 / z;
+        const { mean: exactMean, variance: exactVariance } = target.moments(params);
+        assert.ok(Math.abs(exactMean - mean) < 1e-3, `mean ${exactMean} vs ${mean}`);
+        assert.ok(Math.abs(exactVariance / (s2 / z - mean * mean) - 1) < 1e-2,
+            `variance ${exactVariance} vs ${s2 / z - mean * mean}`);
+    });
+});
@@ -0,0 +1,95 @@
+// Statistical helpers for the sampler tests
+// Chains are thinned before testing because KS and chi-square assume
+// independent draws; with a fixed seed every test is deterministic.
+
+const { MCMC_TARGETS } = require('../docs/shared/targets.js');
+
+// Default parameters of a target from a library (the 1D one unless
+// `targets` is given, e.g. MCMC_TARGETS_2D), with optional overrides
+function targetParams(type, overrides = {}, targets = MCMC_TARGETS) {
+    const params = {};
+    targets[type].params.forEach(param => {
+        params[param.id] = param.value;
+    });
+    return Object.assign(params, overrides);
+}
+
+// Numerical CDF of a (possibly unnormalised) log-density over `range`,
+// by the trapezoidal rule on a fine grid and linear interpolation
+function numericalCdf(logDensity, range, points = 20000) {
+    const [lo, hi] = range;
+    const dx = (hi - lo) / points;
+    const density = [];
+    for (let i = 0; i <= points; i++) {
+        const value = Math.exp(logDensity(lo + i * dx));
+        density.push(Number.isFinite(value) ? value : 0);
+    }
+    const cumulative = [0];
+    for (let i = 1; i <= points; i++) {
+        cumulative.push(cumulative[i - 1] + 0.5 * (density[i - 1] + density[i]) * dx);
+    }
+    const total = cumulative[points];
+
+    return (x) => {
+        if (x <= lo) return 0;
+        if (x >= hi) return 1;
+        const position = (x - lo) / dx;
+        const i = Math.floor(position);
+        const fraction = position - i;
+        return (cumulative[i] * (1 - fraction) + cumulative[i + 1] * fraction) / total;
+    };
+}
+
+// Run `step(x)` → new position, discard `burnIn` iterations and keep every
+// `thin`-th position until `count` samples are collected. Positions are
+// passed through untouched, so `x` may be a number or a point such as [x, y].
+function runChain(step, start, count, thin = 10, burnIn = 1000) {
+    let x = start;
+    for (let i = 0; i < burnIn; i++) x = step(x);
+    const samples = [];
+    for (let i = 0; i < count * thin; i++) {
+        x = step(x);
+        if ((i + 1) % thin === 0) samples.push(x);
+    }
+    return samples;
+}
+
+// Kolmogorov-Smirnov statistic D = sup |F_n(x) − F(x)|
+function ksStatistic(samples, cdf) {
+    const sorted = [...samples].sort((a, b) => a - b);
+    const n = sorted.length;
+    let d = 0;
+    sorted.forEach((x, i) => {
+        const f = cdf(x);
+        d = Math.max(d, (i + 1) / n - f, f - i / n);
+    });
+    return d;
+}
+
+// Asymptotic critical value of D at the 0.1% level
+function ksCritical(n) {
+    return 1.95 / Math.sqrt(n);
+}
+
+// Pearson chi-square statistic over `bins` equal-probability bins
+function chiSquareStatistic(samples, cdf, bins = 20) {
+    const counts = new Array(bins).fill(0);
+    samples.forEach(x => {
+        counts[Math.min(bins - 1, Math.floor(cdf(x) * bins))]++;
+    });
+    const expected = samples.length / bins;
+    return counts.reduce((sum, count) => sum + (count - expected) ** 2 / expected, 0);
+}
+
+// Critical value of χ² with 19 degrees of freedom (20 bins) at the 0.1% level
+const CHI_SQUARE_CRITICAL_19 = 43.82;
+
+module.exports = {
+    targetParams,
+    numericalCdf,
+    runChain,
+    ksStatistic,
+    ksCritical,
+    chiSquareStatistic,
+    CHI_SQUARE_CRITICAL_19
+};
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { SeededRandom } = require('../docs/shared/random.js');
+const { logSumExp } = require('../docs/shared/targets.js');
+const { metropolisStep, gaussianProposal } = require('../docs/shared/metropolis.js');
+const {
+    POSTERIOR_LIKELIHOODS,
+    parseObservations,
+    posteriorModel,
+    gridMoments
+} = require('../docs/shared/posterior.js');
+
+const conjugateCases = [
+    { likelihood: 'normal', likelihoodParams: { sigma: 1.5 }, prior: 'normal', priorParams: { mean: -1, std: 2 }, data: [0.3, 1.9, 1.2, 2.4, 0.8] },
+    { likelihood: 'bernoulli', likelihoodParams: {}, prior: 'beta', priorParams: { alpha: 2, beta: 3 }, data: [1, 0, 0, 1, 1, 1, 0] },
+    { likelihood: 'poisson', likelihoodParams: {}, prior: 'gamma', priorParams: { shape: 2, rate: 0.5 }, data: [3, 5, 2, 4] }
+];
+
+test('conjugate posteriors are proportional to prior × likelihood', () => {
+    conjugateCases.forEach(settings => {
+        const model = posteriorModel(settings);
+        assert.ok(model.conjugate, settings.likelihood);
+        // log p(θ | data) − [log p(θ) + log p(data | θ)] is the same constant for every θ
+        const { mean, variance } = model.conjugate.moments;
+        const thetas = [-1, -0.5, 0, 0.5, 1].map(z => mean + z * Math.sqrt(variance));
+        const offsets = thetas.map(theta => model.conjugate.logDensity(theta) - model.logPosterior(theta));
+        offsets.forEach(offset => assert.ok(Math.abs(offset - offsets[0]) < 1e-9, settings.likelihood));
+    });
+});
+
+test('the conjugate formulas give the textbook posteriors', () => {
+    const [normal, bernoulli, poisson] = conjugateCases.map(posteriorModel);
+    // Precision 1/4 + 5/2.25, mean (−1/4 + 6.6/2.25) / precision
+    const precision = 1 / 4 + 5 / 2.25;
+    assert.ok(Math.abs(normal.conjugate.params.std - Math.sqrt(1 / precision)) < 1e-12);
+    assert.ok(Math.abs(normal.conjugate.params.mean - (-1 / 4 + 6.6 / 2.25) / precision) < 1e-12);
+    assert.deepStrictEqual(bernoulli.conjugate.params, { alpha: 6, beta: 6 });
+    assert.deepStrictEqual(poisson.conjugate.params, { shape: 16, rate: 4.5 });
+});
+
+test('the plot range holds the posterior mass and numerical moments match the exact ones', () => {
+    conjugateCases.forEach(settings => {
+        const model = posteriorModel(settings);
+        const exact = model.conjugate.moments;
+        const sd = Math.sqrt(exact.variance);
+        assert.ok(model.range[0] <= exact.mean - 4 * sd || model.range[0] === POSTERIOR_LIKELIHOODS[settings.likelihood].support[0]);
+        assert.ok(model.range[1] >= exact.mean + 4 * sd || model.range[1] === POSTERIOR_LIKELIHOODS[settings.likelihood].support[1]);
+
+        // Mass of the exact posterior inside the range
+        const points = 4000;
+        const dx = (model.range[1] - model.range[0]) / points;
+        const logValues = [];
+        for (let i = 0; i < points; i++) logValues.push(model.conjugate.logDensity(model.range[0] + (i + 0.5) * dx));
+        assert.ok(Math.abs(Math.exp(logSumExp(logValues) + Math.log(dx)) - 1) < 1e-3, settings.likelihood);
+
+        const numerical = gridMoments(model.logPosterior, model.range);
+        assert.ok(Math.abs(numerical.mean - exact.mean) < 1e-3 * sd, settings.likelihood);
+        assert.ok(Math.abs(numerical.variance / exact.variance - 1) < 1e-3, settings.likelihood);
+    });
+    // Without a conjugate prior the moments come from the grid
+    const laplace = posteriorModel(Object.assign({}, conjugateCases[0], { prior: 'laplace', priorParams: { loc: 0, scale: 1 } }));
+    assert.strictEqual(laplace.conjugate, null);
+    assert.ok(laplace.moments.variance > 0 && laplace.moments.variance < 2.25 / 5);
+});
+
+test('Metropolis on a non-conjugate posterior matches its grid moments', () => {
+    const model = posteriorModel({
+        likelihood: 'poisson', likelihoodParams: {}, prior: 'logNormal', priorParams: { mean: 1, std: 1 }, data: [0, 2, 1, 0, 3]
+    });
+    const rng = new SeededRandom(11);
+    const propose = gaussianProposal(0.6, rng);
+    let x = model.moments.mean;
+    const draws = [];
+    for (let i = 0; i < 40000; i++) {
+        x = metropolisStep(model.logPosterior, x, propose, rng).position;
+        if (i >= 1000 && i % 10 === 0) draws.push(x);
+    }
+    const mean = draws.reduce((a, b) => a + b, 0) / draws.length;
+    const variance = draws.reduce((a, b) => a + (b - mean) * (b - mean), 0) / (draws.length - 1);
+    const sd = Math.sqrt(model.moments.variance);
+    assert.ok(Math.abs(mean - model.moments.mean) < 0.1 * sd, `mean ${mean.toFixed(3)}`);
+    assert.ok(Math.abs(variance / model.moments.variance - 1) < 0.1, `variance ${variance.toFixed(3)}`);
+});
+
+test('generated data follow the likelihood and pass validation', () => {
+    const rng = new SeededRandom(5);
+    const counts = POSTERIOR_LIKELIHOODS.poisson.generate(4, 5000, {}, rng);
+    const mean = counts.reduce((a, b) => a + b, 0) / counts.length;
+    assert.ok(Math.abs(mean - 4) < 0.1, `Poisson mean ${mean}`);
+    const flips = POSTERIOR_LIKELIHOODS.bernoulli.generate(0.3, 5000, {}, new SeededRandom(6));
+    assert.ok(Math.abs(flips.reduce((a, b) => a + b, 0) / flips.length - 0.3) < 0.02);
+    assert.deepStrictEqual(parseObservations(counts.slice(0, 5).join(', '), 'poisson'), counts.slice(0, 5));
+});
+
+test('invalid data and models are rejected with a message', () => {
+    assert.throws(() => parseObservations('', 'normal'), /at least one observation/);
+    assert.throws(() => parseObservations('1, 2\n3 abc', 'normal'), /Observation 4 \("abc"\) is not a number/);
+    assert.throws(() => parseObservations('1 0 0.5', 'bernoulli'), /Observation 3 \(0.5\) must be 0 or 1/);
+    assert.throws(() => parseObservations('2 -1', 'poisson'), /Observation 2 \(-1\) must be a non-negative integer/);
+    assert.throws(() => posteriorModel(Object.assign({}, conjugateCases[1], { prior: 'gamma' })), /cannot be used/);
+    assert.throws(() => posteriorModel(Object.assign({}, conjugateCases[1], { data: [] })), /at least one observation/);
+});
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { SeededRandom } = require('../docs/shared/random.js');
+const { MCMC_TARGETS } = require('../docs/shared/targets.js');
+const { metropolisStep, metropolisLogRatio } = require('../docs/shared/metropolis.js');
+const { PROPOSAL_KERNELS, logHastingsCorrection } = require('../docs/shared/proposals.js');
+const { malaStep, hmcStep, sliceStep } = require('../docs/shared/samplers.js');
+const {
+    targetParams,
+    numericalCdf,
+    runChain,
+    ksStatistic,
+    ksCritical,
+    chiSquareStatistic,
+    CHI_SQUARE_CRITICAL_19
+} = require('./helpers.js');
+
+const SAMPLE_COUNT = 2000;
+
+// Target log-density, CDF and start point for a library target
+function setup(type, overrides) {
+    const target = MCMC_TARGETS[type];
+    const params = targetParams(type, overrides);
+    const logDensity = (x) => target.logDensity(x, params);
+    return {
+        logDensity,
+        cdf: numericalCdf(logDensity, target.range(params)),
+        start: target.start(params)
+    };
+}
+
+function metropolisChain(type, kernelType, scale, seed = 42, correct = true) {
+    const { logDensity, cdf, start } = setup(type);
+    const kernel = PROPOSAL_KERNELS[kernelType];
+    const params = { scale, independenceLoc: 2, independenceScale: 2 };
+    const rng = new SeededRandom(seed);
+    const step = (x) => metropolisStep(
+        logDensity,
+        x,
+        (current) => kernel.sample(current, params, rng),
+        rng,
+        correct ? (current, proposed) => logHastingsCorrection(kernel, current, proposed, params) : null
+    ).position;
+    return { samples: runChain(step, start, SAMPLE_COUNT), cdf };
+}
+
+function assertMatchesTarget(samples, cdf) {
+    const d = ksStatistic(samples, cdf);
+    assert.ok(d < ksCritical(samples.length), `KS statistic ${d.toFixed(4)} too large`);
+    const chiSquare = chiSquareStatistic(samples, cdf);
+    assert.ok(chiSquare < CHI_SQUARE_CRITICAL_19, `chi-square ${chiSquare.toFixed(1)} too large`);
+}
+
+test('metropolisLogRatio handles zero densities', () => {
+    const logDensity = (x) => (x > 0 ? -x : -Infinity);
+    assert.strictEqual(metropolisLogRatio(logDensity, 1, -1), -Infinity);
+    assert.strictEqual(metropolisLogRatio(logDensity, -1, 1), 0);
+    assert.strictEqual(metropolisLogRatio(logDensity, 1, 3), -2);
+});
+
+test('metropolisStep always accepts uphill moves and never leaves the support', () => {
+    const logDensity = (x) => (x > 0 ? -x : -Infinity);
+    const rng = new SeededRandom(1);
+    for (let i = 0; i < 100; i++) {
+        assert.strictEqual(metropolisStep(logDensity, 2, () => 1, rng).accepted, true);
+        assert.strictEqual(metropolisStep(logDensity, 2, () => -1, rng).accepted, false);
+    }
+});
+
+test('the returned uniform draw explains every decision', () => {
+    const logDensity = (x) => -0.5 * x * x;
+    const rng = new SeededRandom(11);
+    let x = 0;
+    for (let i = 0; i < 1000; i++) {
+        const step = metropolisStep(logDensity, x, (current) => current + 3 * (rng.random() - 0.5), rng);
+        assert.strictEqual(step.accepted, step.u < Math.exp(step.logRatio));
+        assert.strictEqual(step.position, step.accepted ? step.proposed : x);
+        x = step.position;
+    }
+});
+
+test('symmetric kernels need no Hastings correction', () => {
+    ['gaussian', 'uniform', 'laplace', 'cauchy'].forEach(type => {
+        const kernel = PROPOSAL_KERNELS[type];
+        const params = { scale: 0.7 };
+        assert.ok(Math.abs(kernel.logDensity(1.3, 0.4, params) - kernel.logDensity(0.4, 1.3, params)) < 1e-12);
+        assert.strictEqual(logHastingsCorrection(kernel, 0.4, 1.3, params), 0);
+    });
+});
+
+test('log-normal kernel correction is log(x\'/x)', () => {
+    const correction = logHastingsCorrection(PROPOSAL_KERNELS.lognormal, 2, 3, { scale: 0.5 });
+    assert.ok(Math.abs(correction - Math.log(3 / 2)) < 1e-12);
+});
+
+['gaussian', 'mixture', 'studentT', 'gamma', 'beta', 'laplace'].forEach(type => {
+    test(`random-walk Metropolis samples the ${MCMC_TARGETS[type].label} target`, () => {
+        const scale = type === 'beta' ? 0.3 : 2.5;
+        const { samples, cdf } = metropolisChain(type, 'gaussian', scale);
+        assertMatchesTarget(samples, cdf);
+    });
+});
+
+Object.keys(PROPOSAL_KERNELS).forEach(kernelType => {
+    test(`${PROPOSAL_KERNELS[kernelType].label} kernel samples a Gamma target`, () => {
+        const { samples, cdf } = metropolisChain('gamma', kernelType, kernelType === 'lognormal' ? 1 : 2);
+        assertMatchesTarget(samples, cdf);
+    });
+});
+
+test('log-normal kernel without the Hastings correction samples the wrong target', () => {
+    const { samples, cdf } = metropolisChain('gamma', 'lognormal', 1, 42, false);
+    assert.ok(ksStatistic(samples, cdf) > ksCritical(samples.length));
+});
+
+['gaussian', 'gamma', 'mixture'].forEach(type => {
+    // Gradient-based moves cross between the mixture modes only rarely
+    const thin = type === 'mixture' ? 50 : 5;
+
+    test(`MALA samples the ${MCMC_TARGETS[type].label} target`, () => {
+        const { logDensity, cdf, start } = setup(type);
+        const rng = new SeededRandom(7);
+        const stepSize = type === 'mixture' ? 1.2 : 1;
+        const samples = runChain((x) => malaStep(logDensity, x, stepSize, rng).position, start, SAMPLE_COUNT, thin);
+        assertMatchesTarget(samples, cdf);
+    });
+
+    test(`HMC samples the ${MCMC_TARGETS[type].label} target`, () => {
+        const { logDensity, cdf, start } = setup(type);
+        const rng = new SeededRandom(7);
+        const samples = runChain((x) => hmcStep(logDensity, x, 0.3, 10, rng).position, start, SAMPLE_COUNT, thin);
+        assertMatchesTarget(samples, cdf);
+    });
+
+    test(`slice sampling samples the ${MCMC_TARGETS[type].label} target`, () => {
+        const { logDensity, cdf, start } = setup(type);
+        const rng = new SeededRandom(7);
+        const samples = runChain((x) => sliceStep(logDensity, x, 1, rng).position, start, SAMPLE_COUNT, thin);
+        assertMatchesTarget(samples, cdf);
+    });
+});
+
+test('the same seed gives the same chain', () => {
+    const first = metropolisChain('gaussian', 'gaussian', 1, 123).samples;
+    const second = metropolisChain('gaussian', 'gaussian', 1, 123).samples;
+    assert.deepStrictEqual(first, second);
+});
+
+test('seed fields accept whole numbers only', () => {
+    assert.strictEqual(SeededRandom.parseSeed(' 123 '), 123);
+    assert.strictEqual(SeededRandom.parseSeed('-1'), 4294967295);
+    assert.strictEqual(SeededRandom.parseSeed(''), null);
+    assert.strictEqual(SeededRandom.parseSeed('abc'), null);
+    assert.strictEqual(SeededRandom.parseSeed('1.5'), null);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { SeededRandom } = require('../docs/shared/random.js');
+const { MCMC_TARGETS_2D } = require('../docs/shared/targets2d.js');
+const {
+    proposalFactor,
+    randomWalkStep2d,
+    componentwiseStep2d,
+    gibbsStep2d
+} = require('../docs/shared/samplers2d.js');
+const { targetParams, runChain } = require('./helpers.js');
+
+// Sample mean and covariance of 2D draws
+function sampleMoments(draws) {
+    const count = draws.length;
+    const mean = [0, 1].map(a => draws.reduce((sum, d) => sum + d[a], 0) / count);
+    const cov = (a, b) => draws.reduce((sum, d) => sum + (d[a] - mean[a]) * (d[b] - mean[b]), 0) / (count - 1);
+    return { mean, covariance: [[cov(0, 0), cov(0, 1)], [cov(1, 0), cov(1, 1)]] };
+}
+
+function assertMoments(draws, moments, tolerance) {
+    const result = sampleMoments(draws);
+    [0, 1].forEach(a => {
+        const sd = Math.sqrt(moments.covariance[a][a]);
+        assert.ok(Math.abs(result.mean[a] - moments.mean[a]) < tolerance * sd,
+            `mean[${a}] ${result.mean[a].toFixed(3)}`);
+        assert.ok(Math.abs(result.covariance[a][a] / moments.covariance[a][a] - 1) < 2 * tolerance,
+            `variance[${a}] ${result.covariance[a][a].toFixed(3)}`);
+    });
+    const correlation = result.covariance[0][1] / Math.sqrt(result.covariance[0][0] * result.covariance[1][1]);
+    const exact = moments.covariance[0][1] / Math.sqrt(moments.covariance[0][0] * moments.covariance[1][1]);
+    assert.ok(Math.abs(correlation - exact) < tolerance, `correlation ${correlation.toFixed(3)}`);
+}
+
+test('the proposal factor reproduces the requested covariance', () => {
+    const [[a, b], [c, d]] = proposalFactor(2, 0.5, -0.6);
+    assert.strictEqual(b, 0);
+    // L Lᵀ = [[a², a c], [a c, c² + d²]]
+    assert.ok(Math.abs(a * a - 4) < 1e-12);
+    assert.ok(Math.abs(a * c - (-0.6 * 2 * 0.5)) < 1e-12);
+    assert.ok(Math.abs(c * c + d * d - 0.25) < 1e-12);
+});
+
+test('the Gaussian full conditionals match the joint density', () => {
+    const target = MCMC_TARGETS_2D.gaussian;
+    const params = targetParams('gaussian', { sigmaX: 1.5, sigmaY: 0.5, rho: 0.7 }, MCMC_TARGETS_2D);
+    // log π(x | y) − log π(x₀ | y) must equal the conditional normal's log ratio
+    const y = 0.8;
+    const { mean, std } = target.conditional(0, y, params);
+    [-1, 0.3, 2].forEach(x => {
+        const joint = target.logDensity(x, y, params) - target.logDensity(mean, y, params);
+        const conditional = -0.5 * Math.pow((x - mean) / std, 2);
+        assert.ok(Math.abs(joint - conditional) < 1e-12);
+    });
+});
+
+const gaussianParams = targetParams('gaussian', { sigmaX: 1, sigmaY: 2, rho: 0.8 }, MCMC_TARGETS_2D);
+const gaussianDensity = ([x, y]) => MCMC_TARGETS_2D.gaussian.logDensity(x, y, gaussianParams);
+const gaussianMoments = MCMC_TARGETS_2D.gaussian.moments(gaussianParams);
+
+test('full-vector random walk samples the correlated Gaussian', () => {
+    const rng = new SeededRandom(1);
+    const factor = proposalFactor(1.2, 2.4, 0.8);
+    const draws = runChain(p => randomWalkStep2d(gaussianDensity, p, factor, rng).position, [0, 0], 3000);
+    assertMoments(draws, gaussianMoments, 0.1);
+});
+
+test('Metropolis-within-Gibbs samples the correlated Gaussian', () => {
+    const rng = new SeededRandom(2);
+    const draws = runChain(p => componentwiseStep2d(gaussianDensity, p, [0.8, 1.6], rng).position, [0, 0], 3000, 20);
+    assertMoments(draws, gaussianMoments, 0.1);
+});
+
+test('component-wise moves change one coordinate at a time', () => {
+    const rng = new SeededRandom(3);
+    const sweep = componentwiseStep2d(gaussianDensity, [0.5, -0.5], [1, 1], rng);
+    assert.strictEqual(sweep.moves.length, 2);
+    assert.strictEqual(sweep.moves[0].proposed[1], -0.5);
+    assert.strictEqual(sweep.moves[1].from, sweep.moves[0].position);
+    assert.strictEqual(sweep.moves[1].proposed[0], sweep.moves[0].position[0]);
+    assert.deepStrictEqual(sweep.position, sweep.moves[1].position);
+});
+
+test('exact Gibbs samples the correlated Gaussian', () => {
+    const rng = new SeededRandom(4);
+    const conditional = (axis, other) => MCMC_TARGETS_2D.gaussian.conditional(axis, other, gaussianParams);
+    const draws = runChain(p => gibbsStep2d(conditional, p, rng).position, [0, 0], 3000);
+    assertMoments(draws, gaussianMoments, 0.1);
+});
+
+test('random walk samples the banana target', () => {
+    const params = targetParams('banana', {}, MCMC_TARGETS_2D);
+    const logDensity = ([x, y]) => MCMC_TARGETS_2D.banana.logDensity(x, y, params);
+    const rng = new SeededRandom(5);
+    const factor = proposalFactor(1, 1, 0);
+    const draws = runChain(p => randomWalkStep2d(logDensity, p, factor, rng).position, [0, 0], 3000, 50);
+    assertMoments(draws, MCMC_TARGETS_2D.banana.moments(params), 0.15);
+});
+
+test('random walk samples the donut around its ring', () => {
+    const params = targetParams('donut', {}, MCMC_TARGETS_2D);
+    const logDensity = ([x, y]) => MCMC_TARGETS_2D.donut.logDensity(x, y, params);
+    const rng = new SeededRandom(6);
+    const factor = proposalFactor(0.5, 0.5, 0);
+    const draws = runChain(p => randomWalkStep2d(logDensity, p, factor, rng).position, [2, 0], 3000, 20);
+
+    // The mean radius is ≈ R + w²/R (the ring's area grows with r)
+    const radii = draws.map(([x, y]) => Math.sqrt(x * x + y * y));
+    const meanRadius = radii.reduce((a, b) => a + b, 0) / radii.length;
+    const expected = params.radius + params.width * params.width / params.radius;
+    assert.ok(Math.abs(meanRadius - expected) < 0.02, `mean radius ${meanRadius.toFixed(3)}`);
+    // The ring is symmetric, so the chain must visit all four quadrants equally
+    const quadrants = [0, 0, 0, 0];
+    draws.forEach(([x, y]) => { quadrants[(x > 0 ? 0 : 1) + (y > 0 ? 0 : 2)]++; });
+    quadrants.forEach(count => assert.ok(Math.abs(count / draws.length - 0.25) < 0.07));
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { SeededRandom } = require('../docs/shared/random.js');
+const { MCMC_TARGETS } = require('../docs/shared/targets.js');
+const { runChainBatch } = require('../docs/shared/chain.js');
+const {
+    temperatureLadder,
+    temperedSettings,
+    swapLogRatio,
+    temperingStep,
+    runTemperingBatch
+} = require('../docs/shared/tempering.js');
+
+// Two well-separated modes: a plain random walk started in one of them
+// practically never reaches the other
+const mixture = { mean1: -4, std1: 0.5, mean2: 4, std2: 0.5, weight: 0.3 };
+const logDensity = (x) => MCMC_TARGETS.mixture.logDensity(x, mixture);
+const settings = { samplerType: 'metropolis', proposalType: 'gaussian', proposalParams: { scale: 0.5 } };
+
+test('the ladder is geometric from 1 to the maximum temperature', () => {
+    const ladder = temperatureLadder(5, 16);
+    assert.strictEqual(ladder[0], 1);
+    assert.ok(Math.abs(ladder[4] - 16) < 1e-12);
+    for (let k = 1; k < 5; k++) assert.ok(Math.abs(ladder[k] / ladder[k - 1] - 2) < 1e-12);
+    assert.deepStrictEqual(temperatureLadder(1, 10), [1]);
+
+    const hot = temperedSettings(settings, 4);
+    assert.strictEqual(hot.proposalParams.scale, 1);
+    assert.strictEqual(settings.proposalParams.scale, 0.5);
+});
+
+test('the swap ratio is the product of the two tempered density ratios', () => {
+    const [xi, xj, Ti, Tj] = [-3.7, 4.2, 1, 3];
+    const expected = (logDensity(xj) / Ti + logDensity(xi) / Tj) - (logDensity(xi) / Ti + logDensity(xj) / Tj);
+    assert.ok(Math.abs(swapLogRatio(logDensity, xi, xj, Ti, Tj) - expected) < 1e-12);
+    // Exchanging the roles of the two replicas gives the same ratio
+    assert.ok(Math.abs(swapLogRatio(logDensity, xj, xi, Tj, Ti) - expected) < 1e-12);
+    // Equal temperatures always swap
+    assert.strictEqual(swapLogRatio(logDensity, xi, xj, 2, 2), 0);
+});
+
+test('an accepted swap exchanges the positions of the pair', () => {
+    const rng = new SeededRandom(2);
+    for (let i = 0; i < 200; i++) {
+        const step = temperingStep(settings, logDensity, [-4, 0, 4], [1, 3, 9], rng);
+        const { pair, from, accepted } = step.swap;
+        const moved = step.moves.map(move => move.position);
+        const expected = accepted ? [from[1], from[0]] : from;
+        assert.deepStrictEqual([step.positions[pair], step.positions[pair + 1]], expected);
+        assert.deepStrictEqual([moved[pair], moved[pair + 1]], from);
+    }
+});
+
+test('the cold chain of a tempered run finds both modes with the right weights', () => {
+    const temperatures = temperatureLadder(5, 40);
+    const swapCounts = { attempted: new Array(4).fill(0), accepted: new Array(4).fill(0) };
+    const tempered = runTemperingBatch(settings, logDensity, new Array(5).fill(4), temperatures,
+        40000, new SeededRandom(7), swapCounts);
+    const coldWeight = tempered.samples.filter(x => x < 0).length / tempered.samples.length;
+    assert.ok(Math.abs(coldWeight - mixture.weight) < 0.05, `weight of mode 1 ${coldWeight.toFixed(3)}`);
+
+    assert.strictEqual(swapCounts.attempted.reduce((a, b) => a + b, 0), 40000);
+    swapCounts.accepted.forEach((accepted, k) => {
+        assert.ok(accepted > 0.1 * swapCounts.attempted[k], `swap rate of pair ${k}`);
+    });
+    assert.strictEqual(tempered.position, tempered.positions[0]);
+
+    // The plain chain with the same moves stays in the mode it started in
+    const plain = runChainBatch(settings, logDensity, 4, 40000, new SeededRandom(7));
+    assert.strictEqual(plain.samples.filter(x => x < 0).length, 0);
+});